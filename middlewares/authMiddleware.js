@@ -1,17 +1,29 @@
 // middlewares/authMiddleware.js
 
 const jwt = require('jsonwebtoken');
+const { pool } = require('../services/db');
+const { checkSession } = require('../services/sessions');
+const { checkImpersonation, recordImpersonatedRequest } = require('../services/impersonation');
+
+const SESSION_ERRORS = {
+  SESSION_REQUIRED: 'Token sin sesión, vuelve a iniciar sesión',
+  SESSION_REVOKED: 'La sesión fue cerrada o expiró',
+  USER_CHANGED: 'Los permisos del usuario cambiaron, vuelve a iniciar sesión',
+  IMPERSONATION_ENDED: 'La suplantación terminó o expiró'
+};
 
 /**
  * Middleware de autenticación:
  * - Lee el header "Authorization: Bearer <token>"
  * - Verifica y decodifica el token con jwt.verify()
- * - Si es válido, asigna los datos a req.user (ej. { userId, role, commerceId })
- * - Si no hay token o es inválido, responde con 401
+ * - Comprueba que la sesión (sid) siga activa y que el usuario exista con el mismo rol y comercio
+ *   (los tokens de suplantación se validan contra su suplantación y cada petición queda registrada)
+ * - Si es válido, asigna los datos a req.user (ej. { userId, role, commerceId, sid })
+ * - Si no hay token o es inválido, responde con 401 (con code para que el frontend sepa si refrescar)
  */
-function authMiddleware(req, res, next) {
+async function authMiddleware(req, res, next) {
   const header = req.headers.authorization;
-  
+
   if (!header) {
     // No se envió el header Authorization
     return res.status(401).json({ error: 'No token provided' });
@@ -23,20 +35,46 @@ function authMiddleware(req, res, next) {
     return res.status(401).json({ error: 'Invalid token format' });
   }
 
+  // Algunos routers repiten el middleware en cada ruta: no volver a consultar la sesión
+  if (req.user && req.authToken === token) {
+    return next();
+  }
+
+  let decoded;
   try {
     // Decodificar el token usando la clave secreta
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    // decoded debe contener { userId, role, commerceId, iat, exp }
-    
-    // Asignamos la info del usuario a req.user
-    req.user = decoded;
-    
-    // Continuar al siguiente middleware o ruta
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // decoded debe contener { userId, role, commerceId, sid, iat, exp }
+  } catch (error) {
+    console.error('JWT error:', error.message);
+    return res.status(401).json({
+      error: 'Token inválido o expirado',
+      code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID'
+    });
+  }
+
+  try {
+    const sessionError = decoded.impersonated
+      ? await checkImpersonation(pool, decoded)
+      : await checkSession(pool, decoded);
+    if (sessionError) {
+      return res.status(401).json({ error: SESSION_ERRORS[sessionError], code: sessionError });
+    }
   } catch (error) {
-    console.error('JWT error:', error);
-    return res.status(401).json({ error: 'Token inválido o expirado' });
+    console.error('Error verificando la sesión:', error);
+    return res.status(500).json({ error: 'Error al verificar la sesión' });
+  }
+
+  // Asignamos la info del usuario a req.user
+  req.user = decoded;
+  req.authToken = token;
+
+  if (decoded.impersonated) {
+    recordImpersonatedRequest(pool, req, res);
   }
+
+  // Continuar al siguiente middleware o ruta
+  next();
 }
 
-module.exports = authMiddleware;
\ No newline at end of file
+module.exports = authMiddleware;
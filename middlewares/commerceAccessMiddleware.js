@@ -0,0 +1,28 @@
+// middlewares/commerceAccessMiddleware.js
+
+const { canAccessCommerce } = require('../services/permissions');
+
+/**
+ * Middleware de acceso por comercio (se usa después de authMiddleware y requirePermission):
+ * - requireCommerceAccess() toma el comercio de req.params.id
+ * - requireCommerceAccess('commerceId') de otro parámetro de la ruta, o una función (req) => id
+ * - El SUPERUSER pasa siempre; el resto solo si es el comercio activo de su token
+ * - Si no, responde con 403 (COMMERCE_FORBIDDEN)
+ */
+function requireCommerceAccess(source = 'id') {
+  const commerceIdOf = typeof source === 'function' ? source : req => req.params[source];
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    if (!canAccessCommerce(req.user, commerceIdOf(req))) {
+      return res.status(403).json({ error: 'No tienes permisos sobre este comercio', code: 'COMMERCE_FORBIDDEN' });
+    }
+
+    next();
+  };
+}
+
+module.exports = requireCommerceAccess;
@@ -0,0 +1,55 @@
+// middlewares/passwordMiddleware.js
+
+const { pool } = require('../services/db');
+const bcrypt = require('bcryptjs');
+const { failureKeys, checkAttempt, recordFailure, clearAccountFailures, sendTooManyRequests } = require('../services/loginThrottle');
+
+/**
+ * Middleware de reconfirmación de contraseña para operaciones destructivas (se usa después de authMiddleware):
+ * - Lee del body password (la contraseña actual del usuario del token)
+ * - No se acepta con un token de suplantación: la contraseña sería la del OWNER suplantado
+ * - Si falta responde 400 (PASSWORD_REQUIRED); si es incorrecta 401 (PASSWORD_INVALID)
+ * - Los fallos cuentan para el bloqueo de la cuenta igual que en /login
+ */
+async function requirePassword(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+
+  if (req.user.impersonated) {
+    return res.status(403).json({ error: 'Operación no permitida durante una suplantación', code: 'IMPERSONATION_FORBIDDEN' });
+  }
+
+  const { password } = req.body || {};
+  if (!password) {
+    return res.status(400).json({ error: 'Debes confirmar tu contraseña', code: 'PASSWORD_REQUIRED', field: 'password' });
+  }
+
+  try {
+    const userResult = await pool.query('SELECT id, email, password FROM users WHERE id = $1', [req.user.userId]);
+    const user = userResult.rows[0];
+    if (!user) {
+      return res.status(401).json({ error: 'Usuario no encontrado' });
+    }
+
+    const keys = failureKeys(req, user.email);
+    const blocked = await checkAttempt(pool, keys);
+    if (blocked) {
+      return sendTooManyRequests(res, blocked);
+    }
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      await recordFailure(pool, keys);
+      return res.status(401).json({ error: 'Contraseña incorrecta', code: 'PASSWORD_INVALID', field: 'password' });
+    }
+
+    await clearAccountFailures(pool, user.email);
+  } catch (error) {
+    console.error('Error verificando la contraseña:', error);
+    return res.status(500).json({ error: 'Error al verificar la contraseña' });
+  }
+
+  next();
+}
+
+module.exports = requirePassword;
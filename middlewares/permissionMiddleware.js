@@ -0,0 +1,29 @@
+// middlewares/permissionMiddleware.js
+
+const { hasPermission } = require('../services/permissions');
+
+/**
+ * Middleware de permisos (se usa después de authMiddleware):
+ * - requirePermission(PERMISSIONS.CATALOG_EDIT) deja pasar solo a los roles con ese permiso
+ * - Con varios permisos basta con tener uno de ellos
+ * - Si el usuario no tiene permiso, responde con 403
+ */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
+      return res.status(403).json({
+        error: 'No tienes permisos para realizar esta acción',
+        code: 'FORBIDDEN',
+        required: permissions
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = requirePermission;
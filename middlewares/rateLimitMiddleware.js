@@ -0,0 +1,25 @@
+// middlewares/rateLimitMiddleware.js
+
+const { pool } = require('../services/db');
+const { hitRateLimit, sendTooManyRequests } = require('../services/loginThrottle');
+
+/**
+ * Middleware de límite de peticiones por IP con ventana fija, guardado en PostgreSQL.
+ * Uso: router.post('/login', rateLimit('login', { max: 20, windowSeconds: 900 }), handler)
+ * Si se supera el límite responde 429 con Retry-After. Si la base de datos falla, deja pasar la petición.
+ */
+function rateLimit(name, { max, windowSeconds }) {
+  return async (req, res, next) => {
+    try {
+      const limited = await hitRateLimit(pool, `${name}:ip:${req.ip || 'unknown'}`, max, windowSeconds);
+      if (limited) {
+        return sendTooManyRequests(res, limited);
+      }
+    } catch (error) {
+      console.error(`Error aplicando el límite de peticiones (${name}):`, error);
+    }
+    next();
+  };
+}
+
+module.exports = rateLimit;
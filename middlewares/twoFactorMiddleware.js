@@ -0,0 +1,52 @@
+// middlewares/twoFactorMiddleware.js
+
+const { pool } = require('../services/db');
+const { verifySecondFactor } = require('../services/twoFactor');
+const { failureKeys, checkAttempt, recordFailure, sendTooManyRequests } = require('../services/loginThrottle');
+
+/**
+ * Middleware de verificación en dos pasos para operaciones sensibles (se usa después de authMiddleware):
+ * - Lee del body two_factor_code (código de la app) o recovery_code
+ * - Si la cuenta no tiene 2FA activada responde 403 (TWO_FACTOR_SETUP_REQUIRED)
+ * - Si el código es incorrecto responde 401 (TWO_FACTOR_INVALID); los fallos cuentan para el bloqueo de la cuenta
+ */
+async function requireTwoFactor(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+
+  const { two_factor_code, recovery_code } = req.body || {};
+
+  try {
+    const userResult = await pool.query(
+      'SELECT id, email, totp_secret, totp_enabled_at FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+    const user = userResult.rows[0];
+
+    if (!user || !user.totp_enabled_at) {
+      return res.status(403).json({
+        error: 'Debes activar la verificación en dos pasos para realizar esta operación',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
+    const keys = failureKeys(req, user.email);
+    const blocked = await checkAttempt(pool, keys);
+    if (blocked) {
+      return sendTooManyRequests(res, blocked);
+    }
+
+    if (!(await verifySecondFactor(pool, user, { code: two_factor_code, recovery_code }))) {
+      await recordFailure(pool, keys);
+      return res.status(401).json({ error: 'Código de verificación incorrecto', code: 'TWO_FACTOR_INVALID' });
+    }
+  } catch (error) {
+    console.error('Error verificando el segundo factor:', error);
+    return res.status(500).json({ error: 'Error al verificar el segundo factor' });
+  }
+
+  next();
+}
+
+module.exports = requireTwoFactor;
@@ -0,0 +1,37 @@
+// middlewares/validationMiddleware.js
+
+const { validateObject, validationResponse } = require('../services/validation');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Middleware de validación (esquemas de services/validation.js):
+ * - validate({ params, query, body }) valida cada parte indicada de la petición
+ * - Los valores convertidos (números, booleanos) reemplazan a los originales
+ * - Si algo no es válido responde 400 con { error, code: 'VALIDATION_ERROR', fields: [...] },
+ *   un elemento por campo: { field, location, code, message }
+ * - bodyAnyOf: grupos de campos del body de los que tiene que venir al menos uno
+ * En rutas con subida de archivos va después de multer, que es quien llena req.body.
+ */
+function validate(schemas, { bodyAnyOf = [] } = {}) {
+  return (req, res, next) => {
+    const fields = [];
+
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) continue;
+
+      const options = location === 'body' ? { anyOf: bodyAnyOf } : {};
+      const { value, errors } = validateObject(req[location], schemas[location], location, options);
+      fields.push(...errors);
+      if (errors.length === 0) req[location] = value;
+    }
+
+    if (fields.length > 0) {
+      return res.status(400).json(validationResponse(fields));
+    }
+
+    next();
+  };
+}
+
+module.exports = validate;
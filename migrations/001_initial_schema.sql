@@ -0,0 +1,186 @@
+-- migrations/001_initial_schema.sql
+-- Esquema base que esperan los routers: comercios, usuarios, catálogo y etiquetas.
+-- Estas tablas se crearon a mano en producción; todo usa IF NOT EXISTS para que en esas bases
+-- la migración solo complete lo que falte y quede registrada.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS commerces (
+  id SERIAL PRIMARY KEY,
+  business_name VARCHAR(255) NOT NULL,
+  subdomain VARCHAR(100) NOT NULL UNIQUE,
+  business_category VARCHAR(100),
+  logo_url TEXT,
+  banner_url TEXT,
+  is_open BOOLEAN DEFAULT true,
+  working_hours JSONB,
+  delivery_time VARCHAR(50),
+  delivery_fee NUMERIC(10, 2),
+  min_order_value NUMERIC(10, 2),
+  accepts_delivery BOOLEAN DEFAULT true,
+  accepts_pickup BOOLEAN DEFAULT true,
+  contact_phone VARCHAR(50),
+  contact_email VARCHAR(255),
+  social_instagram VARCHAR(255),
+  social_facebook VARCHAR(255),
+  social_whatsapp VARCHAR(50),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  password VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL DEFAULT 'OWNER',
+  commerce_id INTEGER REFERENCES commerces(id) ON DELETE SET NULL,
+  first_name VARCHAR(100),
+  last_name VARCHAR(100),
+  dni VARCHAR(30),
+  address VARCHAR(255),
+  phone VARCHAR(50),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS users_commerce_id_idx ON users (commerce_id);
+
+CREATE TABLE IF NOT EXISTS categories (
+  id SERIAL PRIMARY KEY,
+  commerce_id INTEGER NOT NULL REFERENCES commerces(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS categories_commerce_id_idx ON categories (commerce_id, position);
+
+CREATE TABLE IF NOT EXISTS products (
+  id SERIAL PRIMARY KEY,
+  commerce_id INTEGER NOT NULL REFERENCES commerces(id) ON DELETE CASCADE,
+  category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  price NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  image_url TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS products_commerce_id_idx ON products (commerce_id);
+CREATE INDEX IF NOT EXISTS products_category_id_idx ON products (category_id);
+
+CREATE TABLE IF NOT EXISTS product_options (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  required BOOLEAN NOT NULL DEFAULT false,
+  multiple BOOLEAN NOT NULL DEFAULT false,
+  max_selections INTEGER,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS product_options_product_id_idx ON product_options (product_id);
+
+CREATE TABLE IF NOT EXISTS option_items (
+  id SERIAL PRIMARY KEY,
+  option_id INTEGER NOT NULL REFERENCES product_options(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  price_addition NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  available BOOLEAN NOT NULL DEFAULT true,
+  image_url TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS option_items_option_id_idx ON option_items (option_id);
+
+-- Etiquetas (/api/tags) y sus asignaciones a productos, opciones e ítems
+CREATE TABLE IF NOT EXISTS tags (
+  id SERIAL PRIMARY KEY,
+  commerce_id INTEGER NOT NULL REFERENCES commerces(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  color VARCHAR(20) NOT NULL,
+  text_color VARCHAR(20) NOT NULL DEFAULT '#FFFFFF',
+  type VARCHAR(20) NOT NULL CHECK (type IN ('product', 'option', 'item')),
+  visible BOOLEAN NOT NULL DEFAULT true,
+  priority INTEGER NOT NULL DEFAULT 0,
+  discount NUMERIC(10, 2),
+  disable_selection BOOLEAN NOT NULL DEFAULT false,
+  is_recommended BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS tags_commerce_id_idx ON tags (commerce_id);
+
+CREATE TABLE IF NOT EXISTS product_tags (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (product_id, tag_id)
+);
+
+CREATE TABLE IF NOT EXISTS option_tags (
+  id SERIAL PRIMARY KEY,
+  option_id INTEGER NOT NULL REFERENCES product_options(id) ON DELETE CASCADE,
+  tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (option_id, tag_id)
+);
+
+CREATE TABLE IF NOT EXISTS item_tags (
+  id SERIAL PRIMARY KEY,
+  item_id INTEGER NOT NULL REFERENCES option_items(id) ON DELETE CASCADE,
+  tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (item_id, tag_id)
+);
+
+-- Columnas que se fueron agregando a mano: en las bases creadas antes pueden faltar
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS business_category VARCHAR(100);
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS logo_url TEXT;
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS banner_url TEXT;
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS is_open BOOLEAN DEFAULT true;
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS working_hours JSONB;
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS delivery_time VARCHAR(50);
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS delivery_fee NUMERIC(10, 2);
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS min_order_value NUMERIC(10, 2);
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS accepts_delivery BOOLEAN DEFAULT true;
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS accepts_pickup BOOLEAN DEFAULT true;
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS contact_phone VARCHAR(50);
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS contact_email VARCHAR(255);
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS social_instagram VARCHAR(255);
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS social_facebook VARCHAR(255);
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS social_whatsapp VARCHAR(50);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS first_name VARCHAR(100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_name VARCHAR(100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS dni VARCHAR(30);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS address VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS phone VARCHAR(50);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NOT NULL DEFAULT NOW();
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS image_url TEXT;
+ALTER TABLE option_items ADD COLUMN IF NOT EXISTS image_url TEXT;
+
+ALTER TABLE tags ADD COLUMN IF NOT EXISTS text_color VARCHAR(20) NOT NULL DEFAULT '#FFFFFF';
+ALTER TABLE tags ADD COLUMN IF NOT EXISTS discount NUMERIC(10, 2);
+ALTER TABLE tags ADD COLUMN IF NOT EXISTS disable_selection BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE tags ADD COLUMN IF NOT EXISTS is_recommended BOOLEAN NOT NULL DEFAULT false;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS item_tags;
+DROP TABLE IF EXISTS option_tags;
+DROP TABLE IF EXISTS product_tags;
+DROP TABLE IF EXISTS tags;
+DROP TABLE IF EXISTS option_items;
+DROP TABLE IF EXISTS product_options;
+DROP TABLE IF EXISTS products;
+DROP TABLE IF EXISTS categories;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS commerces;
@@ -0,0 +1,64 @@
+-- migrations/002_orders.sql
+-- Pedidos enviados desde la carta pública (POST /api/public/:subdomain/orders)
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS orders (
+  id SERIAL PRIMARY KEY,
+  commerce_id INTEGER NOT NULL REFERENCES commerces(id),
+  tracking_code VARCHAR(32) NOT NULL UNIQUE,
+  status VARCHAR(30) NOT NULL DEFAULT 'received',
+  fulfillment_type VARCHAR(20) NOT NULL CHECK (fulfillment_type IN ('delivery', 'pickup')),
+  customer_name VARCHAR(255),
+  customer_phone VARCHAR(50),
+  customer_address TEXT,
+  notes TEXT,
+  subtotal NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  delivery_fee NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  total NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS orders_commerce_id_created_at_idx ON orders (commerce_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS order_items (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+  product_name VARCHAR(255) NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  base_price NUMERIC(10, 2) NOT NULL,
+  unit_price NUMERIC(10, 2) NOT NULL,
+  line_total NUMERIC(10, 2) NOT NULL,
+  applied_tag_id INTEGER,
+  options JSONB NOT NULL DEFAULT '[]',
+  notes TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS order_items_order_id_idx ON order_items (order_id);
+
+-- Flujo de estados de pedidos (/api/orders)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS status_reason TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP NOT NULL DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS orders_commerce_id_status_idx ON orders (commerce_id, status);
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  from_status VARCHAR(30),
+  to_status VARCHAR(30) NOT NULL,
+  reason TEXT,
+  changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS order_status_history_order_id_idx ON order_status_history (order_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS order_status_history;
+DROP TABLE IF EXISTS order_items;
+DROP TABLE IF EXISTS orders;
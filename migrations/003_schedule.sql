@@ -0,0 +1,27 @@
+-- migrations/003_schedule.sql
+-- Horarios de atención: zona horaria por comercio y excepciones por fecha
+
+-- migrate:up
+
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+
+CREATE TABLE IF NOT EXISTS commerce_schedule_exceptions (
+  id SERIAL PRIMARY KEY,
+  commerce_id INTEGER NOT NULL REFERENCES commerces(id) ON DELETE CASCADE,
+  date_from DATE NOT NULL,
+  date_to DATE NOT NULL,
+  closed BOOLEAN NOT NULL DEFAULT true,
+  ranges JSONB,
+  reason VARCHAR(255),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (date_to >= date_from)
+);
+
+CREATE INDEX IF NOT EXISTS commerce_schedule_exceptions_commerce_id_idx
+  ON commerce_schedule_exceptions (commerce_id, date_from);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS commerce_schedule_exceptions;
+ALTER TABLE commerces DROP COLUMN IF EXISTS timezone;
@@ -0,0 +1,12 @@
+-- migrations/004_availability.sql
+-- Ventanas de disponibilidad de categorías y productos (ver services/availability.js)
+
+-- migrate:up
+
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS availability JSONB;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS availability JSONB;
+
+-- migrate:down
+
+ALTER TABLE products DROP COLUMN IF EXISTS availability;
+ALTER TABLE categories DROP COLUMN IF EXISTS availability;
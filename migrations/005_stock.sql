@@ -0,0 +1,28 @@
+-- migrations/005_stock.sql
+-- Estado de disponibilidad y stock de productos
+
+-- migrate:up
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS availability_status VARCHAR(20) NOT NULL DEFAULT 'available';
+ALTER TABLE products ADD COLUMN IF NOT EXISTS sold_out_until TIMESTAMP;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS stock INTEGER CHECK (stock IS NULL OR stock >= 0);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'products_availability_status_check') THEN
+    ALTER TABLE products ADD CONSTRAINT products_availability_status_check
+      CHECK (availability_status IN ('available', 'sold_out', 'hidden'));
+  END IF;
+END $$;
+
+-- Marca de stock descontado para no descontar dos veces el mismo pedido
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS stock_reserved BOOLEAN NOT NULL DEFAULT false;
+
+-- migrate:down
+
+ALTER TABLE orders DROP COLUMN IF EXISTS stock_reserved;
+
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_availability_status_check;
+ALTER TABLE products DROP COLUMN IF EXISTS stock;
+ALTER TABLE products DROP COLUMN IF EXISTS sold_out_until;
+ALTER TABLE products DROP COLUMN IF EXISTS availability_status;
@@ -0,0 +1,18 @@
+-- migrations/006_pricing.sql
+-- Descuentos por etiqueta: tipo (porcentaje o importe fijo), vigencia y regla por comercio
+
+-- migrate:up
+
+ALTER TABLE tags ADD COLUMN IF NOT EXISTS discount_type VARCHAR(20) NOT NULL DEFAULT 'percentage';
+ALTER TABLE tags ADD COLUMN IF NOT EXISTS valid_from TIMESTAMP;
+ALTER TABLE tags ADD COLUMN IF NOT EXISTS valid_until TIMESTAMP;
+
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS discount_rule VARCHAR(20) NOT NULL DEFAULT 'priority';
+
+-- migrate:down
+
+ALTER TABLE commerces DROP COLUMN IF EXISTS discount_rule;
+
+ALTER TABLE tags DROP COLUMN IF EXISTS valid_until;
+ALTER TABLE tags DROP COLUMN IF EXISTS valid_from;
+ALTER TABLE tags DROP COLUMN IF EXISTS discount_type;
@@ -0,0 +1,49 @@
+-- migrations/007_coupons.sql
+-- Cupones de descuento por comercio (/api/coupons y /api/public/:subdomain/coupons/validate)
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS coupons (
+  id SERIAL PRIMARY KEY,
+  commerce_id INTEGER NOT NULL REFERENCES commerces(id) ON DELETE CASCADE,
+  code VARCHAR(50) NOT NULL,
+  description VARCHAR(255),
+  discount_type VARCHAR(20) NOT NULL DEFAULT 'percentage' CHECK (discount_type IN ('percentage', 'fixed')),
+  discount_value NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (discount_value >= 0),
+  free_delivery BOOLEAN NOT NULL DEFAULT false,
+  min_order_value NUMERIC(10, 2),
+  max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+  max_uses_per_customer INTEGER CHECK (max_uses_per_customer IS NULL OR max_uses_per_customer > 0),
+  valid_from TIMESTAMP,
+  valid_until TIMESTAMP,
+  category_ids INTEGER[] NOT NULL DEFAULT '{}',
+  product_ids INTEGER[] NOT NULL DEFAULT '{}',
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (commerce_id, code)
+);
+
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+  id SERIAL PRIMARY KEY,
+  coupon_id INTEGER NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+  order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+  customer_key VARCHAR(50),
+  discount_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS coupon_redemptions_coupon_id_idx ON coupon_redemptions (coupon_id, customer_key);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_id INTEGER REFERENCES coupons(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_total NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+-- migrate:down
+
+ALTER TABLE orders DROP COLUMN IF EXISTS discount_total;
+ALTER TABLE orders DROP COLUMN IF EXISTS coupon_code;
+ALTER TABLE orders DROP COLUMN IF EXISTS coupon_id;
+
+DROP TABLE IF EXISTS coupon_redemptions;
+DROP TABLE IF EXISTS coupons;
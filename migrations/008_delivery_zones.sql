@@ -0,0 +1,43 @@
+-- migrations/008_delivery_zones.sql
+-- Zonas de envío por comercio (polígonos GeoJSON o radios desde la ubicación del local)
+
+-- migrate:up
+
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS latitude NUMERIC(9, 6);
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS longitude NUMERIC(9, 6);
+
+CREATE TABLE IF NOT EXISTS delivery_zones (
+  id SERIAL PRIMARY KEY,
+  commerce_id INTEGER NOT NULL REFERENCES commerces(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  zone_type VARCHAR(20) NOT NULL CHECK (zone_type IN ('polygon', 'radius')),
+  geometry JSONB,
+  radius_km NUMERIC(8, 3) CHECK (radius_km IS NULL OR radius_km > 0),
+  delivery_fee NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (delivery_fee >= 0),
+  min_order_value NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (min_order_value >= 0),
+  eta_minutes INTEGER CHECK (eta_minutes IS NULL OR eta_minutes > 0),
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (
+    (zone_type = 'polygon' AND geometry IS NOT NULL) OR
+    (zone_type = 'radius' AND radius_km IS NOT NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS delivery_zones_commerce_id_idx ON delivery_zones (commerce_id);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_zone_id INTEGER REFERENCES delivery_zones(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS customer_latitude NUMERIC(9, 6);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS customer_longitude NUMERIC(9, 6);
+
+-- migrate:down
+
+ALTER TABLE orders DROP COLUMN IF EXISTS customer_longitude;
+ALTER TABLE orders DROP COLUMN IF EXISTS customer_latitude;
+ALTER TABLE orders DROP COLUMN IF EXISTS delivery_zone_id;
+
+DROP TABLE IF EXISTS delivery_zones;
+
+ALTER TABLE commerces DROP COLUMN IF EXISTS longitude;
+ALTER TABLE commerces DROP COLUMN IF EXISTS latitude;
@@ -0,0 +1,25 @@
+-- migrations/009_sessions.sql
+-- Sesiones de usuario: refresh tokens rotativos (guardados como hash) y revocación
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+  previous_token_hash CHAR(64),
+  user_agent VARCHAR(255),
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS user_sessions_user_id_idx ON user_sessions (user_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS user_sessions_previous_token_hash_idx ON user_sessions (previous_token_hash);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS user_sessions;
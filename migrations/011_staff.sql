@@ -0,0 +1,24 @@
+-- migrations/011_staff.sql
+-- Invitaciones para sumar personal (MANAGER, CASHIER, KITCHEN) a un comercio
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS staff_invitations (
+  id SERIAL PRIMARY KEY,
+  commerce_id INTEGER NOT NULL REFERENCES commerces(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('MANAGER', 'CASHIER', 'KITCHEN')),
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP,
+  accepted_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS staff_invitations_commerce_id_idx ON staff_invitations (commerce_id, email);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS staff_invitations;
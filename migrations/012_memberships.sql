@@ -0,0 +1,38 @@
+-- migrations/012_memberships.sql
+-- Un usuario puede pertenecer a varios comercios, con un rol en cada uno.
+-- users.commerce_id queda como comercio por defecto al iniciar sesión.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS commerce_memberships (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  commerce_id INTEGER NOT NULL REFERENCES commerces(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('OWNER', 'MANAGER', 'CASHIER', 'KITCHEN')),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, commerce_id)
+);
+
+CREATE INDEX IF NOT EXISTS commerce_memberships_commerce_id_idx ON commerce_memberships (commerce_id);
+
+-- Migrar las asignaciones existentes (un comercio por usuario)
+INSERT INTO commerce_memberships (user_id, commerce_id, role)
+SELECT id, commerce_id, role
+FROM users
+WHERE commerce_id IS NOT NULL AND role IN ('OWNER', 'MANAGER', 'CASHIER', 'KITCHEN')
+ON CONFLICT (user_id, commerce_id) DO NOTHING;
+
+-- Comercio activo de cada sesión (lo cambia POST /api/auth/switch-commerce)
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS active_commerce_id INTEGER REFERENCES commerces(id) ON DELETE SET NULL;
+
+UPDATE user_sessions s
+SET active_commerce_id = u.commerce_id
+FROM users u
+WHERE u.id = s.user_id AND s.active_commerce_id IS NULL AND s.revoked_at IS NULL;
+
+-- migrate:down
+
+ALTER TABLE user_sessions DROP COLUMN IF EXISTS active_commerce_id;
+
+DROP TABLE IF EXISTS commerce_memberships;
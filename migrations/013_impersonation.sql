@@ -0,0 +1,39 @@
+-- migrations/013_impersonation.sql
+-- Suplantación de comercios por un SUPERUSER (soporte) y registro de cada petición hecha con ese token
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS impersonations (
+  id SERIAL PRIMARY KEY,
+  superuser_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  session_id INTEGER REFERENCES user_sessions(id) ON DELETE SET NULL,
+  commerce_id INTEGER NOT NULL REFERENCES commerces(id) ON DELETE CASCADE,
+  owner_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reason VARCHAR(255),
+  ip_address VARCHAR(64),
+  user_agent VARCHAR(255),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  ended_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS impersonations_superuser_id_idx ON impersonations (superuser_id);
+CREATE INDEX IF NOT EXISTS impersonations_commerce_id_idx ON impersonations (commerce_id);
+
+CREATE TABLE IF NOT EXISTS impersonation_requests (
+  id SERIAL PRIMARY KEY,
+  impersonation_id INTEGER NOT NULL REFERENCES impersonations(id) ON DELETE CASCADE,
+  method VARCHAR(10) NOT NULL,
+  path VARCHAR(500) NOT NULL,
+  status_code INTEGER,
+  duration_ms INTEGER,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS impersonation_requests_impersonation_id_idx ON impersonation_requests (impersonation_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS impersonation_requests;
+DROP TABLE IF EXISTS impersonations;
@@ -0,0 +1,31 @@
+-- migrations/014_login_throttle.sql
+-- Protección contra fuerza bruta: fallos por IP y por cuenta, bloqueos temporales y límites de peticiones
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS auth_failures (
+  key VARCHAR(320) PRIMARY KEY,
+  failures INTEGER NOT NULL DEFAULT 0,
+  first_failed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_failed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key VARCHAR(320) PRIMARY KEY,
+  hits INTEGER NOT NULL DEFAULT 0,
+  window_started_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS auth_failures_last_failed_at_idx ON auth_failures (last_failed_at);
+CREATE INDEX IF NOT EXISTS rate_limits_window_started_at_idx ON rate_limits (window_started_at);
+
+-- Enlace de desbloqueo que se envía por email al bloquear una cuenta
+ALTER TABLE user_tokens DROP CONSTRAINT IF EXISTS user_tokens_purpose_check;
+ALTER TABLE user_tokens ADD CONSTRAINT user_tokens_purpose_check
+  CHECK (purpose IN ('password_reset', 'email_verification', 'account_unlock'));
+
+-- migrate:down
+
+DROP TABLE IF EXISTS rate_limits;
+DROP TABLE IF EXISTS auth_failures;
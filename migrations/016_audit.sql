@@ -0,0 +1,28 @@
+-- migrations/016_audit.sql
+-- Historial de cambios de catálogo, comercios y cuentas.
+-- commerce_id y los ids de usuario no tienen clave foránea: el historial se conserva aunque se borren.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  actor_user_id INTEGER,
+  actor_role VARCHAR(20),
+  impersonator_id INTEGER,
+  impersonation_id INTEGER,
+  commerce_id INTEGER,
+  entity_type VARCHAR(40) NOT NULL,
+  entity_id INTEGER,
+  action VARCHAR(40) NOT NULL,
+  changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_commerce_id_created_at_idx ON audit_log (commerce_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log (entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS audit_log_actor_user_id_idx ON audit_log (actor_user_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS audit_log;
@@ -0,0 +1,46 @@
+-- migrations/017_soft_delete.sql
+-- Papelera: comercios, categorías, productos, opciones e ítems se marcan como eliminados
+-- y se borran de verdad (con sus imágenes) al vencer el plazo de retención.
+-- Lo que se elimina junto con su padre comparte el mismo deleted_at (así se restaura junto).
+
+-- migrate:up
+
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE commerces ADD COLUMN IF NOT EXISTS deleted_by INTEGER;
+
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS deleted_by INTEGER;
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS deleted_by INTEGER;
+
+ALTER TABLE product_options ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE product_options ADD COLUMN IF NOT EXISTS deleted_by INTEGER;
+
+ALTER TABLE option_items ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE option_items ADD COLUMN IF NOT EXISTS deleted_by INTEGER;
+
+-- Índices parciales para la papelera y la purga
+CREATE INDEX IF NOT EXISTS commerces_deleted_at_idx ON commerces (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS categories_deleted_at_idx ON categories (commerce_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS products_deleted_at_idx ON products (commerce_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS product_options_deleted_at_idx ON product_options (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS option_items_deleted_at_idx ON option_items (deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- migrate:down
+
+-- Los índices parciales se eliminan junto con las columnas
+ALTER TABLE option_items DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE option_items DROP COLUMN IF EXISTS deleted_at;
+
+ALTER TABLE product_options DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE product_options DROP COLUMN IF EXISTS deleted_at;
+
+ALTER TABLE products DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE products DROP COLUMN IF EXISTS deleted_at;
+
+ALTER TABLE categories DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE categories DROP COLUMN IF EXISTS deleted_at;
+
+ALTER TABLE commerces DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE commerces DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,21 @@
+-- migrations/018_media_cleanup.sql
+-- Cola de imágenes de Cloudinary por borrar. Se encola en la misma transacción que borra las filas
+-- y la purga periódica (services/trash.js) las elimina, reintentando las que fallen.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS media_cleanup_queue (
+  id SERIAL PRIMARY KEY,
+  url TEXT NOT NULL,
+  reason VARCHAR(60),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS media_cleanup_queue_pending_idx ON media_cleanup_queue (created_at) WHERE processed_at IS NULL;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS media_cleanup_queue;
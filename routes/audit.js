@@ -0,0 +1,102 @@
+// routes/audit.js
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../services/db');
+const requirePermission = require('../middlewares/permissionMiddleware');
+const validate = require('../middlewares/validationMiddleware');
+const { PERMISSIONS, hasPermission } = require('../services/permissions');
+const { ENTITY_TYPES, AUDIT_ACTIONS } = require('../services/audit');
+
+const LIST_QUERY = {
+  commerce_id: { type: 'id' },
+  entity_type: { type: 'enum', values: Object.values(ENTITY_TYPES) },
+  entity_id: { type: 'id' },
+  action: { type: 'enum', values: Object.values(AUDIT_ACTIONS) },
+  actor_user_id: { type: 'id' },
+  impersonated: { type: 'boolean' },
+  from: { type: 'datetime' },
+  to: { type: 'datetime' },
+  limit: { type: 'integer', min: 1, max: 200 },
+  offset: { type: 'integer', min: 0 }
+};
+
+/**
+ * GET /api/audit
+ * Historial de cambios. El OWNER ve solo su comercio; el SUPERUSER ve todos (o filtra con commerce_id).
+ * Filtros opcionales (query): commerce_id, entity_type, entity_id, action, actor_user_id,
+ * impersonated (true/false), from, to (fechas ISO), limit, offset
+ */
+router.get('/', requirePermission(PERMISSIONS.AUDIT_VIEW), validate({ query: LIST_QUERY }), async (req, res) => {
+  try {
+    const { entity_type, entity_id, action, actor_user_id, impersonated, from, to, limit = 50, offset = 0 } = req.query;
+
+    const conditions = [];
+    const values = [];
+
+    if (hasPermission(req.user, PERMISSIONS.PLATFORM_ADMIN)) {
+      if (req.query.commerce_id) {
+        values.push(req.query.commerce_id);
+        conditions.push(`a.commerce_id = $${values.length}`);
+      }
+    } else {
+      if (!req.user.commerceId) {
+        return res.status(400).json({ error: 'No se encontró commerce_id para el usuario' });
+      }
+      values.push(req.user.commerceId);
+      conditions.push(`a.commerce_id = $${values.length}`);
+    }
+
+    if (entity_type) {
+      values.push(entity_type);
+      conditions.push(`a.entity_type = $${values.length}`);
+    }
+
+    if (action) {
+      values.push(action);
+      conditions.push(`a.action = $${values.length}`);
+    }
+
+    for (const [param, column] of [[entity_id, 'a.entity_id'], [actor_user_id, 'a.actor_user_id']]) {
+      if (param === undefined || param === null) continue;
+      values.push(param);
+      conditions.push(`${column} = $${values.length}`);
+    }
+
+    if (impersonated !== undefined && impersonated !== null) {
+      conditions.push(impersonated ? 'a.impersonator_id IS NOT NULL' : 'a.impersonator_id IS NULL');
+    }
+
+    for (const [param, operator] of [[from, '>='], [to, '<=']]) {
+      if (!param) continue;
+      values.push(param);
+      conditions.push(`a.created_at ${operator} $${values.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM audit_log a ${whereClause}`, values);
+
+    const query = `
+      SELECT a.*, actor.email AS actor_email, impersonator.email AS impersonator_email
+      FROM audit_log a
+      LEFT JOIN users actor ON actor.id = a.actor_user_id
+      LEFT JOIN users impersonator ON impersonator.id = a.impersonator_id
+      ${whereClause}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `;
+    const result = await pool.query(query, [...values, limit, offset]);
+
+    res.json({
+      entries: result.rows,
+      total: countResult.rows[0].total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Error en GET /audit:', error);
+    res.status(500).json({ error: 'Error al obtener el historial' });
+  }
+});
+
+module.exports = router;
@@ -3,23 +3,74 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { Pool } = require('pg');
+const { pool, withTransaction } = require('../services/db');
 const authMiddleware = require('../middlewares/authMiddleware');
+const {
+  createSession,
+  rotateSession,
+  switchSessionCommerce,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+  checkSession
+} = require('../services/sessions');
+const {
+  TOKEN_PURPOSES,
+  consumeToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountUnlockEmail
+} = require('../services/accountTokens');
+const { acceptInvitation } = require('../services/staff');
+const { startImpersonation, endImpersonation, checkImpersonation } = require('../services/impersonation');
+const {
+  isTwoFactorRequired,
+  startEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  countRecoveryCodes,
+  issueLoginChallenge,
+  verifyLoginChallenge
+} = require('../services/twoFactor');
+const requirePermission = require('../middlewares/permissionMiddleware');
+const rateLimit = require('../middlewares/rateLimitMiddleware');
+const validate = require('../middlewares/validationMiddleware');
+const {
+  failureKeys,
+  checkAttempt,
+  recordFailure,
+  clearAccountFailures,
+  sendTooManyRequests
+} = require('../services/loginThrottle');
+const { PERMISSIONS, ROLES, hasPermission } = require('../services/permissions');
+const {
+  listMemberships,
+  findMembership,
+  addMembership,
+  resolveLoginContext
+} = require('../services/memberships');
+const { fieldError, validationResponse, validationError, idParams } = require('../services/validation');
 
-// Forzar que la cadena de conexión incluya sslmode=require
-let connectionString = process.env.DATABASE_URL;
-if (connectionString && !connectionString.includes('sslmode=require')) {
-  connectionString += connectionString.includes('?') ? '&sslmode=require' : '?sslmode=require';
-}
+const MIN_PASSWORD_LENGTH = 6;
 
-// 2. Crear la instancia de Pool para conectarnos a PostgreSQL con SSL forzado
-const pool = new Pool({
-  connectionString: connectionString,
-  ssl: {
-    require: true,
-    rejectUnauthorized: false,
-  },
-});
+// Contraseña nueva; bcrypt solo usa los primeros 72 bytes
+const NEW_PASSWORD = { type: 'string', required: true, minLength: MIN_PASSWORD_LENGTH, maxLength: 72 };
+// Contraseña actual: solo se exige que venga (el largo mínimo pudo cambiar después de crearla)
+const CURRENT_PASSWORD = { type: 'string', required: true, maxLength: 255 };
+const TOKEN = { type: 'string', required: true, maxLength: 1024 };
+const TWO_FACTOR_CODE = { type: 'string', maxLength: 64 };
+
+// Límites por IP de los endpoints públicos (la protección por cuenta está en services/loginThrottle.js)
+const RATE_LIMITS = {
+  login: { max: 30, windowSeconds: 15 * 60 },
+  register: { max: 10, windowSeconds: 60 * 60 },
+  refresh: { max: 120, windowSeconds: 15 * 60 },
+  emailLinks: { max: 10, windowSeconds: 60 * 60 },
+  tokens: { max: 30, windowSeconds: 15 * 60 },
+  checkEmail: { max: 30, windowSeconds: 15 * 60 }
+};
 
 // 3. Ruta de prueba para verificar que el router funciona correctamente
 router.get('/', (req, res) => {
@@ -28,6 +79,8 @@ router.get('/', (req, res) => {
 
 /**
  * Helper: Decodificar token (si existe) para saber quién está registrando al nuevo usuario.
+ * Hace las mismas comprobaciones que authMiddleware: un token de una sesión cerrada, de una
+ * suplantación terminada o de un usuario cuyo rol cambió cuenta como si no se hubiera enviado.
  * Retorna null si no hay token o si no es válido.
  */
 async function decodeTokenIfExists(req) {
@@ -38,21 +91,118 @@ async function decodeTokenIfExists(req) {
   const token = header.split(' ')[1];
   if (!token) return null;
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    return decoded; // Ej: { userId, role, commerceId, iat, exp }
+    decoded = jwt.verify(token, process.env.JWT_SECRET); // Ej: { userId, role, commerceId, sid, iat, exp }
   } catch (error) {
-    console.error('Error al verificar token en /register:', error);
+    console.error('Error al verificar token:', error.message);
     return null;
   }
+
+  const sessionError = decoded.impersonated
+    ? await checkImpersonation(pool, decoded)
+    : await checkSession(pool, decoded);
+  return sessionError ? null : decoded;
+}
+
+/**
+ * Helper: rechaza las operaciones sobre la cuenta del usuario cuando el token es de suplantación
+ * (el SUPERUSER actúa sobre el comercio, no sobre las sesiones ni los datos personales del OWNER).
+ */
+function rejectImpersonation(req, res, next) {
+  if (req.user && req.user.impersonated) {
+    return res.status(403).json({ error: 'Operación no permitida durante una suplantación', code: 'IMPERSONATION_FORBIDDEN' });
+  }
+  next();
+}
+
+/**
+ * Helper: registra un intento de contraseña fallido y, si con él se bloquea la cuenta,
+ * envía al titular el enlace de desbloqueo (un error de correo no cambia la respuesta).
+ */
+async function registerFailedAttempt(req, email, user) {
+  const locked = await recordFailure(pool, failureKeys(req, email));
+
+  if (user && locked.some(entry => entry.policy === 'account')) {
+    console.warn(`Cuenta ${user.id} bloqueada temporalmente por intentos fallidos`);
+    try {
+      await sendAccountUnlockEmail(pool, user);
+    } catch (mailError) {
+      console.error('Error enviando el email de desbloqueo:', mailError);
+    }
+  }
+}
+
+/**
+ * Helper: abre la sesión de un usuario ya autenticado (contraseña y, si corresponde, segundo paso)
+ * y responde con los tokens. extra se agrega a la respuesta.
+ */
+async function respondWithNewSession(req, res, user, extra = {}) {
+  // Crear la sesión (en su comercio por defecto) y generar el token JWT con la información necesaria
+  const context = await resolveLoginContext(pool, user);
+  const session = await createSession(pool, context, req);
+  console.log(`Sesión ${session.session_id} creada para el usuario ${user.id}`);
+
+  // 🔹 Ahora enviamos el role en la respuesta JSON
+  return res.json({
+    message: 'Inicio de sesión exitoso',
+    token: session.token,
+    refresh_token: session.refresh_token,
+    role: context.role, // ✅ Agregado para que el frontend lo pueda leer correctamente
+    commerce_id: context.commerce_id,
+    ...extra
+  });
+}
+
+/**
+ * Helper: identifica al usuario de los endpoints de alta de 2FA.
+ * Acepta el challenge_token del login (SUPERUSER que aún no configuró la 2FA) o el JWT de una sesión.
+ */
+function twoFactorUser(req, res, next) {
+  const { challenge_token } = req.body || {};
+
+  if (challenge_token) {
+    const userId = verifyLoginChallenge(challenge_token);
+    if (!userId) {
+      return res.status(401).json({ error: 'El inicio de sesión expiró, vuelve a ingresar', code: 'TWO_FACTOR_CHALLENGE_INVALID' });
+    }
+    req.twoFactorUserId = userId;
+    req.fromLoginChallenge = true;
+    return next();
+  }
+
+  authMiddleware(req, res, () => {
+    if (req.user.impersonated) {
+      return res.status(403).json({ error: 'Operación no permitida durante una suplantación', code: 'IMPERSONATION_FORBIDDEN' });
+    }
+    req.twoFactorUserId = req.user.userId;
+    req.fromLoginChallenge = false;
+    next();
+  });
+}
+
+async function findUserById(userId) {
+  const result = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+  return result.rows[0] || null;
 }
 
 /**
  * 4. Endpoint para registrar un nuevo usuario
  * - Si NO hay token o el usuario logueado NO es SUPERUSER, forzamos role='OWNER' y commerce_id=NULL.
  * - Si quien registra ES SUPERUSER, puede asignar role y commerce_id en el body.
+ * - Envía un email con el enlace para verificar la cuenta.
  */
-router.post('/register', async (req, res) => {
+router.post('/register', rateLimit('register', RATE_LIMITS.register), validate({
+  body: {
+    email: { type: 'email', required: true },
+    password: NEW_PASSWORD,
+    role: {
+      type: 'string',
+      custom: role => (Object.values(ROLES).includes(role.toUpperCase()) ? null : `role debe ser uno de: ${Object.values(ROLES).join(', ')}`)
+    },
+    commerce_id: { type: 'id' }
+  }
+}), async (req, res) => {
   try {
     // Extraer campos del body
     const { email, password, role, commerce_id } = req.body;
@@ -60,7 +210,9 @@ router.post('/register', async (req, res) => {
     // 4.1 Verificar si el usuario ya existe
     const userExist = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
     if (userExist.rows.length > 0) {
-      return res.status(400).json({ error: 'El usuario ya existe' });
+      return res.status(400).json(validationResponse([
+        fieldError('email', 'body', 'ALREADY_IN_USE', 'El usuario ya existe')
+      ]));
     }
 
     // 4.2 Verificar quién hace la petición (SUPERUSER o no)
@@ -69,7 +221,7 @@ router.post('/register', async (req, res) => {
     let finalRole = 'OWNER';
     let finalCommerceId = null;
 
-    if (decoded && decoded.role === 'SUPERUSER') {
+    if (hasPermission(decoded, PERMISSIONS.PLATFORM_ADMIN)) {
       // El usuario que crea es SUPERUSER, puede asignar role y commerce_id personalizados
       finalRole = role || 'OWNER';
       finalCommerceId = commerce_id || null;
@@ -95,9 +247,24 @@ router.post('/register', async (req, res) => {
     const values = [email, hashedPassword, finalRole, finalCommerceId];
     const newUser = await pool.query(query, values);
 
+    // El comercio asignado también queda como membresía del usuario
+    if (finalCommerceId && finalRole !== ROLES.SUPERUSER) {
+      await addMembership(pool, newUser.rows[0].id, finalCommerceId, finalRole);
+    }
+
+    // 4.5 Enviar el email de verificación (un fallo del correo no impide el registro)
+    let verificationSent = true;
+    try {
+      await sendVerificationEmail(pool, newUser.rows[0]);
+    } catch (mailError) {
+      verificationSent = false;
+      console.error('Error enviando email de verificación:', mailError);
+    }
+
     return res.status(201).json({
       message: 'Usuario registrado exitosamente',
       user: newUser.rows[0],
+      email_verification_sent: verificationSent,
     });
 
   } catch (error) {
@@ -108,47 +275,705 @@ router.post('/register', async (req, res) => {
 
 /**
  * 5. Endpoint para iniciar sesión
- * - Genera un token JWT que incluye: userId, role y commerce_id.
+ * - Crea una sesión y genera un token JWT que incluye: userId, role, commerce_id y sid.
+ * - Devuelve también un refresh_token para renovar el JWT con POST /api/auth/refresh.
  * - Ahora también devuelve el role en la respuesta JSON.
+ * - Tras varios fallos exige esperar entre intentos y luego bloquea la IP o la cuenta (429 con Retry-After).
+ * - Si la cuenta tiene verificación en dos pasos (obligatoria para SUPERUSER) no crea la sesión:
+ *   devuelve { two_factor_required, two_factor_setup_required, challenge_token } para POST /api/auth/login/2fa
+ *   (o para configurarla con /api/auth/2fa/setup y /api/auth/2fa/enable si aún no lo hizo).
  */
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit('login', RATE_LIMITS.login), validate({
+  body: {
+    email: { type: 'string', required: true, maxLength: 255 },
+    password: CURRENT_PASSWORD
+  }
+}), async (req, res) => {
   const { email, password } = req.body;
 
   try {
+    const blocked = await checkAttempt(pool, failureKeys(req, email));
+    if (blocked) {
+      return sendTooManyRequests(res, blocked);
+    }
+
     // Buscar al usuario por email
     const userResult = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
     if (userResult.rows.length === 0) {
+      await registerFailedAttempt(req, email, null);
       return res.status(400).json({ error: 'Credenciales inválidas' });
     }
 
     const user = userResult.rows[0];
-    console.log('Usuario encontrado:', user);
 
     // Comparar la contraseña ingresada con la almacenada
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      await registerFailedAttempt(req, email, user);
       return res.status(400).json({ error: 'Credenciales inválidas' });
     }
 
-    // Generar un token JWT con la información necesaria
-    const payload = {
-      userId: user.id,
-      role: user.role,
-      commerceId: user.commerce_id,
-    };
+    await clearAccountFailures(pool, user.email);
+
+    if (user.totp_enabled_at || isTwoFactorRequired(user)) {
+      return res.json({
+        message: user.totp_enabled_at
+          ? 'Ingresa el código de tu app de autenticación'
+          : 'Debes configurar la verificación en dos pasos para continuar',
+        two_factor_required: true,
+        two_factor_setup_required: !user.totp_enabled_at,
+        challenge_token: issueLoginChallenge(user)
+      });
+    }
+
+    return respondWithNewSession(req, res, user);
+
+  } catch (error) {
+    console.error('Error en /login:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
+
+/**
+ * 🔹 POST /api/auth/login/2fa
+ * Segundo paso del login: crea la sesión con el challenge_token de /login y un código TOTP
+ * o un código de recuperación (cada uno sirve una sola vez).
+ * Body: { challenge_token, code } o { challenge_token, recovery_code }
+ */
+router.post('/login/2fa', rateLimit('login', RATE_LIMITS.login), validate({
+  body: { challenge_token: TOKEN, code: TWO_FACTOR_CODE, recovery_code: TWO_FACTOR_CODE }
+}, { bodyAnyOf: [['code', 'recovery_code']] }), async (req, res) => {
+  const { challenge_token, code, recovery_code } = req.body || {};
+
+  try {
+    const userId = verifyLoginChallenge(challenge_token);
+    const user = userId ? await findUserById(userId) : null;
+    if (!user || !user.totp_enabled_at) {
+      return res.status(401).json({ error: 'El inicio de sesión expiró, vuelve a ingresar', code: 'TWO_FACTOR_CHALLENGE_INVALID' });
+    }
+
+    const blocked = await checkAttempt(pool, failureKeys(req, user.email));
+    if (blocked) {
+      return sendTooManyRequests(res, blocked);
+    }
+
+    const valid = await verifySecondFactor(pool, user, { code, recovery_code });
+    if (!valid) {
+      await registerFailedAttempt(req, user.email, user);
+      return res.status(401).json({ error: 'Código de verificación incorrecto', code: 'TWO_FACTOR_INVALID' });
+    }
+
+    await clearAccountFailures(pool, user.email);
+
+    const extra = recovery_code ? { recovery_codes_remaining: await countRecoveryCodes(pool, user.id) } : {};
+    return respondWithNewSession(req, res, user, extra);
+  } catch (error) {
+    console.error('Error en /login/2fa:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
+
+/**
+ * 🔹 GET /api/auth/2fa
+ * Estado de la verificación en dos pasos del usuario.
+ */
+router.get('/2fa', authMiddleware, rejectImpersonation, async (req, res) => {
+  try {
+    const user = await findUserById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    return res.json({
+      enabled: Boolean(user.totp_enabled_at),
+      enabled_at: user.totp_enabled_at,
+      required: isTwoFactorRequired(user),
+      recovery_codes_remaining: user.totp_enabled_at ? await countRecoveryCodes(pool, user.id) : 0
+    });
+  } catch (error) {
+    console.error('Error en GET /2fa:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
+
+/**
+ * 🔹 POST /api/auth/2fa/setup
+ * Inicia el alta de la 2FA: devuelve el secreto y la URI otpauth:// (para mostrar como QR).
+ * Autenticación: JWT de la sesión, o { challenge_token } del login si es obligatoria y aún no se configuró.
+ */
+router.post('/2fa/setup', rateLimit('2fa', RATE_LIMITS.tokens), twoFactorUser, async (req, res) => {
+  try {
+    const user = await findUserById(req.twoFactorUserId);
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const enrollment = await startEnrollment(pool, user);
+    return res.json(enrollment);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error('Error en /2fa/setup:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
+
+/**
+ * 🔹 POST /api/auth/2fa/enable
+ * Confirma el alta con un código de la app y devuelve los códigos de recuperación (se muestran una sola vez).
+ * Si se usó el challenge_token del login, también abre la sesión.
+ * Body: { code, challenge_token? }
+ */
+router.post('/2fa/enable', rateLimit('2fa', RATE_LIMITS.tokens), twoFactorUser, validate({
+  body: { code: { ...TWO_FACTOR_CODE, required: true } }
+}), async (req, res) => {
+  const { code } = req.body || {};
+
+  try {
+    const user = await findUserById(req.twoFactorUserId);
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const blocked = await checkAttempt(pool, failureKeys(req, user.email));
+    if (blocked) {
+      return sendTooManyRequests(res, blocked);
+    }
+
+    // Un código incorrecto cuenta como intento fallido, igual que en /login/2fa
+    let recoveryCodes;
+    try {
+      recoveryCodes = await enableTwoFactor(pool, user, code);
+    } catch (error) {
+      if (error.extra && error.extra.code === 'TWO_FACTOR_INVALID') {
+        await registerFailedAttempt(req, user.email, user);
+      }
+      throw error;
+    }
+
+    await clearAccountFailures(pool, user.email);
+
+    if (req.fromLoginChallenge) {
+      return respondWithNewSession(req, res, user, { recovery_codes: recoveryCodes });
+    }
+
+    return res.json({ message: 'Verificación en dos pasos activada', recovery_codes: recoveryCodes });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error('Error en /2fa/enable:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
+
+/**
+ * 🔹 POST /api/auth/2fa/recovery-codes
+ * Genera códigos de recuperación nuevos (los anteriores dejan de servir).
+ * Body: { code }
+ */
+router.post('/2fa/recovery-codes', authMiddleware, rejectImpersonation, validate({
+  body: { code: { ...TWO_FACTOR_CODE, required: true } }
+}), async (req, res) => {
+  const { code } = req.body || {};
+
+  try {
+    const user = await findUserById(req.user.userId);
+    if (!user || !user.totp_enabled_at) {
+      return res.status(400).json({ error: 'La verificación en dos pasos no está activada', code: 'TWO_FACTOR_SETUP_REQUIRED' });
+    }
+
+    const blocked = await checkAttempt(pool, failureKeys(req, user.email));
+    if (blocked) {
+      return sendTooManyRequests(res, blocked);
+    }
+
+    if (!(await verifySecondFactor(pool, user, { code }))) {
+      await registerFailedAttempt(req, user.email, user);
+      return res.status(401).json({ error: 'Código de verificación incorrecto', code: 'TWO_FACTOR_INVALID' });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(pool, user.id);
+    return res.json({ recovery_codes: recoveryCodes });
+  } catch (error) {
+    console.error('Error en /2fa/recovery-codes:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
+
+/**
+ * 🔹 POST /api/auth/2fa/disable
+ * Desactiva la 2FA (no disponible para SUPERUSER, que la tiene obligatoria).
+ * Body: { password, code } (code puede ser TOTP; también se acepta recovery_code)
+ */
+router.post('/2fa/disable', authMiddleware, rejectImpersonation, validate({
+  body: { password: CURRENT_PASSWORD, code: TWO_FACTOR_CODE, recovery_code: TWO_FACTOR_CODE }
+}, { bodyAnyOf: [['code', 'recovery_code']] }), async (req, res) => {
+  const { password, code, recovery_code } = req.body || {};
+
+  try {
+    const user = await findUserById(req.user.userId);
+    if (!user || !user.totp_enabled_at) {
+      return res.status(400).json({ error: 'La verificación en dos pasos no está activada', code: 'TWO_FACTOR_SETUP_REQUIRED' });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({ error: 'La verificación en dos pasos es obligatoria para tu cuenta', code: 'TWO_FACTOR_REQUIRED' });
+    }
+
+    const blocked = await checkAttempt(pool, failureKeys(req, user.email));
+    if (blocked) {
+      return sendTooManyRequests(res, blocked);
+    }
+
+    const isMatch = await bcrypt.compare(String(password || ''), user.password);
+    if (!isMatch || !(await verifySecondFactor(pool, user, { code, recovery_code }))) {
+      await registerFailedAttempt(req, user.email, user);
+      return res.status(401).json({ error: 'Contraseña o código de verificación incorrecto' });
+    }
+
+    await clearAccountFailures(pool, user.email);
+    await disableTwoFactor(pool, user.id);
+    return res.json({ message: 'Verificación en dos pasos desactivada' });
+  } catch (error) {
+    console.error('Error en /2fa/disable:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
+
+/**
+ * 🔹 POST /api/auth/refresh
+ * Cambia un refresh token por un JWT nuevo y un refresh token nuevo (el anterior deja de servir).
+ * Body: { refresh_token }
+ */
+router.post('/refresh', rateLimit('refresh', RATE_LIMITS.refresh), validate({
+  body: { refresh_token: TOKEN }
+}), async (req, res) => {
+  const { refresh_token } = req.body || {};
+
+  try {
+    const session = await rotateSession(pool, refresh_token, req);
+
+    return res.json({
+      token: session.token,
+      refresh_token: session.refresh_token,
+      role: session.user.role,
+      commerce_id: session.user.commerce_id
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error('Error en /refresh:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
+
+/**
+ * 🔹 GET /api/auth/me/commerces
+ * Lista los comercios a los que pertenece el usuario, con su rol en cada uno
+ * y cuál es el comercio activo del token.
+ */
+router.get('/me/commerces', authMiddleware, async (req, res) => {
+  try {
+    const memberships = await listMemberships(pool, req.user.userId);
+
+    return res.json(memberships.map(membership => ({
+      ...membership,
+      active: membership.commerce_id === req.user.commerceId
+    })));
+  } catch (error) {
+    console.error('Error en /me/commerces:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
+
+/**
+ * 🔹 POST /api/auth/switch-commerce
+ * Cambia el comercio activo de la sesión y devuelve un token para ese comercio
+ * (el token anterior deja de ser válido; el refresh token sigue siendo el mismo).
+ * Body: { commerce_id }
+ */
+router.post('/switch-commerce', authMiddleware, rejectImpersonation, validate({
+  body: { commerce_id: { type: 'id', required: true } }
+}), async (req, res) => {
+  const { commerce_id } = req.body;
 
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' });
-    console.log('Token generado:', token);
+  if (req.user.role === ROLES.SUPERUSER) {
+    return res.status(400).json({ error: 'Un SUPERUSER no tiene membresías; usa la suplantación de comercios' });
+  }
+
+  try {
+    const membership = await findMembership(pool, req.user.userId, commerce_id);
+    if (!membership) {
+      return res.status(403).json({ error: 'No perteneces a ese comercio' });
+    }
+
+    const context = { id: req.user.userId, role: membership.role, commerce_id: membership.commerce_id };
+    const token = await switchSessionCommerce(pool, req.user.sid, context);
 
-    // 🔹 Ahora enviamos el role en la respuesta JSON
     return res.json({
-      message: 'Inicio de sesión exitoso',
+      message: 'Comercio activo actualizado',
       token,
-      role: user.role // ✅ Agregado para que el frontend lo pueda leer correctamente
+      role: context.role,
+      commerce_id: context.commerce_id
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error('Error en /switch-commerce:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
+
+/**
+ * 🔹 POST /api/auth/impersonate/:commerceId
+ * Solo SUPERUSER. Devuelve un token de vida corta que actúa como el OWNER del comercio.
+ * No tiene refresh token; termina al expirar, con POST /api/auth/logout o al cerrar la sesión del SUPERUSER.
+ * Cada petición hecha con ese token queda registrada.
+ * Body opcional: { reason }
+ */
+router.post('/impersonate/:commerceId', authMiddleware, requirePermission(PERMISSIONS.PLATFORM_ADMIN), validate({
+  params: idParams('commerceId'),
+  body: { reason: { type: 'string', maxLength: 255 } }
+}), async (req, res) => {
+  const { commerceId } = req.params;
+
+  try {
+    const { reason } = req.body || {};
+    const impersonation = await startImpersonation(pool, req.user, commerceId, { reason }, req);
+
+    console.warn(`SUPERUSER ${req.user.userId} suplanta al comercio ${commerceId} (suplantación ${impersonation.impersonation_id})`);
+
+    return res.status(201).json({
+      message: 'Suplantación iniciada',
+      token: impersonation.token,
+      role: ROLES.OWNER,
+      commerce_id: impersonation.commerce_id,
+      impersonated: true,
+      impersonation_id: impersonation.impersonation_id,
+      expires_at: impersonation.expires_at,
+      owner: impersonation.owner
     });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error('Error en /impersonate:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
 
+/**
+ * 🔹 POST /api/auth/logout
+ * Cierra la sesión actual. Acepta el JWT (header Authorization) o el refresh token en el body,
+ * para poder cerrar sesión aunque el JWT ya haya expirado.
+ * Con un token de suplantación, termina la suplantación.
+ * Body opcional: { refresh_token }
+ */
+router.post('/logout', validate({
+  body: { refresh_token: { type: 'string', maxLength: 1024 } }
+}), async (req, res) => {
+  const { refresh_token } = req.body || {};
+
+  try {
+    if (refresh_token) {
+      await revokeSessionByRefreshToken(pool, refresh_token);
+      return res.json({ message: 'Sesión cerrada correctamente' });
+    }
+
+    const decoded = await decodeTokenIfExists(req);
+    if (decoded && decoded.impersonated) {
+      await endImpersonation(pool, decoded.impersonationId);
+      return res.json({ message: 'Suplantación finalizada' });
+    }
+
+    if (!decoded || !decoded.sid) {
+      return res.status(400).json({ error: 'Debes enviar el token o el refresh_token de la sesión' });
+    }
+
+    await revokeSession(pool, decoded.userId, decoded.sid);
+    return res.json({ message: 'Sesión cerrada correctamente' });
   } catch (error) {
-    console.error('Error en /login:', error);
+    console.error('Error en /logout:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
+
+/**
+ * 🔹 POST /api/auth/logout-all
+ * Cierra todas las sesiones del usuario ("cerrar sesión en todos los dispositivos").
+ * Body opcional: { keep_current: true } para mantener la sesión desde la que se hace la petición.
+ */
+router.post('/logout-all', authMiddleware, rejectImpersonation, validate({
+  body: { keep_current: { type: 'boolean' } }
+}), async (req, res) => {
+  const { keep_current = false } = req.body || {};
+
+  try {
+    const revoked = await revokeAllSessions(pool, req.user.userId, {
+      exceptSessionId: keep_current ? req.user.sid : null
+    });
+
+    return res.json({ message: 'Sesiones cerradas correctamente', revoked });
+  } catch (error) {
+    console.error('Error en /logout-all:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
+
+/**
+ * 🔹 GET /api/auth/sessions
+ * Lista las sesiones activas del usuario (dispositivos conectados).
+ */
+router.get('/sessions', authMiddleware, rejectImpersonation, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM user_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [req.user.userId]
+    );
+
+    return res.json(result.rows.map(session => ({
+      ...session,
+      current: session.id === req.user.sid
+    })));
+  } catch (error) {
+    console.error('Error en /sessions:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
+
+/**
+ * 🔹 DELETE /api/auth/sessions/:id
+ * Cierra una sesión concreta del usuario (por ejemplo, una tablet perdida).
+ */
+router.delete('/sessions/:id', authMiddleware, rejectImpersonation, validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    const revoked = await revokeSession(pool, req.user.userId, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+
+    return res.json({ message: 'Sesión cerrada correctamente' });
+  } catch (error) {
+    console.error('Error en DELETE /sessions/:id:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
+
+/**
+ * 🔹 POST /api/auth/forgot-password
+ * Envía un enlace para restablecer la contraseña.
+ * Siempre responde lo mismo para no revelar qué emails están registrados.
+ * Body: { email }
+ */
+router.post('/forgot-password', rateLimit('forgot-password', RATE_LIMITS.emailLinks), validate({
+  body: { email: { type: 'email', required: true } }
+}), async (req, res) => {
+  const { email } = req.body;
+  const genericResponse = { message: 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña' };
+
+  try {
+    const userResult = await pool.query('SELECT id, email FROM users WHERE email = $1', [email]);
+
+    if (userResult.rows.length > 0) {
+      await sendPasswordResetEmail(pool, userResult.rows[0]);
+    }
+
+  } catch (error) {
+    // La respuesta no cambia: un error solo aparece cuando la cuenta existe y revelaría qué emails están registrados
+    console.error('Error en /forgot-password:', error);
+  }
+
+  return res.json(genericResponse);
+});
+
+/**
+ * 🔹 POST /api/auth/reset-password
+ * Cambia la contraseña con el token recibido por email (un solo uso) y cierra todas las sesiones.
+ * Body: { token, password }
+ */
+router.post('/reset-password', rateLimit('reset-password', RATE_LIMITS.tokens), validate({
+  body: { token: TOKEN, password: NEW_PASSWORD }
+}), async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    await withTransaction(async (client) => {
+      const userId = await consumeToken(client, token, TOKEN_PURPOSES.PASSWORD_RESET);
+      if (!userId) {
+        throw validationError([fieldError('token', 'body', 'INVALID_VALUE', 'El enlace no es válido o ya expiró')]);
+      }
+
+      const salt = await bcrypt.genSalt(10);
+      const hashedPassword = await bcrypt.hash(password, salt);
+
+      // Quien recibe el enlace demuestra que controla el email
+      const updated = await client.query(
+        `UPDATE users
+         SET password = $1, email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+         WHERE id = $2
+         RETURNING email`,
+        [hashedPassword, userId]
+      );
+
+      await revokeAllSessions(client, userId, { reason: 'password_reset' });
+
+      // Con la contraseña nueva la cuenta deja de estar bloqueada
+      if (updated.rows.length > 0) {
+        await clearAccountFailures(client, updated.rows[0].email);
+      }
+    });
+
+    return res.json({ message: 'Contraseña actualizada correctamente' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error('Error en /reset-password:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
+
+/**
+ * 🔹 POST /api/auth/unlock-account
+ * Desbloquea una cuenta bloqueada por intentos fallidos con el token recibido por email.
+ * Body: { token }
+ */
+router.post('/unlock-account', rateLimit('unlock-account', RATE_LIMITS.tokens), validate({
+  body: { token: TOKEN }
+}), async (req, res) => {
+  const { token } = req.body || {};
+
+  try {
+    const userId = await consumeToken(pool, token, TOKEN_PURPOSES.ACCOUNT_UNLOCK);
+    if (!userId) {
+      return res.status(400).json(validationResponse([
+        fieldError('token', 'body', 'INVALID_VALUE', 'El enlace no es válido o ya expiró')
+      ]));
+    }
+
+    const userResult = await pool.query('SELECT email FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length > 0) {
+      await clearAccountFailures(pool, userResult.rows[0].email);
+    }
+
+    return res.json({ message: 'Cuenta desbloqueada, ya puedes iniciar sesión' });
+  } catch (error) {
+    console.error('Error en /unlock-account:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
+
+/**
+ * 🔹 POST /api/auth/verify-email
+ * Confirma el email de la cuenta con el token recibido al registrarse.
+ * Body: { token }
+ */
+router.post('/verify-email', rateLimit('verify-email', RATE_LIMITS.tokens), validate({
+  body: { token: TOKEN }
+}), async (req, res) => {
+  const { token } = req.body || {};
+
+  try {
+    const userId = await consumeToken(pool, token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+    if (!userId) {
+      return res.status(400).json(validationResponse([
+        fieldError('token', 'body', 'INVALID_VALUE', 'El enlace no es válido o ya expiró')
+      ]));
+    }
+
+    await pool.query(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $1',
+      [userId]
+    );
+
+    return res.json({ message: 'Email verificado correctamente' });
+  } catch (error) {
+    console.error('Error en /verify-email:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
+
+/**
+ * 🔹 POST /api/auth/resend-verification
+ * Vuelve a enviar el email de verificación al usuario autenticado.
+ */
+router.post('/resend-verification', authMiddleware, rejectImpersonation, async (req, res) => {
+  try {
+    const userResult = await pool.query(
+      'SELECT id, email, email_verified_at FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    if (userResult.rows[0].email_verified_at) {
+      return res.status(400).json({ error: 'El email ya está verificado' });
+    }
+
+    await sendVerificationEmail(pool, userResult.rows[0]);
+    return res.json({ message: 'Email de verificación enviado' });
+  } catch (error) {
+    console.error('Error en /resend-verification:', error);
+    return res.status(500).json({ error: 'Error en el servidor', details: error.message });
+  }
+});
+
+/**
+ * 🔹 POST /api/auth/accept-invitation
+ * Crea la cuenta de un miembro del personal a partir de una invitación y abre su sesión en ese comercio.
+ * Si el email ya tiene cuenta, password es su contraseña actual y el comercio se suma a sus membresías.
+ * Body: { token, password, first_name, last_name }
+ */
+router.post('/accept-invitation', rateLimit('accept-invitation', RATE_LIMITS.tokens), validate({
+  body: {
+    token: TOKEN,
+    password: NEW_PASSWORD,
+    first_name: { type: 'string', maxLength: 100 },
+    last_name: { type: 'string', maxLength: 100 }
+  }
+}), async (req, res) => {
+  const { token, password, first_name, last_name } = req.body;
+
+  try {
+    // Una cuenta con 2FA no recibe sesión aquí: debe iniciar sesión con su segundo paso
+    const { context, session } = await withTransaction(async (client) => {
+      const accepted = await acceptInvitation(client, token, { password, first_name, last_name });
+      if (accepted.two_factor_required) {
+        return { context: accepted, session: null };
+      }
+      return { context: accepted, session: await createSession(client, accepted, req) };
+    });
+
+    if (!session) {
+      return res.status(201).json({
+        message: 'Invitación aceptada. Inicia sesión para continuar',
+        two_factor_required: true,
+        commerce_id: context.commerce_id
+      });
+    }
+
+    return res.status(201).json({
+      message: 'Invitación aceptada correctamente',
+      token: session.token,
+      refresh_token: session.refresh_token,
+      role: context.role,
+      commerce_id: context.commerce_id
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error('Error en /accept-invitation:', error);
     return res.status(500).json({ error: 'Error en el servidor', details: error.message });
   }
 });
@@ -157,15 +982,14 @@ router.post('/login', async (req, res) => {
  * 🔹 POST /api/auth/verify-password
  * Verifica la contraseña del usuario actual sin generar un nuevo token.
  * Se usa para confirmar operaciones sensibles como eliminar un comercio.
+ * Los fallos cuentan para el bloqueo de la cuenta igual que en /login.
  */
-router.post('/verify-password', authMiddleware, async (req, res) => {
+router.post('/verify-password', authMiddleware, rejectImpersonation, validate({
+  body: { password: CURRENT_PASSWORD }
+}), async (req, res) => {
   const { password } = req.body;
   const userId = req.user.userId;
 
-  if (!password) {
-    return res.status(400).json({ error: 'Debes proporcionar la contraseña' });
-  }
-
   try {
     // Buscar al usuario por ID
     const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
@@ -177,17 +1001,25 @@ router.post('/verify-password', authMiddleware, async (req, res) => {
     const user = userResult.rows[0];
 
     // Verificar que el usuario sea SUPERUSER
-    if (user.role !== 'SUPERUSER') {
+    if (!hasPermission(user, PERMISSIONS.PLATFORM_ADMIN)) {
       return res.status(403).json({ error: 'Solo los superusuarios pueden realizar esta operación' });
     }
 
+    const blocked = await checkAttempt(pool, failureKeys(req, user.email));
+    if (blocked) {
+      return sendTooManyRequests(res, blocked);
+    }
+
     // Comparar la contraseña ingresada con la almacenada
     const isMatch = await bcrypt.compare(password, user.password);
 
     if (!isMatch) {
+      await registerFailedAttempt(req, user.email, user);
       return res.status(401).json({ error: 'Contraseña incorrecta' });
     }
 
+    await clearAccountFailures(pool, user.email);
+
     // Si la contraseña es correcta, devolver OK
     return res.json({ message: 'Contraseña verificada correctamente' });
 
@@ -199,21 +1031,14 @@ router.post('/verify-password', authMiddleware, async (req, res) => {
 
 /**
  * GET /api/auth/check-email/:email
- * Verifica si un email ya está registrado
+ * Verifica si un email ya está registrado (con límite por IP para frenar la enumeración de cuentas)
  */
-router.get('/check-email/:email', async (req, res) => {
+router.get('/check-email/:email', rateLimit('check-email', RATE_LIMITS.checkEmail), validate({
+  params: { email: { type: 'email', required: true } }
+}), async (req, res) => {
   try {
     const { email } = req.params;
 
-    // Validar formato de email básico
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        isAvailable: false,
-        error: 'Formato de email inválido'
-      });
-    }
-
     // Verificar si el email ya existe en la base de datos
     const result = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
 
@@ -1,24 +1,33 @@
 // routes/categories.js
 const express = require('express');
 const router = express.Router();
-const { Pool } = require('pg');
-
-// Ajusta si usas un pool compartido en otro módulo
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-});
+const { pool, withTransaction } = require('../services/db');
+const httpError = require('../utils/httpError');
+const { parseAvailability } = require('../services/availability');
+const requirePermission = require('../middlewares/permissionMiddleware');
+const validate = require('../middlewares/validationMiddleware');
+const { PERMISSIONS, hasPermission } = require('../services/permissions');
+const { ENTITY_TYPES, AUDIT_ACTIONS, loadSnapshot, recordAudit, recordAuditSafe } = require('../services/audit');
+const { softDelete, restore } = require('../services/trash');
+const { fieldError, validationResponse, idParams, fromParser } = require('../services/validation');
+
+const CATEGORY_FIELDS = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+  position: { type: 'integer', min: 0, max: 100000 },
+  availability: { type: 'json', custom: fromParser(parseAvailability) }
+};
 
 /**
  * GET /api/categories
  * Listar todas las categorías del comercio actual
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(PERMISSIONS.CATALOG_VIEW), async (req, res) => {
   try {
     // Verificamos rol del usuario
-    if (req.user.role === 'SUPERUSER') {
-      // El superusuario puede listar todas las categorías de todos los comercios
-      // o puedes implementar "impersonar" recibiendo commerce_id. Depende de tu lógica.
-      const result = await pool.query('SELECT * FROM categories ORDER BY position, id ASC');
+    if (hasPermission(req.user, PERMISSIONS.PLATFORM_ADMIN)) {
+      // El superusuario puede listar todas las categorías de todos los comercios;
+      // para trabajar sobre un comercio concreto usa POST /api/auth/impersonate/:commerceId
+      const result = await pool.query('SELECT * FROM categories WHERE deleted_at IS NULL ORDER BY position, id ASC');
       return res.json(result.rows);
     } else {
       // Si es OWNER, listamos solo categorías de su commerce_id
@@ -27,7 +36,7 @@ router.get('/', async (req, res) => {
         return res.status(400).json({ error: 'No se encontró commerce_id para el usuario' });
       }
 
-      const query = 'SELECT * FROM categories WHERE commerce_id = $1 ORDER BY position, id ASC';
+      const query = 'SELECT * FROM categories WHERE commerce_id = $1 AND deleted_at IS NULL ORDER BY position, id ASC';
       const values = [commerceId];
       const result = await pool.query(query, values);
       return res.json(result.rows);
@@ -42,18 +51,22 @@ router.get('/', async (req, res) => {
  * POST /api/categories
  * Crear una nueva categoría
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(PERMISSIONS.CATALOG_EDIT), validate({
+  body: { ...CATEGORY_FIELDS, commerce_id: { type: 'id' } }
+}), async (req, res) => {
   try {
-    const { name, commerce_id, position } = req.body;
+    const { name, commerce_id, position, availability = null } = req.body;
 
     // Verificar el rol
     let finalCommerceId;
-    if (req.user.role === 'SUPERUSER') {
+    if (hasPermission(req.user, PERMISSIONS.PLATFORM_ADMIN)) {
       // El superusuario puede asignar manualmente un commerce_id si lo desea
       // o podrías forzarle a pasar commerce_id en el body
       finalCommerceId = commerce_id;
       if (!finalCommerceId) {
-        return res.status(400).json({ error: 'Debe proveer commerce_id para crear categoría como SUPERUSER' });
+        return res.status(400).json(validationResponse([
+          fieldError('commerce_id', 'body', 'REQUIRED', 'Debe proveer commerce_id para crear categoría como SUPERUSER')
+        ]));
       }
     } else {
       // Si es OWNER, usamos su commerceId
@@ -69,7 +82,7 @@ router.post('/', async (req, res) => {
     // Si no proporcionaron position explícitamente, calcular la siguiente position
     if (newPosition === undefined) {
       const maxPositionResult = await pool.query(
-        'SELECT MAX(position) as max_pos FROM categories WHERE commerce_id = $1',
+        'SELECT MAX(position) as max_pos FROM categories WHERE commerce_id = $1 AND deleted_at IS NULL',
         [finalCommerceId]
       );
 
@@ -79,13 +92,21 @@ router.post('/', async (req, res) => {
 
     // Insertar la categoría
     const query = `
-      INSERT INTO categories (commerce_id, name, position)
-      VALUES ($1, $2, $3)
+      INSERT INTO categories (commerce_id, name, position, availability)
+      VALUES ($1, $2, $3, $4)
       RETURNING *
     `;
-    const values = [finalCommerceId, name, newPosition];
+    const values = [finalCommerceId, name, newPosition, availability ? JSON.stringify(availability) : null];
     const result = await pool.query(query, values);
 
+    await recordAuditSafe(pool, req, {
+      commerceId: finalCommerceId,
+      entityType: ENTITY_TYPES.CATEGORY,
+      entityId: result.rows[0].id,
+      action: AUDIT_ACTIONS.CREATE,
+      after: result.rows[0]
+    });
+
     return res.status(201).json({ category: result.rows[0] });
   } catch (error) {
     console.error('Error en POST /categories:', error);
@@ -97,13 +118,13 @@ router.post('/', async (req, res) => {
  * GET /api/categories/:id
  * Obtener una categoría por ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(PERMISSIONS.CATALOG_VIEW), validate({ params: idParams('id') }), async (req, res) => {
   try {
     const { id } = req.params;
 
-    if (req.user.role === 'SUPERUSER') {
+    if (hasPermission(req.user, PERMISSIONS.PLATFORM_ADMIN)) {
       // Superusuario puede ver cualquier categoría
-      const query = 'SELECT * FROM categories WHERE id = $1';
+      const query = 'SELECT * FROM categories WHERE id = $1 AND deleted_at IS NULL';
       const values = [id];
       const result = await pool.query(query, values);
 
@@ -114,7 +135,7 @@ router.get('/:id', async (req, res) => {
     } else {
       // OWNER: Solo puede ver categorías de su comercio
       const commerceId = req.user.commerceId;
-      const query = 'SELECT * FROM categories WHERE id = $1 AND commerce_id = $2';
+      const query = 'SELECT * FROM categories WHERE id = $1 AND commerce_id = $2 AND deleted_at IS NULL';
       const values = [id, commerceId];
       const result = await pool.query(query, values);
 
@@ -131,29 +152,47 @@ router.get('/:id', async (req, res) => {
 
 /**
  * PUT /api/categories/:id
- * Actualizar una categoría (nombre)
+ * Actualizar una categoría (nombre, posición y ventana de disponibilidad)
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(PERMISSIONS.CATALOG_EDIT), validate({
+  params: idParams('id'),
+  body: CATEGORY_FIELDS
+}), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, position } = req.body;
-
-    if (req.user.role === 'SUPERUSER') {
+    const { name, position, availability } = req.body;
+
+    // availability solo se modifica si viene en el body (null la elimina)
+    const updateAvailability = availability !== undefined;
+    const availabilityValue = availability ? JSON.stringify(availability) : null;
+    const before = await loadSnapshot(pool, 'categories', id);
+    const audit = category => recordAuditSafe(pool, req, {
+      commerceId: category.commerce_id,
+      entityType: ENTITY_TYPES.CATEGORY,
+      entityId: category.id,
+      action: AUDIT_ACTIONS.UPDATE,
+      before,
+      after: category
+    });
+
+    if (hasPermission(req.user, PERMISSIONS.PLATFORM_ADMIN)) {
       // Actualizar sin filtrar commerce_id
       const query = `
         UPDATE categories
         SET name = $1,
             position = COALESCE($2, position),
+            availability = CASE WHEN $4::boolean THEN $5::jsonb ELSE availability END,
             updated_at = CURRENT_TIMESTAMP
-        WHERE id = $3
+        WHERE id = $3 AND deleted_at IS NULL
         RETURNING *
       `;
-      const values = [name, position, id];
+      const values = [name, position, id, updateAvailability, availabilityValue];
       const result = await pool.query(query, values);
 
       if (result.rows.length === 0) {
         return res.status(404).json({ error: 'Categoría no encontrada' });
       }
+      await audit(result.rows[0]);
       return res.json({ category: result.rows[0] });
     } else {
       // OWNER: Solo actualiza las categorías de su commerce_id
@@ -162,16 +201,18 @@ router.put('/:id', async (req, res) => {
         UPDATE categories
         SET name = $1,
             position = COALESCE($2, position),
+            availability = CASE WHEN $5::boolean THEN $6::jsonb ELSE availability END,
             updated_at = CURRENT_TIMESTAMP
-        WHERE id = $3 AND commerce_id = $4
+        WHERE id = $3 AND commerce_id = $4 AND deleted_at IS NULL
         RETURNING *
       `;
-      const values = [name, position, id, commerceId];
+      const values = [name, position, id, commerceId, updateAvailability, availabilityValue];
       const result = await pool.query(query, values);
 
       if (result.rows.length === 0) {
         return res.status(404).json({ error: 'Categoría no encontrada o no pertenece a este tenant' });
       }
+      await audit(result.rows[0]);
       return res.json({ category: result.rows[0] });
     }
   } catch (error) {
@@ -182,68 +223,104 @@ router.put('/:id', async (req, res) => {
 
 /**
  * DELETE /api/categories/:id
- * Eliminar una categoría
+ * Enviar una categoría a la papelera junto con sus productos (se restaura con POST /:id/restore)
  */
-router.delete('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
+router.delete('/:id', requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ params: idParams('id') }), async (req, res) => {
+  const { id } = req.params;
+  // El superusuario puede eliminar cualquier categoría; el OWNER solo las de su comercio
+  const commerceId = hasPermission(req.user, PERMISSIONS.PLATFORM_ADMIN) ? null : req.user.commerceId;
 
-    if (req.user.role === 'SUPERUSER') {
-      const query = 'DELETE FROM categories WHERE id = $1 RETURNING *';
-      const values = [id];
-      const result = await pool.query(query, values);
+  try {
+    const category = await withTransaction(async (client) => {
+      const deleted = await softDelete(client, 'category', id, { userId: req.user.userId, commerceId });
 
-      if (result.rows.length === 0) {
-        return res.status(404).json({ error: 'Categoría no encontrada' });
+      if (!deleted) {
+        throw httpError(404, commerceId ? 'Categoría no encontrada o no pertenece a este tenant' : 'Categoría no encontrada');
       }
-      return res.json({ message: 'Categoría eliminada', category: result.rows[0] });
-    } else {
-      // OWNER
-      const commerceId = req.user.commerceId;
-      const query = 'DELETE FROM categories WHERE id = $1 AND commerce_id = $2 RETURNING *';
-      const values = [id, commerceId];
-      const result = await pool.query(query, values);
 
-      if (result.rows.length === 0) {
-        return res.status(404).json({ error: 'Categoría no encontrada o no pertenece a este tenant' });
-      }
-      return res.json({ message: 'Categoría eliminada', category: result.rows[0] });
-    }
+      await recordAudit(client, req, {
+        commerceId: deleted.commerce_id,
+        entityType: ENTITY_TYPES.CATEGORY,
+        entityId: deleted.id,
+        action: AUDIT_ACTIONS.DELETE,
+        before: { ...deleted, deleted_at: null, deleted_by: null }
+      });
+      return deleted;
+    });
+
+    return res.json({ message: 'Categoría eliminada', category });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
     console.error('Error en DELETE /categories/:id:', error);
     res.status(500).json({ error: 'Error al eliminar la categoría' });
   }
 });
 
 /**
- * POST /api/categories/reorder
- * Reordenar las categorías de un comercio
+ * POST /api/categories/:id/restore
+ * Restaurar una categoría de la papelera con los productos que se eliminaron con ella
  */
-router.post('/reorder', async (req, res) => {
+router.post('/:id/restore', requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ params: idParams('id') }), async (req, res) => {
+  const { id } = req.params;
+  const commerceId = hasPermission(req.user, PERMISSIONS.PLATFORM_ADMIN) ? null : req.user.commerceId;
+
   try {
-    const { categories } = req.body;
+    const category = await withTransaction(async (client) => {
+      const restored = await restore(client, 'category', id, { commerceId });
+
+      await recordAudit(client, req, {
+        commerceId: restored.commerce_id,
+        entityType: ENTITY_TYPES.CATEGORY,
+        entityId: restored.id,
+        action: AUDIT_ACTIONS.RESTORE
+      });
+      return restored;
+    });
 
-    // Verificar que categories sea un array
-    if (!Array.isArray(categories)) {
-      return res.status(400).json({ error: 'El formato de datos es inválido' });
+    res.json({ message: 'Categoría restaurada', category });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
     }
+    console.error('Error en POST /categories/:id/restore:', error);
+    res.status(500).json({ error: 'Error al restaurar la categoría' });
+  }
+});
 
-    // Validar la estructura de cada elemento
-    for (const category of categories) {
-      if (!category.id || typeof category.position !== 'number') {
-        return res.status(400).json({ error: 'Algunas categorías tienen un formato inválido' });
+/**
+ * POST /api/categories/reorder
+ * Reordenar las categorías de un comercio
+ */
+router.post('/reorder', requirePermission(PERMISSIONS.CATALOG_EDIT), validate({
+  body: {
+    categories: {
+      type: 'array',
+      required: true,
+      maxItems: 1000,
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'id', required: true },
+          position: { type: 'integer', required: true, min: 0, max: 100000 }
+        }
       }
     }
+  }
+}), async (req, res) => {
+  try {
+    const { categories } = req.body;
 
     // Verificar que el usuario tenga acceso a estas categorías
     const commerceId = req.user.commerceId;
 
     // Verificar que todas las categorías pertenezcan al comercio del usuario (excepto SUPERUSER)
-    if (req.user.role !== 'SUPERUSER') {
+    if (!hasPermission(req.user, PERMISSIONS.PLATFORM_ADMIN)) {
       const categoryIds = categories.map(cat => cat.id);
 
       const existingCategoriesResult = await pool.query(
-        'SELECT id FROM categories WHERE id = ANY($1) AND commerce_id = $2',
+        'SELECT id FROM categories WHERE id = ANY($1) AND commerce_id = $2 AND deleted_at IS NULL',
         [categoryIds, commerceId]
       );
 
@@ -256,53 +333,68 @@ router.post('/reorder', async (req, res) => {
       }
     }
 
-    // Actualizar el orden de las categorías en una transacción
-    await pool.query('BEGIN');
+    // Posiciones anteriores, para el historial
+    const previousResult = await pool.query(
+      'SELECT id, commerce_id, position FROM categories WHERE id = ANY($1)',
+      [categories.map(cat => cat.id)]
+    );
 
-    try {
+    // Actualizar el orden de las categorías en una transacción (en un cliente dedicado del pool)
+    await withTransaction(async (client) => {
       // Actualizar la posición de cada categoría
       for (const category of categories) {
         // El SUPERUSER puede reordenar cualquier categoría
-        if (req.user.role === 'SUPERUSER') {
-          await pool.query(
+        if (hasPermission(req.user, PERMISSIONS.PLATFORM_ADMIN)) {
+          await client.query(
             'UPDATE categories SET position = $1 WHERE id = $2',
             [category.position, category.id]
           );
         } else {
           // Los OWNER solo pueden reordenar categorías de su comercio
-          await pool.query(
+          await client.query(
             'UPDATE categories SET position = $1 WHERE id = $2 AND commerce_id = $3',
             [category.position, category.id, commerceId]
           );
         }
       }
 
-      await pool.query('COMMIT');
-
-      // Obtener las categorías actualizadas
-      let updatedCategoriesResult;
-
-      if (req.user.role === 'SUPERUSER') {
-        updatedCategoriesResult = await pool.query(
-          'SELECT * FROM categories WHERE id = ANY($1) ORDER BY position',
-          [categories.map(cat => cat.id)]
-        );
-      } else {
-        updatedCategoriesResult = await pool.query(
-          'SELECT * FROM categories WHERE commerce_id = $1 ORDER BY position',
-          [commerceId]
-        );
+      // Un registro por comercio con las posiciones que cambiaron
+      const changesByCommerce = new Map();
+      for (const previous of previousResult.rows) {
+        const requested = categories.find(cat => Number(cat.id) === previous.id);
+        if (!requested || requested.position === previous.position) continue;
+        if (!changesByCommerce.has(previous.commerce_id)) changesByCommerce.set(previous.commerce_id, {});
+        changesByCommerce.get(previous.commerce_id)[previous.id] = { before: previous.position, after: requested.position };
+      }
+      for (const [categoryCommerceId, positions] of changesByCommerce) {
+        await recordAudit(client, req, {
+          commerceId: categoryCommerceId,
+          entityType: ENTITY_TYPES.CATEGORY,
+          action: AUDIT_ACTIONS.REORDER,
+          changes: { position: positions }
+        });
       }
+    });
 
-      res.json({
-        message: 'Orden de categorías actualizado correctamente',
-        categories: updatedCategoriesResult.rows
-      });
+    // Obtener las categorías actualizadas
+    let updatedCategoriesResult;
 
-    } catch (error) {
-      await pool.query('ROLLBACK');
-      throw error;
+    if (hasPermission(req.user, PERMISSIONS.PLATFORM_ADMIN)) {
+      updatedCategoriesResult = await pool.query(
+        'SELECT * FROM categories WHERE id = ANY($1) AND deleted_at IS NULL ORDER BY position',
+        [categories.map(cat => cat.id)]
+      );
+    } else {
+      updatedCategoriesResult = await pool.query(
+        'SELECT * FROM categories WHERE commerce_id = $1 AND deleted_at IS NULL ORDER BY position',
+        [commerceId]
+      );
     }
+
+    res.json({
+      message: 'Orden de categorías actualizado correctamente',
+      categories: updatedCategoriesResult.rows
+    });
   } catch (error) {
     console.error('Error en POST /categories/reorder:', error);
     res.status(500).json({ error: 'Error al reordenar las categorías' });
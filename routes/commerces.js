@@ -1,11 +1,28 @@
 const express = require("express");
 const router = express.Router();
-const { Pool } = require("pg");
+const { pool, withTransaction } = require("../services/db");
 const bcrypt = require("bcryptjs");
 const cloudinary = require("cloudinary").v2;
 const multer = require("multer");
 const authMiddleware = require("../middlewares/authMiddleware");
+const requirePermission = require("../middlewares/permissionMiddleware");
+const requireTwoFactor = require("../middlewares/twoFactorMiddleware");
+const requirePassword = require("../middlewares/passwordMiddleware");
+const requireCommerceAccess = require("../middlewares/commerceAccessMiddleware");
+const validate = require("../middlewares/validationMiddleware");
+const { PERMISSIONS } = require("../services/permissions");
 const path = require("path");
+const { EVENT_TYPES, publishEventSafe } = require("../services/events");
+const { parseWorkingHours, parseDayRanges, isValidTimezone, getOpenState } = require("../services/schedule");
+const { DISCOUNT_RULES } = require("../services/pricing");
+const { ZONE_TYPES, parseGeometry, locationFrom } = require("../services/deliveryZones");
+const { revokeAllSessions, revokeCommerceSessions } = require("../services/sessions");
+const { addMembership } = require("../services/memberships");
+const { ENTITY_TYPES, AUDIT_ACTIONS, loadSnapshot, recordAudit, recordAuditSafe } = require("../services/audit");
+const { softDelete, restore, listDeletedCommerces } = require("../services/trash");
+const { deleteCommerce } = require("../services/commerceDeletion");
+const { MAX_PRICE, fieldError, validationResponse, validationError, idParams, fromParser } = require("../services/validation");
+const httpError = require("../utils/httpError");
 
 // 🔹 Configurar Cloudinary con variables de entorno
 cloudinary.config({
@@ -34,19 +51,93 @@ const upload = multer({
   }
 });
 
-// 🔹 Conexión a PostgreSQL
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false },
-});
+const SCHEDULE_FIELDS = {
+  working_hours: { type: "json", custom: fromParser(parseWorkingHours) },
+  timezone: {
+    type: "string",
+    maxLength: 64,
+    custom: value => (isValidTimezone(value) ? null : "Zona horaria inválida (usa un nombre IANA, ej. America/Santiago)")
+  }
+};
+
+const SUBDOMAIN_RULE = {
+  type: "string",
+  maxLength: 63,
+  pattern: /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/i,
+  patternMessage: "El subdominio solo puede tener letras, números y guiones (sin guion al principio ni al final)"
+};
+
+// Campos editables del comercio (PUT /:id y commerce_data de PUT /:id/full-update)
+const COMMERCE_FIELDS = {
+  business_name: { type: "string", minLength: 1, maxLength: 255 },
+  subdomain: SUBDOMAIN_RULE,
+  business_category: { type: "string", maxLength: 100 },
+  is_open: { type: "boolean" },
+  delivery_time: { type: "string", maxLength: 50 },
+  delivery_fee: { type: "number", min: 0, max: MAX_PRICE },
+  min_order_value: { type: "number", min: 0, max: MAX_PRICE },
+  accepts_delivery: { type: "boolean" },
+  accepts_pickup: { type: "boolean" },
+  contact_phone: { type: "string", maxLength: 50 },
+  contact_email: { type: "email" },
+  social_instagram: { type: "string", maxLength: 255 },
+  social_facebook: { type: "string", maxLength: 255 },
+  social_whatsapp: { type: "string", maxLength: 50 },
+  working_hours: SCHEDULE_FIELDS.working_hours
+};
+
+// Datos personales del owner (al crear el comercio y en owner_data de PUT /:id/full-update)
+const OWNER_FIELDS = {
+  first_name: { type: "string", maxLength: 100 },
+  last_name: { type: "string", maxLength: 100 },
+  dni: { type: "string", maxLength: 30 },
+  address: { type: "string", maxLength: 255 },
+  phone: { type: "string", maxLength: 50 }
+};
+
+// bcrypt solo usa los primeros 72 bytes de la contraseña
+const PASSWORD_RULE = { type: "string", minLength: 6, maxLength: 72 };
+
+const DELIVERY_ZONE_FIELDS = {
+  name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+  zone_type: { type: "enum", required: true, values: ZONE_TYPES },
+  geometry: { type: "json" },
+  radius_km: { type: "number", min: 0.001, max: 1000 },
+  delivery_fee: { type: "number", nullable: false, min: 0, max: MAX_PRICE },
+  min_order_value: { type: "number", nullable: false, min: 0, max: MAX_PRICE },
+  eta_minutes: { type: "integer", min: 1, max: 1440 },
+  active: { type: "boolean" }
+};
+
+function alreadyInUse(field, message) {
+  return validationResponse([fieldError(field, "body", "ALREADY_IN_USE", message)]);
+}
+
+/**
+ * Validaciones de una zona de envío que dependen de zone_type (el resto lo cubre DELIVERY_ZONE_FIELDS).
+ * Devuelve el cuerpo de la respuesta 400 o null si la zona es válida.
+ */
+function validateDeliveryZone(zone) {
+  if (zone.zone_type === "polygon") {
+    try {
+      parseGeometry(zone.geometry);
+    } catch (geometryError) {
+      return validationResponse([fieldError("geometry", "body", "INVALID_VALUE", geometryError.message)]);
+    }
+  } else if (zone.radius_km === undefined || zone.radius_km === null) {
+    return validationResponse([fieldError("radius_km", "body", "REQUIRED", "El radio es obligatorio en las zonas por radio")]);
+  }
+
+  return null;
+}
 
 /**
  * 🔹 GET /api/commerces
  * Obtiene la lista de comercios
  */
-router.get("/", authMiddleware, async (req, res) => {
+router.get("/", authMiddleware, requirePermission(PERMISSIONS.PLATFORM_ADMIN), async (req, res) => {
   try {
-    const result = await pool.query("SELECT * FROM commerces");
+    const result = await pool.query("SELECT * FROM commerces WHERE deleted_at IS NULL");
     res.json(result.rows);
   } catch (error) {
     console.error("❌ Error obteniendo comercios:", error);
@@ -54,12 +145,35 @@ router.get("/", authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * 🔹 GET /api/commerces/trash
+ * Comercios en la papelera, con la fecha en que se purgarán
+ */
+router.get("/trash", authMiddleware, requirePermission(PERMISSIONS.PLATFORM_ADMIN), async (req, res) => {
+  try {
+    res.json(await listDeletedCommerces(pool));
+  } catch (error) {
+    console.error("❌ Error obteniendo la papelera de comercios:", error);
+    res.status(500).json({ error: "Error al obtener la papelera de comercios" });
+  }
+});
+
 /**
  * 🔹 POST /api/commerces
  * ✅ Crea un comercio con un OWNER asignado y un subdominio único.
  * Con mejoras en la validación y el manejo de errores.
  */
-router.post("/", authMiddleware, async (req, res) => {
+router.post("/", authMiddleware, requirePermission(PERMISSIONS.PLATFORM_ADMIN), validate({
+  body: {
+    business_name: { ...COMMERCE_FIELDS.business_name, required: true },
+    subdomain: { ...SUBDOMAIN_RULE, required: true },
+    owner_email: { type: "email", required: true },
+    owner_password: { ...PASSWORD_RULE, required: true },
+    ...OWNER_FIELDS,
+    business_category: COMMERCE_FIELDS.business_category,
+    ...SCHEDULE_FIELDS
+  }
+}), async (req, res) => {
   const {
     business_name,
     subdomain,
@@ -71,63 +185,33 @@ router.post("/", authMiddleware, async (req, res) => {
     address = null,
     phone = null,
     business_category = null,
-    working_hours = null  // Nuevo campo
+    working_hours = null,  // Nuevo campo
+    timezone = null
   } = req.body;
 
-  // Validar campos obligatorios
-  if (!business_name || !subdomain || !owner_email || !owner_password) {
-    return res.status(400).json({ error: "Faltan datos obligatorios para crear el comercio." });
-  }
-
-  // Validar formato básico de email
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(owner_email)) {
-    return res.status(400).json({
-      error: "El formato del email es inválido.",
-      field: "owner_email"
-    });
-  }
-
-  // Validar longitud mínima de contraseña
-  if (owner_password.length < 6) {
-    return res.status(400).json({
-      error: "La contraseña debe tener al menos 6 caracteres.",
-      field: "owner_password"
-    });
-  }
-
   try {
     // 1. Verificar si el subdominio ya existe
     const existingSubdomain = await pool.query("SELECT id FROM commerces WHERE subdomain = $1", [subdomain]);
     if (existingSubdomain.rows.length > 0) {
-      return res.status(400).json({
-        error: "El subdominio ya está en uso. Elige otro.",
-        field: "subdomain"
-      });
+      return res.status(400).json(alreadyInUse("subdomain", "El subdominio ya está en uso. Elige otro."));
     }
 
     // 2. Verificar si el email ya existe
     const existingEmail = await pool.query("SELECT id FROM users WHERE email = $1", [owner_email]);
     if (existingEmail.rows.length > 0) {
-      return res.status(400).json({
-        error: "El email ya está registrado. Utiliza otro email.",
-        field: "owner_email"
-      });
+      return res.status(400).json(alreadyInUse("owner_email", "El email ya está registrado. Utiliza otro email."));
     }
 
-    // 3. Iniciar transacción para asegurar consistencia
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-
+    // 3. Insertar comercio y OWNER en una transacción para asegurar consistencia
+    const { commerceId, userId } = await withTransaction(async (client) => {
       // 4. Insertar el comercio
       const commerceQuery = `
-        INSERT INTO commerces (business_name, subdomain, business_category, working_hours, created_at, updated_at)
-        VALUES ($1, $2, $3, $4, NOW(), NOW()) RETURNING id
+        INSERT INTO commerces (business_name, subdomain, business_category, working_hours, timezone, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, NOW(), NOW()) RETURNING id
       `;
-      const commerceValues = [business_name, subdomain, business_category, working_hours];
+      const commerceValues = [business_name, subdomain, business_category, working_hours, timezone];
       const commerceResult = await client.query(commerceQuery, commerceValues);
-      const commerceId = commerceResult.rows[0].id;
+      const newCommerceId = commerceResult.rows[0].id;
 
       // 5. Cifrar la contraseña del OWNER
       const hashedPassword = await bcrypt.hash(owner_password, 10);
@@ -137,55 +221,55 @@ router.post("/", authMiddleware, async (req, res) => {
         INSERT INTO users (email, password, role, commerce_id, first_name, last_name, dni, address, phone, created_at)
         VALUES ($1, $2, 'OWNER', $3, $4, $5, $6, $7, $8, NOW()) RETURNING id
       `;
-      const userValues = [owner_email, hashedPassword, commerceId, first_name, last_name, dni, address, phone];
+      const userValues = [owner_email, hashedPassword, newCommerceId, first_name, last_name, dni, address, phone];
       const userResult = await client.query(userQuery, userValues);
-      const userId = userResult.rows[0].id;
-
-      // 7. Confirmar transacción
-      await client.query('COMMIT');
-
-      // 8. Responder con éxito
-      res.status(201).json({
-        message: "Comercio y usuario OWNER creados correctamente.",
-        commerce: {
-          id: commerceId,
-          business_name,
-          subdomain,
-          business_category,
-          working_hours
-        },
-        owner: {
-          id: userId,
-          email: owner_email,
-          role: 'OWNER'
-        }
+      const newUserId = userResult.rows[0].id;
+      await addMembership(client, newUserId, newCommerceId, 'OWNER');
+
+      await recordAudit(client, req, {
+        commerceId: newCommerceId,
+        entityType: ENTITY_TYPES.COMMERCE,
+        entityId: newCommerceId,
+        action: AUDIT_ACTIONS.CREATE,
+        after: await loadSnapshot(client, "commerces", newCommerceId)
+      });
+      await recordAudit(client, req, {
+        commerceId: newCommerceId,
+        entityType: ENTITY_TYPES.USER,
+        entityId: newUserId,
+        action: AUDIT_ACTIONS.CREATE,
+        after: { email: owner_email, role: 'OWNER', first_name, last_name, dni, address, phone }
       });
 
-    } catch (transactionError) {
-      // Si hay cualquier error, revertir la transacción
-      await client.query('ROLLBACK');
-      throw transactionError;
-    } finally {
-      // Siempre liberar el cliente
-      client.release();
-    }
+      return { commerceId: newCommerceId, userId: newUserId };
+    });
+
+    // 7. Responder con éxito
+    res.status(201).json({
+      message: "Comercio y usuario OWNER creados correctamente.",
+      commerce: {
+        id: commerceId,
+        business_name,
+        subdomain,
+        business_category,
+        working_hours,
+        timezone
+      },
+      owner: {
+        id: userId,
+        email: owner_email,
+        role: 'OWNER'
+      }
+    });
   } catch (error) {
     console.error("❌ Error creando comercio:", error);
 
     // Mejorar los mensajes de error para duplicados
     if (error.code === '23505') { // Código PostgreSQL para violación de restricción única
       if (error.constraint === 'users_email_key') {
-        return res.status(400).json({
-          error: "El email del propietario ya está registrado. Utiliza otro email.",
-          field: "owner_email",
-          details: error.detail
-        });
+        return res.status(400).json(alreadyInUse("owner_email", "El email del propietario ya está registrado. Utiliza otro email."));
       } else if (error.constraint === 'commerces_subdomain_key') {
-        return res.status(400).json({
-          error: "El subdominio ya está en uso. Elige otro.",
-          field: "subdomain",
-          details: error.detail
-        });
+        return res.status(400).json(alreadyInUse("subdomain", "El subdominio ya está en uso. Elige otro."));
       }
     }
 
@@ -201,7 +285,16 @@ router.post("/", authMiddleware, async (req, res) => {
  * 🔹 PUT /api/commerces/:id
  * ✅ Actualiza la información básica de un comercio
  */
-router.put("/:id", authMiddleware, async (req, res) => {
+router.put("/:id", authMiddleware, requirePermission(PERMISSIONS.COMMERCE_EDIT), requireCommerceAccess(), validate({
+  params: idParams("id"),
+  body: {
+    ...COMMERCE_FIELDS,
+    timezone: SCHEDULE_FIELDS.timezone,
+    discount_rule: { type: "enum", values: DISCOUNT_RULES },
+    latitude: { type: "number", min: -90, max: 90 },
+    longitude: { type: "number", min: -180, max: 180 }
+  }
+}), async (req, res) => {
   const { id } = req.params;
   const {
     business_name,
@@ -218,12 +311,25 @@ router.put("/:id", authMiddleware, async (req, res) => {
     social_instagram,
     social_facebook,
     social_whatsapp,
-    working_hours           // Nuevo campo
+    working_hours,          // Nuevo campo
+    timezone,
+    discount_rule,
+    latitude,
+    longitude
   } = req.body;
 
+  // La ubicación del local (origen de las zonas de envío por radio) se indica completa o se borra completa
+  const hasLocation = latitude !== undefined || longitude !== undefined;
+  if (hasLocation && (latitude !== null || longitude !== null) && !locationFrom({ latitude, longitude })) {
+    const missing = latitude === undefined || latitude === null ? "latitude" : "longitude";
+    return res.status(400).json(validationResponse([
+      fieldError(missing, "body", "REQUIRED", "Indica latitude y longitude juntas (o las dos en null para quitar la ubicación)")
+    ]));
+  }
+
   try {
     // Verificar si el comercio existe
-    const commerceExists = await pool.query("SELECT id FROM commerces WHERE id = $1", [id]);
+    const commerceExists = await pool.query("SELECT * FROM commerces WHERE id = $1 AND deleted_at IS NULL", [id]);
 
     if (commerceExists.rows.length === 0) {
       return res.status(404).json({ error: "El comercio no existe" });
@@ -237,7 +343,7 @@ router.put("/:id", authMiddleware, async (req, res) => {
       );
 
       if (existingSubdomain.rows.length > 0) {
-        return res.status(400).json({ error: "El subdominio ya está en uso. Elige otro." });
+        return res.status(400).json(alreadyInUse("subdomain", "El subdominio ya está en uso. Elige otro."));
       }
     }
 
@@ -260,8 +366,12 @@ router.put("/:id", authMiddleware, async (req, res) => {
         social_facebook = $13,
         social_whatsapp = $14,
         working_hours = $15,
+        timezone = COALESCE($16, timezone),
+        discount_rule = COALESCE($18, discount_rule),
+        latitude = CASE WHEN $19::boolean THEN $20::numeric ELSE latitude END,
+        longitude = CASE WHEN $19::boolean THEN $21::numeric ELSE longitude END,
         updated_at = NOW()
-      WHERE id = $16
+      WHERE id = $17
       RETURNING *
     `;
 
@@ -281,11 +391,29 @@ router.put("/:id", authMiddleware, async (req, res) => {
       social_facebook,
       social_whatsapp,
       working_hours,
-      id
+      timezone,
+      id,
+      discount_rule,
+      hasLocation,
+      hasLocation ? latitude : null,
+      hasLocation ? longitude : null
     ];
 
     const result = await pool.query(updateQuery, values);
 
+    if (result.rows[0].is_open !== commerceExists.rows[0].is_open) {
+      publishEventSafe(pool, id, EVENT_TYPES.COMMERCE_OPEN_CHANGED, { is_open: result.rows[0].is_open });
+    }
+
+    await recordAuditSafe(pool, req, {
+      commerceId: id,
+      entityType: ENTITY_TYPES.COMMERCE,
+      entityId: id,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: commerceExists.rows[0],
+      after: result.rows[0]
+    });
+
     res.json({
       message: "Comercio actualizado correctamente",
       commerce: result.rows[0]
@@ -300,46 +428,34 @@ router.put("/:id", authMiddleware, async (req, res) => {
 /**
  * 🔹 PUT /api/commerces/:id/full-update
  * ✅ Actualiza la información completa de un comercio y su owner asociado.
- * Requiere verificación de contraseña del superuser por razones de seguridad.
+ * Requiere el código de verificación en dos pasos del superuser (two_factor_code o recovery_code).
  */
-router.put("/:id/full-update", authMiddleware, async (req, res) => {
+router.put("/:id/full-update", authMiddleware, requirePermission(PERMISSIONS.PLATFORM_ADMIN), requireCommerceAccess(), requireTwoFactor, validate({
+  params: idParams("id"),
+  body: {
+    commerce_data: { type: "object", properties: COMMERCE_FIELDS },
+    owner_data: {
+      type: "object",
+      properties: { email: { type: "email" }, password: PASSWORD_RULE, ...OWNER_FIELDS }
+    }
+  }
+}), async (req, res) => {
   const { id } = req.params;
   const {
-    superuser_password, // Para verificar autorización
     commerce_data, // Datos del comercio
     owner_data     // Datos del owner
   } = req.body;
 
   try {
-    // Verificar si el usuario es SUPERUSER
-    if (req.user.role !== 'SUPERUSER') {
-      return res.status(403).json({ error: "No tienes permisos para modificar esta información confidencial" });
-    }
-
-    // Verificar la contraseña del superuser
-    const userResult = await pool.query('SELECT password FROM users WHERE id = $1 AND role = $2', [req.user.userId, 'SUPERUSER']);
-
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: "Usuario no encontrado" });
-    }
-
-    // Verificar la contraseña del superuser
-    const isPasswordValid = await bcrypt.compare(superuser_password, userResult.rows[0].password);
-    if (!isPasswordValid) {
-      return res.status(401).json({ error: "Contraseña incorrecta" });
-    }
-
     // Buscar el comercio
-    const commerceQuery = await pool.query("SELECT * FROM commerces WHERE id = $1", [id]);
+    const commerceQuery = await pool.query("SELECT * FROM commerces WHERE id = $1 AND deleted_at IS NULL", [id]);
 
     if (commerceQuery.rows.length === 0) {
       return res.status(404).json({ error: "El comercio no existe" });
     }
 
-    // Iniciar transacción para actualizar comercio y owner de manera atómica
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
+    // Actualizar comercio y owner de manera atómica; devuelve false si el comercio no tiene owner
+    const ownerFound = await withTransaction(async (client) => {
 
       // 1. Actualizar el comercio con todos los campos
       if (commerce_data) {
@@ -369,8 +485,9 @@ router.put("/:id/full-update", authMiddleware, async (req, res) => {
           );
 
           if (existingSubdomain.rows.length > 0) {
-            await client.query('ROLLBACK');
-            return res.status(400).json({ error: "El subdominio ya está en uso. Elige otro." });
+            throw validationError([
+              fieldError("commerce_data.subdomain", "body", "ALREADY_IN_USE", "El subdominio ya está en uso. Elige otro.")
+            ]);
           }
         }
 
@@ -418,22 +535,28 @@ router.put("/:id/full-update", authMiddleware, async (req, res) => {
         ];
 
         const updatedCommerce = await client.query(updateCommerceQuery, updateCommerceValues);
+
+        await recordAudit(client, req, {
+          commerceId: id,
+          entityType: ENTITY_TYPES.COMMERCE,
+          entityId: id,
+          action: AUDIT_ACTIONS.UPDATE,
+          before: commerceQuery.rows[0],
+          after: updatedCommerce.rows[0]
+        });
       }
 
       // 2. Buscar al owner del comercio
       const ownerQuery = await client.query(
-        "SELECT id, email, password, first_name, last_name, dni, address, phone FROM users WHERE commerce_id = $1 AND role = 'OWNER'",
+        `SELECT u.id, u.email, u.password, u.first_name, u.last_name, u.dni, u.address, u.phone FROM users u
+         JOIN commerce_memberships m ON m.user_id = u.id
+         WHERE m.commerce_id = $1 AND m.role = 'OWNER' ORDER BY m.created_at LIMIT 1`,
         [id]
       );
 
-      // Si no existe un owner, terminar transacción y devolver respuesta parcial
+      // Si no existe un owner, se confirma solo la actualización del comercio
       if (ownerQuery.rows.length === 0) {
-        await client.query('COMMIT');
-        return res.json({
-          message: "Comercio actualizado, pero no se encontró un owner asociado",
-          commerce: (await pool.query("SELECT * FROM commerces WHERE id = $1", [id])).rows[0],
-          owner: null
-        });
+        return false;
       }
 
       const ownerId = ownerQuery.rows[0].id;
@@ -458,19 +581,22 @@ router.put("/:id/full-update", authMiddleware, async (req, res) => {
           );
 
           if (existingEmail.rows.length > 0) {
-            await client.query('ROLLBACK');
-            return res.status(400).json({ error: "El email ya está en uso. Elige otro." });
+            throw validationError([
+              fieldError("owner_data.email", "body", "ALREADY_IN_USE", "El email ya está en uso. Elige otro.")
+            ]);
           }
         }
 
         // Preparar la consulta de actualización del owner
         let updateOwnerQuery;
         let updateOwnerValues;
+        let newPasswordHash = null;
 
         if (password) {
           // Si se proporciona una nueva contraseña, hashearla
           const salt = await bcrypt.genSalt(10);
           const hashedPassword = await bcrypt.hash(password, salt);
+          newPasswordHash = hashedPassword;
 
           updateOwnerQuery = `
             UPDATE users
@@ -526,81 +652,177 @@ router.put("/:id/full-update", authMiddleware, async (req, res) => {
 
         // Ejecutar la actualización del owner
         const updatedOwner = await client.query(updateOwnerQuery, updateOwnerValues);
-      }
 
-      // Confirmar la transacción
-      await client.query('COMMIT');
+        await recordAudit(client, req, {
+          commerceId: id,
+          entityType: ENTITY_TYPES.USER,
+          entityId: ownerId,
+          action: AUDIT_ACTIONS.UPDATE,
+          before: ownerQuery.rows[0],
+          after: { ...updatedOwner.rows[0], password: newPasswordHash || ownerQuery.rows[0].password }
+        });
 
-      // Obtener datos actualizados para devolver
-      const finalCommerce = (await pool.query("SELECT * FROM commerces WHERE id = $1", [id])).rows[0];
-      const finalOwner = (await pool.query(
-        "SELECT id, email, first_name, last_name, dni, address, phone FROM users WHERE commerce_id = $1 AND role = 'OWNER'",
-        [id]
-      )).rows[0];
+        // Con una contraseña nueva se cierran todas las sesiones abiertas del owner
+        if (password) {
+          await revokeAllSessions(client, ownerId, { reason: 'password_changed' });
+        }
+      }
 
-      // Responder con los datos actualizados
-      res.json({
-        message: "Comercio y owner actualizados correctamente",
-        commerce: finalCommerce,
-        owner: finalOwner
+      return true;
+    });
+
+    if (!ownerFound) {
+      return res.json({
+        message: "Comercio actualizado, pero no se encontró un owner asociado",
+        commerce: (await pool.query("SELECT * FROM commerces WHERE id = $1", [id])).rows[0],
+        owner: null
       });
+    }
 
-    } catch (error) {
-      await client.query('ROLLBACK');
-      console.error("❌ Error actualizando comercio y owner:", error);
-      throw error;
-    } finally {
-      client.release();
+    // Obtener datos actualizados para devolver
+    const finalCommerce = (await pool.query("SELECT * FROM commerces WHERE id = $1", [id])).rows[0];
+    const finalOwner = (await pool.query(
+      `SELECT u.id, u.email, u.first_name, u.last_name, u.dni, u.address, u.phone FROM users u
+       JOIN commerce_memberships m ON m.user_id = u.id
+       WHERE m.commerce_id = $1 AND m.role = 'OWNER' ORDER BY m.created_at LIMIT 1`,
+      [id]
+    )).rows[0];
+
+    if (finalCommerce.is_open !== commerceQuery.rows[0].is_open) {
+      publishEventSafe(pool, id, EVENT_TYPES.COMMERCE_OPEN_CHANGED, { is_open: finalCommerce.is_open });
     }
 
+    // Responder con los datos actualizados
+    res.json({
+      message: "Comercio y owner actualizados correctamente",
+      commerce: finalCommerce,
+      owner: finalOwner
+    });
   } catch (error) {
-    console.error("❌ Error obteniendo detalles completos del comercio:", error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error("❌ Error actualizando comercio y owner:", error);
     res.status(500).json({ error: "Error en el servidor al actualizar detalles del comercio" });
   }
 });
 
-// funcion para borrar comercios
-router.delete("/:id", authMiddleware, async (req, res) => {
+/**
+ * 🔹 DELETE /api/commerces/:id
+ * ✅ Envía un comercio a la papelera con todo su catálogo y cierra las sesiones abiertas en él.
+ * Los usuarios, las imágenes y los datos se borran recién en la purga (ver services/trash.js).
+ * Body: { password } (contraseña del SUPERUSER)
+ */
+router.delete("/:id", authMiddleware, requirePermission(PERMISSIONS.PLATFORM_ADMIN), requireCommerceAccess(), validate({ params: idParams("id") }), requirePassword, async (req, res) => {
   const { id } = req.params;
 
   try {
-    // Iniciar una transacción para garantizar la integridad de los datos
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
+    // Una sola transacción: papelera, cierre de sesiones y auditoría
+    const commerce = await withTransaction(async (client) => {
+      const deleted = await softDelete(client, "commerce", id, { userId: req.user.userId });
 
-      // Eliminar productos asociados al comercio
-      await client.query("DELETE FROM products WHERE commerce_id = $1", [id]);
+      if (!deleted) {
+        throw httpError(404, "Comercio no encontrado");
+      }
 
-      // Eliminar categorías asociadas al comercio
-      await client.query("DELETE FROM categories WHERE commerce_id = $1", [id]);
+      // Nadie puede seguir trabajando sobre un comercio en la papelera
+      await revokeCommerceSessions(client, id, 'commerce_deleted');
 
-      // Eliminar usuarios asociados al comercio
-      await client.query("DELETE FROM users WHERE commerce_id = $1", [id]);
+      await recordAudit(client, req, {
+        commerceId: id,
+        entityType: ENTITY_TYPES.COMMERCE,
+        entityId: id,
+        action: AUDIT_ACTIONS.DELETE,
+        before: { ...deleted, deleted_at: null, deleted_by: null }
+      });
 
-      // Finalmente, eliminar el comercio
-      const result = await client.query("DELETE FROM commerces WHERE id = $1 RETURNING *", [id]);
+      return deleted;
+    });
 
-      if (result.rows.length === 0) {
-        await client.query('ROLLBACK');
-        return res.status(404).json({ error: "Comercio no encontrado" });
-      }
+    res.json({
+      message: "Comercio eliminado correctamente",
+      commerce
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error("Error al eliminar comercio:", error);
+    res.status(500).json({ error: "Error en el servidor al eliminar el comercio" });
+  }
+});
 
-      await client.query('COMMIT');
+/**
+ * 🔹 DELETE /api/commerces/:id/permanent
+ * ✅ Borra definitivamente un comercio (esté o no en la papelera) con todas sus filas dependientes
+ * en una sola transacción y encola la limpieza de sus imágenes. Devuelve el resumen de lo borrado.
+ * Body: { password, dry_run } (dry_run también se acepta en la query: calcula el resumen sin borrar nada)
+ */
+router.delete("/:id/permanent", authMiddleware, requirePermission(PERMISSIONS.PLATFORM_ADMIN), requireCommerceAccess(), validate({
+  params: idParams("id"),
+  query: { dry_run: { type: "boolean" } },
+  body: { dry_run: { type: "boolean" } }
+}), requirePassword, async (req, res) => {
+  const { id } = req.params;
+  const dryRun = req.body.dry_run === true || req.query.dry_run === true;
 
-      res.json({
-        message: "Comercio eliminado correctamente",
-        commerce: result.rows[0]
-      });
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
+  try {
+    const summary = await deleteCommerce(id, {
+      dryRun,
+      reason: "commerce_deleted",
+      onDeleted: (client, { removed }) => recordAudit(client, req, {
+        commerceId: id,
+        entityType: ENTITY_TYPES.COMMERCE,
+        entityId: id,
+        action: AUDIT_ACTIONS.PURGE,
+        changes: { removed: { before: null, after: removed } }
+      })
+    });
+
+    res.json({
+      message: dryRun ? "Simulación: no se borró nada" : "Comercio borrado definitivamente",
+      ...summary
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
     }
+    console.error("Error al borrar definitivamente el comercio:", error);
+    res.status(500).json({ error: "Error en el servidor al borrar el comercio" });
+  }
+});
+
+/**
+ * 🔹 POST /api/commerces/:id/restore
+ * ✅ Restaura un comercio de la papelera con el catálogo que se eliminó con él.
+ */
+router.post("/:id/restore", authMiddleware, requirePermission(PERMISSIONS.PLATFORM_ADMIN), requireCommerceAccess(), validate({ params: idParams("id") }), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const commerce = await withTransaction(async (client) => {
+      const restored = await restore(client, "commerce", id);
+
+      await recordAudit(client, req, {
+        commerceId: id,
+        entityType: ENTITY_TYPES.COMMERCE,
+        entityId: id,
+        action: AUDIT_ACTIONS.RESTORE
+      });
+
+      return restored;
+    });
+
+    res.json({
+      message: "Comercio restaurado correctamente",
+      commerce
+    });
   } catch (error) {
-    console.error("Error al eliminar comercio:", error);
-    res.status(500).json({ error: "Error en el servidor al eliminar el comercio" });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error("Error al restaurar comercio:", error);
+    res.status(500).json({ error: "Error en el servidor al restaurar el comercio" });
   }
 });
 
@@ -608,12 +830,12 @@ router.delete("/:id", authMiddleware, async (req, res) => {
  * 🔹 PUT /api/commerces/:id/update-banner
  * ✅ Actualiza el banner de un comercio usando Cloudinary.
  */
-router.put("/:id/update-banner", authMiddleware, upload.single('banner'), async (req, res) => {
+router.put("/:id/update-banner", authMiddleware, requirePermission(PERMISSIONS.COMMERCE_EDIT), requireCommerceAccess(), validate({ params: idParams("id") }), upload.single('banner'), async (req, res) => {
   const { id } = req.params;
 
   try {
     // Verificar si el comercio existe
-    const commerceQuery = await pool.query("SELECT banner_url FROM commerces WHERE id = $1", [id]);
+    const commerceQuery = await pool.query("SELECT banner_url FROM commerces WHERE id = $1 AND deleted_at IS NULL", [id]);
 
     if (commerceQuery.rows.length === 0) {
       return res.status(404).json({ error: "El comercio no existe" });
@@ -621,7 +843,9 @@ router.put("/:id/update-banner", authMiddleware, upload.single('banner'), async
 
     // Verificar si se ha subido un archivo
     if (!req.file) {
-      return res.status(400).json({ error: "No se ha proporcionado un archivo" });
+      return res.status(400).json(validationResponse([
+        fieldError("banner", "body", "REQUIRED", "No se ha proporcionado un archivo")
+      ]));
     }
 
     // Obtener información del comercio para el nombre del archivo
@@ -689,6 +913,14 @@ router.put("/:id/update-banner", authMiddleware, upload.single('banner'), async
       [uploadResult.secure_url, id]
     );
 
+    await recordAuditSafe(pool, req, {
+      commerceId: id,
+      entityType: ENTITY_TYPES.COMMERCE,
+      entityId: id,
+      action: AUDIT_ACTIONS.UPDATE,
+      changes: { banner_url: { before: oldBannerUrl, after: uploadResult.secure_url } }
+    });
+
     res.json({
       message: "Banner actualizado correctamente",
       banner_url: uploadResult.secure_url
@@ -707,12 +939,12 @@ router.put("/:id/update-banner", authMiddleware, upload.single('banner'), async
  * 🔹 PUT /api/commerces/:id/update-logo
  * ✅ Actualiza el logo de un comercio usando Cloudinary.
  */
-router.put("/:id/update-logo", authMiddleware, upload.single('logo'), async (req, res) => {
+router.put("/:id/update-logo", authMiddleware, requirePermission(PERMISSIONS.COMMERCE_EDIT), requireCommerceAccess(), validate({ params: idParams("id") }), upload.single('logo'), async (req, res) => {
   const { id } = req.params;
 
   try {
     // Verificar si el comercio existe
-    const commerceQuery = await pool.query("SELECT logo_url FROM commerces WHERE id = $1", [id]);
+    const commerceQuery = await pool.query("SELECT logo_url FROM commerces WHERE id = $1 AND deleted_at IS NULL", [id]);
 
     if (commerceQuery.rows.length === 0) {
       return res.status(404).json({ error: "El comercio no existe" });
@@ -720,7 +952,9 @@ router.put("/:id/update-logo", authMiddleware, upload.single('logo'), async (req
 
     // Verificar si se ha subido un archivo
     if (!req.file) {
-      return res.status(400).json({ error: "No se ha proporcionado un archivo" });
+      return res.status(400).json(validationResponse([
+        fieldError("logo", "body", "REQUIRED", "No se ha proporcionado un archivo")
+      ]));
     }
 
     // Obtener información del comercio para el nombre del archivo
@@ -790,6 +1024,14 @@ router.put("/:id/update-logo", authMiddleware, upload.single('logo'), async (req
       [uploadResult.secure_url, id]
     );
 
+    await recordAuditSafe(pool, req, {
+      commerceId: id,
+      entityType: ENTITY_TYPES.COMMERCE,
+      entityId: id,
+      action: AUDIT_ACTIONS.UPDATE,
+      changes: { logo_url: { before: oldLogoUrl, after: uploadResult.secure_url } }
+    });
+
     res.json({
       message: "Logo actualizado correctamente",
       logo_url: uploadResult.secure_url
@@ -807,33 +1049,14 @@ router.put("/:id/update-logo", authMiddleware, upload.single('logo'), async (req
 /**
  * 🔹 POST /api/commerces/:id/full-details
  * ✅ Obtiene información detallada de un comercio y su owner asociado, incluyendo la contraseña.
- * Requiere verificación de contraseña del superuser por razones de seguridad.
+ * Requiere el código de verificación en dos pasos del superuser (two_factor_code o recovery_code).
  */
-router.post("/:id/full-details", authMiddleware, async (req, res) => {
+router.post("/:id/full-details", authMiddleware, requirePermission(PERMISSIONS.PLATFORM_ADMIN), requireCommerceAccess(), requireTwoFactor, validate({ params: idParams("id") }), async (req, res) => {
   const { id } = req.params;
-    const { superuser_password } = req.body;
 
     try {
-      // Verificar si el usuario es SUPERUSER
-      if (req.user.role !== 'SUPERUSER') {
-        return res.status(403).json({ error: "No tienes permisos para acceder a esta información confidencial" });
-      }
-
-      // Verificar la contraseña del superuser
-      const userResult = await pool.query('SELECT password FROM users WHERE id = $1 AND role = $2', [req.user.userId, 'SUPERUSER']);
-
-      if (userResult.rows.length === 0) {
-        return res.status(404).json({ error: "Usuario no encontrado" });
-      }
-
-      // Verificar la contraseña del superuser
-      const isPasswordValid = await bcrypt.compare(superuser_password, userResult.rows[0].password);
-      if (!isPasswordValid) {
-        return res.status(401).json({ error: "Contraseña incorrecta" });
-      }
-
       // Buscar el comercio
-      const commerceQuery = await pool.query("SELECT * FROM commerces WHERE id = $1", [id]);
+      const commerceQuery = await pool.query("SELECT * FROM commerces WHERE id = $1 AND deleted_at IS NULL", [id]);
 
       if (commerceQuery.rows.length === 0) {
         return res.status(404).json({ error: "El comercio no existe" });
@@ -843,7 +1066,9 @@ router.post("/:id/full-details", authMiddleware, async (req, res) => {
 
       // Buscar al owner del comercio y su contraseña
       const ownerQuery = await pool.query(
-        "SELECT id, email, password, first_name, last_name, dni, address, phone, created_at FROM users WHERE commerce_id = $1 AND role = 'OWNER'",
+        `SELECT u.id, u.email, u.password, u.first_name, u.last_name, u.dni, u.address, u.phone, u.created_at FROM users u
+         JOIN commerce_memberships m ON m.user_id = u.id
+         WHERE m.commerce_id = $1 AND m.role = 'OWNER' ORDER BY m.created_at LIMIT 1`,
         [id]
       );
 
@@ -865,7 +1090,7 @@ router.post("/:id/full-details", authMiddleware, async (req, res) => {
    * 🔹 GET /api/commerces/my-commerce
    * Obtiene la información del comercio asociado al usuario autenticado.
    */
-  router.get("/my-commerce", authMiddleware, async (req, res) => {
+  router.get("/my-commerce", authMiddleware, requirePermission(PERMISSIONS.COMMERCE_VIEW), async (req, res) => {
     try {
       // Verificar si el usuario tiene un commerceId asociado
       const commerceId = req.user.commerceId;
@@ -887,9 +1112,10 @@ router.post("/:id/full-details", authMiddleware, async (req, res) => {
           is_open, delivery_time, delivery_fee, min_order_value, accepts_delivery, accepts_pickup,
           contact_phone, contact_email, social_instagram, social_facebook, social_whatsapp,
           working_hours,    /* Nuevo campo */
+          timezone, discount_rule, latitude, longitude,
           created_at, updated_at
         FROM commerces
-        WHERE id = $1
+        WHERE id = $1 AND deleted_at IS NULL
       `;
       const result = await pool.query(query, [commerceId]);
 
@@ -897,11 +1123,322 @@ router.post("/:id/full-details", authMiddleware, async (req, res) => {
         return res.status(404).json({ error: "Comercio no encontrado" });
       }
 
-      res.json(result.rows[0]);
+      const commerce = result.rows[0];
+      const openState = await getOpenState(pool, commerce);
+
+      res.json({
+        ...commerce,
+        is_open_now: openState.is_open_now,
+        next_opening_at: openState.next_opening_at
+      });
     } catch (error) {
       console.error("❌ Error obteniendo comercio del usuario:", error);
       res.status(500).json({ error: "Error al obtener información del comercio" });
     }
   });
 
+  /**
+   * 🔹 GET /api/commerces/:id/schedule-exceptions
+   * Lista las excepciones de horario (feriados, cierres temporales, horarios especiales).
+   */
+  router.get("/:id/schedule-exceptions", authMiddleware, requirePermission(PERMISSIONS.COMMERCE_VIEW), requireCommerceAccess(), validate({ params: idParams("id") }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const result = await pool.query(
+        `SELECT id, to_char(date_from, 'YYYY-MM-DD') AS date_from, to_char(date_to, 'YYYY-MM-DD') AS date_to,
+                closed, ranges, reason, created_at, updated_at
+         FROM commerce_schedule_exceptions
+         WHERE commerce_id = $1
+         ORDER BY date_from DESC`,
+        [id]
+      );
+      res.json(result.rows);
+    } catch (error) {
+      console.error("❌ Error obteniendo excepciones de horario:", error);
+      res.status(500).json({ error: "Error al obtener excepciones de horario" });
+    }
+  });
+
+  /**
+   * 🔹 POST /api/commerces/:id/schedule-exceptions
+   * Crea una excepción de horario.
+   * Body: { date_from, date_to, closed = true, ranges, reason }
+   * Si closed es false, ranges reemplaza el horario normal de esos días.
+   */
+  router.post("/:id/schedule-exceptions", authMiddleware, requirePermission(PERMISSIONS.COMMERCE_EDIT), requireCommerceAccess(), validate({
+    params: idParams("id"),
+    body: {
+      date_from: { type: "date", required: true },
+      date_to: { type: "date" },
+      closed: { type: "boolean" },
+      ranges: { type: "json" },
+      reason: { type: "string", maxLength: 255 }
+    }
+  }), async (req, res) => {
+    const { id } = req.params;
+    const { date_from, date_to = date_from, closed = true, ranges = null, reason = null } = req.body;
+
+    if (date_to < date_from) {
+      return res.status(400).json(validationResponse([
+        fieldError("date_to", "body", "OUT_OF_RANGE", "date_to debe ser igual o posterior a date_from")
+      ]));
+    }
+
+    if (!closed) {
+      const parsedRanges = parseDayRanges(ranges);
+      if (!parsedRanges || parsedRanges.length === 0) {
+        return res.status(400).json(validationResponse([
+          fieldError("ranges", "body", "INVALID_VALUE", "Debes indicar franjas horarias válidas (HH:MM)")
+        ]));
+      }
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO commerce_schedule_exceptions (commerce_id, date_from, date_to, closed, ranges, reason, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+         RETURNING id, to_char(date_from, 'YYYY-MM-DD') AS date_from, to_char(date_to, 'YYYY-MM-DD') AS date_to,
+                   closed, ranges, reason, created_at, updated_at`,
+        [id, date_from, date_to, Boolean(closed), closed ? null : JSON.stringify(ranges), reason]
+      );
+
+      await recordAuditSafe(pool, req, {
+        commerceId: id,
+        entityType: ENTITY_TYPES.SCHEDULE_EXCEPTION,
+        entityId: result.rows[0].id,
+        action: AUDIT_ACTIONS.CREATE,
+        after: result.rows[0]
+      });
+
+      res.status(201).json(result.rows[0]);
+    } catch (error) {
+      console.error("❌ Error creando excepción de horario:", error);
+      res.status(500).json({ error: "Error al crear la excepción de horario" });
+    }
+  });
+
+  /**
+   * 🔹 DELETE /api/commerces/:id/schedule-exceptions/:exceptionId
+   * Elimina una excepción de horario.
+   */
+  router.delete("/:id/schedule-exceptions/:exceptionId", authMiddleware, requirePermission(PERMISSIONS.COMMERCE_EDIT), requireCommerceAccess(), validate({ params: idParams("id", "exceptionId") }), async (req, res) => {
+    const { id, exceptionId } = req.params;
+
+    try {
+      const result = await pool.query(
+        `DELETE FROM commerce_schedule_exceptions WHERE id = $1 AND commerce_id = $2
+         RETURNING id, to_char(date_from, 'YYYY-MM-DD') AS date_from, to_char(date_to, 'YYYY-MM-DD') AS date_to,
+                   closed, ranges, reason`,
+        [exceptionId, id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: "Excepción de horario no encontrada" });
+      }
+
+      await recordAuditSafe(pool, req, {
+        commerceId: id,
+        entityType: ENTITY_TYPES.SCHEDULE_EXCEPTION,
+        entityId: result.rows[0].id,
+        action: AUDIT_ACTIONS.DELETE,
+        before: result.rows[0]
+      });
+
+      res.json({ message: "Excepción de horario eliminada", id: result.rows[0].id });
+    } catch (error) {
+      console.error("❌ Error eliminando excepción de horario:", error);
+      res.status(500).json({ error: "Error al eliminar la excepción de horario" });
+    }
+  });
+
+  /**
+   * 🔹 GET /api/commerces/:id/delivery-zones
+   * Lista las zonas de envío del comercio.
+   */
+  router.get("/:id/delivery-zones", authMiddleware, requirePermission(PERMISSIONS.COMMERCE_VIEW), requireCommerceAccess(), validate({ params: idParams("id") }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const result = await pool.query(
+        "SELECT * FROM delivery_zones WHERE commerce_id = $1 ORDER BY id",
+        [id]
+      );
+      res.json(result.rows);
+    } catch (error) {
+      console.error("❌ Error obteniendo zonas de envío:", error);
+      res.status(500).json({ error: "Error al obtener las zonas de envío" });
+    }
+  });
+
+  /**
+   * 🔹 POST /api/commerces/:id/delivery-zones
+   * Crea una zona de envío.
+   * Body: { name, zone_type: 'polygon' | 'radius', geometry, radius_km, delivery_fee, min_order_value, eta_minutes, active }
+   * geometry es un Polygon o MultiPolygon GeoJSON; radius_km se mide desde la ubicación del local.
+   */
+  router.post("/:id/delivery-zones", authMiddleware, requirePermission(PERMISSIONS.COMMERCE_EDIT), requireCommerceAccess(), validate({
+    params: idParams("id"),
+    body: DELIVERY_ZONE_FIELDS
+  }), async (req, res) => {
+    const { id } = req.params;
+
+    const zoneError = validateDeliveryZone(req.body);
+    if (zoneError) {
+      return res.status(400).json(zoneError);
+    }
+
+    const {
+      name,
+      zone_type,
+      geometry = null,
+      radius_km = null,
+      delivery_fee = 0,
+      min_order_value = 0,
+      eta_minutes = null,
+      active = true
+    } = req.body;
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO delivery_zones (
+           commerce_id, name, zone_type, geometry, radius_km, delivery_fee, min_order_value, eta_minutes, active, created_at, updated_at
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+         RETURNING *`,
+        [
+          id,
+          String(name).trim(),
+          zone_type,
+          zone_type === "polygon" ? JSON.stringify(geometry) : null,
+          zone_type === "radius" ? radius_km : null,
+          delivery_fee,
+          min_order_value,
+          eta_minutes,
+          Boolean(active)
+        ]
+      );
+
+      await recordAuditSafe(pool, req, {
+        commerceId: id,
+        entityType: ENTITY_TYPES.DELIVERY_ZONE,
+        entityId: result.rows[0].id,
+        action: AUDIT_ACTIONS.CREATE,
+        after: result.rows[0]
+      });
+
+      res.status(201).json(result.rows[0]);
+    } catch (error) {
+      console.error("❌ Error creando zona de envío:", error);
+      res.status(500).json({ error: "Error al crear la zona de envío" });
+    }
+  });
+
+  /**
+   * 🔹 PUT /api/commerces/:id/delivery-zones/:zoneId
+   * Actualiza una zona de envío (mismo body que al crearla).
+   */
+  router.put("/:id/delivery-zones/:zoneId", authMiddleware, requirePermission(PERMISSIONS.COMMERCE_EDIT), requireCommerceAccess(), validate({
+    params: idParams("id", "zoneId"),
+    body: DELIVERY_ZONE_FIELDS
+  }), async (req, res) => {
+    const { id, zoneId } = req.params;
+
+    const zoneError = validateDeliveryZone(req.body);
+    if (zoneError) {
+      return res.status(400).json(zoneError);
+    }
+
+    const {
+      name,
+      zone_type,
+      geometry = null,
+      radius_km = null,
+      delivery_fee = 0,
+      min_order_value = 0,
+      eta_minutes = null,
+      active = true
+    } = req.body;
+
+    try {
+      const before = await loadSnapshot(pool, "delivery_zones", zoneId);
+      const result = await pool.query(
+        `UPDATE delivery_zones SET
+           name = $1,
+           zone_type = $2,
+           geometry = $3,
+           radius_km = $4,
+           delivery_fee = $5,
+           min_order_value = $6,
+           eta_minutes = $7,
+           active = $8,
+           updated_at = NOW()
+         WHERE id = $9 AND commerce_id = $10
+         RETURNING *`,
+        [
+          String(name).trim(),
+          zone_type,
+          zone_type === "polygon" ? JSON.stringify(geometry) : null,
+          zone_type === "radius" ? radius_km : null,
+          delivery_fee,
+          min_order_value,
+          eta_minutes,
+          Boolean(active),
+          zoneId,
+          id
+        ]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: "Zona de envío no encontrada" });
+      }
+
+      await recordAuditSafe(pool, req, {
+        commerceId: id,
+        entityType: ENTITY_TYPES.DELIVERY_ZONE,
+        entityId: zoneId,
+        action: AUDIT_ACTIONS.UPDATE,
+        before,
+        after: result.rows[0]
+      });
+
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error("❌ Error actualizando zona de envío:", error);
+      res.status(500).json({ error: "Error al actualizar la zona de envío" });
+    }
+  });
+
+  /**
+   * 🔹 DELETE /api/commerces/:id/delivery-zones/:zoneId
+   * Elimina una zona de envío. Si no quedan zonas activas se vuelve al costo de envío general.
+   */
+  router.delete("/:id/delivery-zones/:zoneId", authMiddleware, requirePermission(PERMISSIONS.COMMERCE_EDIT), requireCommerceAccess(), validate({ params: idParams("id", "zoneId") }), async (req, res) => {
+    const { id, zoneId } = req.params;
+
+    try {
+      const result = await pool.query(
+        "DELETE FROM delivery_zones WHERE id = $1 AND commerce_id = $2 RETURNING *",
+        [zoneId, id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: "Zona de envío no encontrada" });
+      }
+
+      await recordAuditSafe(pool, req, {
+        commerceId: id,
+        entityType: ENTITY_TYPES.DELIVERY_ZONE,
+        entityId: zoneId,
+        action: AUDIT_ACTIONS.DELETE,
+        before: result.rows[0]
+      });
+
+      res.json({ message: "Zona de envío eliminada", id: result.rows[0].id });
+    } catch (error) {
+      console.error("❌ Error eliminando zona de envío:", error);
+      res.status(500).json({ error: "Error al eliminar la zona de envío" });
+    }
+  });
+
   module.exports = router;
\ No newline at end of file
@@ -0,0 +1,292 @@
+// routes/coupons.js
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../services/db');
+const { COUPON_DISCOUNT_TYPES, normalizeCode } = require('../services/coupons');
+const requirePermission = require('../middlewares/permissionMiddleware');
+const validate = require('../middlewares/validationMiddleware');
+const { PERMISSIONS } = require('../services/permissions');
+const { MAX_PRICE, fieldError, validationResponse, idParams } = require('../services/validation');
+
+const COUPON_FIELDS = {
+  code: {
+    type: 'string',
+    required: true,
+    custom: code => (/^[A-Z0-9_-]{3,50}$/.test(normalizeCode(code))
+      ? null
+      : 'El código debe tener entre 3 y 50 caracteres (letras, números, - o _)')
+  },
+  description: { type: 'string', maxLength: 255 },
+  discount_type: { type: 'enum', values: COUPON_DISCOUNT_TYPES },
+  discount_value: { type: 'number', nullable: false, min: 0, max: MAX_PRICE },
+  free_delivery: { type: 'boolean' },
+  min_order_value: { type: 'number', min: 0, max: MAX_PRICE },
+  max_uses: { type: 'integer', min: 1 },
+  max_uses_per_customer: { type: 'integer', min: 1 },
+  valid_from: { type: 'datetime' },
+  valid_until: { type: 'datetime' },
+  category_ids: { type: 'array', nullable: false, maxItems: 500, items: { type: 'id' } },
+  product_ids: { type: 'array', nullable: false, maxItems: 500, items: { type: 'id' } },
+  active: { type: 'boolean' }
+};
+
+/**
+ * Reglas del cupón que dependen de más de un campo (tipos y formatos los valida COUPON_FIELDS).
+ * Devuelve el cuerpo de la respuesta de error o null si son válidos.
+ */
+function validateCoupon({ discount_type = 'percentage', discount_value = 0, valid_from, valid_until }) {
+  if (discount_type === 'percentage' && Number(discount_value) > 100) {
+    return validationResponse([
+      fieldError('discount_value', 'body', 'OUT_OF_RANGE', 'El descuento porcentual no puede superar 100')
+    ]);
+  }
+  if (valid_from && valid_until && new Date(valid_until) < new Date(valid_from)) {
+    return validationResponse([
+      fieldError('valid_until', 'body', 'INVALID_VALUE', 'La fecha de fin debe ser posterior a la de inicio')
+    ]);
+  }
+  return null;
+}
+
+/**
+ * Verifica que las categorías y productos de la restricción pertenezcan al comercio.
+ */
+async function restrictionsBelongToCommerce(commerceId, categoryIds, productIds) {
+  if (categoryIds.length > 0) {
+    const result = await pool.query(
+      'SELECT COUNT(*)::int AS total FROM categories WHERE id = ANY($1) AND commerce_id = $2 AND deleted_at IS NULL',
+      [categoryIds, commerceId]
+    );
+    if (result.rows[0].total !== new Set(categoryIds).size) return false;
+  }
+  if (productIds.length > 0) {
+    const result = await pool.query(
+      'SELECT COUNT(*)::int AS total FROM products WHERE id = ANY($1) AND commerce_id = $2 AND deleted_at IS NULL',
+      [productIds, commerceId]
+    );
+    if (result.rows[0].total !== new Set(productIds).size) return false;
+  }
+  return true;
+}
+
+/**
+ * GET /api/coupons
+ * Listar los cupones del comercio con su cantidad de usos
+ */
+router.get('/', requirePermission(PERMISSIONS.COUPONS_MANAGE), async (req, res) => {
+  try {
+    const query = `
+      SELECT c.*, (SELECT COUNT(*)::int FROM coupon_redemptions r WHERE r.coupon_id = c.id) AS uses
+      FROM coupons c
+      WHERE c.commerce_id = $1
+      ORDER BY c.created_at DESC
+    `;
+    const result = await pool.query(query, [req.user.commerceId]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error al obtener cupones:', error);
+    res.status(500).json({ error: 'Error al obtener cupones' });
+  }
+});
+
+/**
+ * GET /api/coupons/:id
+ * Obtener un cupón con sus últimos usos
+ */
+router.get('/:id', requirePermission(PERMISSIONS.COUPONS_MANAGE), validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const couponResult = await pool.query(
+      'SELECT * FROM coupons WHERE id = $1 AND commerce_id = $2',
+      [id, req.user.commerceId]
+    );
+
+    if (couponResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Cupón no encontrado o no tiene permisos' });
+    }
+
+    const redemptionsResult = await pool.query(
+      `SELECT id, order_id, customer_key, discount_amount, created_at
+       FROM coupon_redemptions WHERE coupon_id = $1
+       ORDER BY created_at DESC LIMIT 100`,
+      [id]
+    );
+
+    res.json({
+      ...couponResult.rows[0],
+      redemptions: redemptionsResult.rows
+    });
+  } catch (error) {
+    console.error('Error al obtener cupón:', error);
+    res.status(500).json({ error: 'Error al obtener cupón' });
+  }
+});
+
+/**
+ * POST /api/coupons
+ * Crear un cupón
+ */
+router.post('/', requirePermission(PERMISSIONS.COUPONS_MANAGE), validate({ body: COUPON_FIELDS }), async (req, res) => {
+  try {
+    const couponError = validateCoupon(req.body);
+    if (couponError) {
+      return res.status(400).json(couponError);
+    }
+
+    const {
+      code,
+      description = null,
+      discount_type = 'percentage',
+      discount_value = 0,
+      free_delivery = false,
+      min_order_value = null,
+      max_uses = null,
+      max_uses_per_customer = null,
+      valid_from = null,
+      valid_until = null,
+      category_ids = [],
+      product_ids = [],
+      active = true
+    } = req.body;
+
+    if (!(await restrictionsBelongToCommerce(req.user.commerceId, category_ids, product_ids))) {
+      return res.status(400).json(validationResponse([
+        fieldError('category_ids|product_ids', 'body', 'INVALID_VALUE', 'Algunas categorías o productos no pertenecen a su comercio')
+      ]));
+    }
+
+    const query = `
+      INSERT INTO coupons (
+        commerce_id, code, description, discount_type, discount_value, free_delivery,
+        min_order_value, max_uses, max_uses_per_customer, valid_from, valid_until,
+        category_ids, product_ids, active, created_at, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW(), NOW())
+      RETURNING *
+    `;
+    const values = [
+      req.user.commerceId, normalizeCode(code), description, discount_type, discount_value, free_delivery,
+      min_order_value, max_uses, max_uses_per_customer, valid_from, valid_until,
+      category_ids, product_ids, active
+    ];
+
+    const result = await pool.query(query, values);
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json(validationResponse([
+        fieldError('code', 'body', 'ALREADY_IN_USE', 'Ya existe un cupón con ese código')
+      ]));
+    }
+    console.error('Error al crear cupón:', error);
+    res.status(500).json({ error: 'Error al crear cupón' });
+  }
+});
+
+/**
+ * PUT /api/coupons/:id
+ * Actualizar un cupón existente
+ */
+router.put('/:id', requirePermission(PERMISSIONS.COUPONS_MANAGE), validate({
+  params: idParams('id'),
+  body: COUPON_FIELDS
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const couponError = validateCoupon(req.body);
+    if (couponError) {
+      return res.status(400).json(couponError);
+    }
+
+    const {
+      code,
+      description = null,
+      discount_type = 'percentage',
+      discount_value = 0,
+      free_delivery = false,
+      min_order_value = null,
+      max_uses = null,
+      max_uses_per_customer = null,
+      valid_from = null,
+      valid_until = null,
+      category_ids = [],
+      product_ids = [],
+      active = true
+    } = req.body;
+
+    if (!(await restrictionsBelongToCommerce(req.user.commerceId, category_ids, product_ids))) {
+      return res.status(400).json(validationResponse([
+        fieldError('category_ids|product_ids', 'body', 'INVALID_VALUE', 'Algunas categorías o productos no pertenecen a su comercio')
+      ]));
+    }
+
+    const query = `
+      UPDATE coupons SET
+        code = $1,
+        description = $2,
+        discount_type = $3,
+        discount_value = $4,
+        free_delivery = $5,
+        min_order_value = $6,
+        max_uses = $7,
+        max_uses_per_customer = $8,
+        valid_from = $9,
+        valid_until = $10,
+        category_ids = $11,
+        product_ids = $12,
+        active = $13,
+        updated_at = NOW()
+      WHERE id = $14 AND commerce_id = $15
+      RETURNING *
+    `;
+    const values = [
+      normalizeCode(code), description, discount_type, discount_value, free_delivery,
+      min_order_value, max_uses, max_uses_per_customer, valid_from, valid_until,
+      category_ids, product_ids, active, id, req.user.commerceId
+    ];
+
+    const result = await pool.query(query, values);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Cupón no encontrado o no tiene permisos' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json(validationResponse([
+        fieldError('code', 'body', 'ALREADY_IN_USE', 'Ya existe un cupón con ese código')
+      ]));
+    }
+    console.error('Error al actualizar cupón:', error);
+    res.status(500).json({ error: 'Error al actualizar cupón' });
+  }
+});
+
+/**
+ * DELETE /api/coupons/:id
+ * Eliminar un cupón (los pedidos conservan el código usado)
+ */
+router.delete('/:id', requirePermission(PERMISSIONS.COUPONS_MANAGE), validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM coupons WHERE id = $1 AND commerce_id = $2 RETURNING id',
+      [id, req.user.commerceId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Cupón no encontrado o no tiene permisos' });
+    }
+
+    res.json({ message: 'Cupón eliminado correctamente' });
+  } catch (error) {
+    console.error('Error al eliminar cupón:', error);
+    res.status(500).json({ error: 'Error al eliminar cupón' });
+  }
+});
+
+module.exports = router;
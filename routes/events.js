@@ -0,0 +1,43 @@
+// routes/events.js
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../services/db');
+const authMiddleware = require('../middlewares/authMiddleware');
+const requirePermission = require('../middlewares/permissionMiddleware');
+const { PERMISSIONS } = require('../services/permissions');
+const { openEventStream } = require('../services/events');
+const { checkSession } = require('../services/sessions');
+const { checkImpersonation } = require('../services/impersonation');
+
+/**
+ * EventSource del navegador no permite enviar headers, así que este router
+ * acepta también el token como query (?token=...) y lo pasa al authMiddleware.
+ */
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+}
+
+/**
+ * GET /api/events
+ * Stream SSE con todos los eventos del comercio del usuario
+ * (pedidos nuevos, cambios de estado, disponibilidad, apertura/cierre).
+ * La sesión se vuelve a comprobar mientras el stream está abierto: si se cierra (logout-all,
+ * cambio de contraseña, comercio en la papelera) o cambia el rol, el stream se corta.
+ */
+router.get('/', tokenFromQuery, authMiddleware, requirePermission(PERMISSIONS.ORDERS_VIEW), (req, res) => {
+  const commerceId = req.user.commerceId;
+  if (!commerceId) {
+    return res.status(400).json({ error: 'No se encontró commerce_id para el usuario' });
+  }
+
+  openEventStream(req, res, commerceId, undefined, {
+    checkAccess: () => (req.user.impersonated
+      ? checkImpersonation(pool, req.user)
+      : checkSession(pool, req.user))
+  });
+});
+
+module.exports = router;
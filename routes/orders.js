@@ -0,0 +1,179 @@
+// routes/orders.js
+const express = require('express');
+const router = express.Router();
+const { pool, withTransaction } = require('../services/db');
+const { ORDER_STATUSES, transitionOrder } = require('../services/orderStatus');
+const { FULFILLMENT_TYPES } = require('../services/orders');
+const { EVENT_TYPES, publishEvent } = require('../services/events');
+const requirePermission = require('../middlewares/permissionMiddleware');
+const validate = require('../middlewares/validationMiddleware');
+const { PERMISSIONS } = require('../services/permissions');
+const { idParams } = require('../services/validation');
+
+const LIST_QUERY = {
+  status: {
+    type: 'string',
+    custom: value => {
+      const invalid = value.split(',').map(s => s.trim()).filter(s => !ORDER_STATUSES.includes(s));
+      return invalid.length > 0 ? `Estado de pedido inválido: ${invalid.join(', ')} (usa ${ORDER_STATUSES.join(', ')})` : null;
+    }
+  },
+  fulfillment_type: { type: 'enum', values: FULFILLMENT_TYPES },
+  from: { type: 'datetime' },
+  to: { type: 'datetime' },
+  limit: { type: 'integer', min: 1, max: 200 },
+  offset: { type: 'integer', min: 0 }
+};
+
+/**
+ * GET /api/orders
+ * Listar los pedidos del comercio del usuario.
+ * Filtros opcionales (query): status (uno o varios separados por coma),
+ * fulfillment_type, from, to (fechas ISO), limit, offset
+ */
+router.get('/', requirePermission(PERMISSIONS.ORDERS_VIEW), validate({ query: LIST_QUERY }), async (req, res) => {
+  try {
+    const commerceId = req.user.commerceId;
+    if (!commerceId) {
+      return res.status(400).json({ error: 'No se encontró commerce_id para el usuario' });
+    }
+
+    const { status, fulfillment_type, from, to, limit = 50, offset = 0 } = req.query;
+
+    const conditions = ['commerce_id = $1'];
+    const values = [commerceId];
+
+    if (status) {
+      values.push(status.split(',').map(s => s.trim()));
+      conditions.push(`status = ANY($${values.length})`);
+    }
+
+    if (fulfillment_type) {
+      values.push(fulfillment_type);
+      conditions.push(`fulfillment_type = $${values.length}`);
+    }
+
+    for (const [param, operator] of [[from, '>='], [to, '<=']]) {
+      if (!param) continue;
+      values.push(param);
+      conditions.push(`created_at ${operator} $${values.length}`);
+    }
+
+    const whereClause = conditions.join(' AND ');
+
+    const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM orders WHERE ${whereClause}`, values);
+
+    const query = `
+      SELECT * FROM orders
+      WHERE ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `;
+    const result = await pool.query(query, [...values, limit, offset]);
+
+    res.json({
+      orders: result.rows,
+      total: countResult.rows[0].total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Error en GET /orders:', error);
+    res.status(500).json({ error: 'Error al obtener pedidos' });
+  }
+});
+
+/**
+ * GET /api/orders/:id
+ * Obtener un pedido con sus líneas y el historial de estados
+ */
+router.get('/:id', requirePermission(PERMISSIONS.ORDERS_VIEW), validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const commerceId = req.user.commerceId;
+
+    const orderResult = await pool.query(
+      'SELECT * FROM orders WHERE id = $1 AND commerce_id = $2',
+      [id, commerceId]
+    );
+
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Pedido no encontrado' });
+    }
+
+    const itemsResult = await pool.query(
+      'SELECT * FROM order_items WHERE order_id = $1 ORDER BY id',
+      [id]
+    );
+    const historyResult = await pool.query(
+      'SELECT from_status, to_status, reason, changed_by, created_at FROM order_status_history WHERE order_id = $1 ORDER BY created_at, id',
+      [id]
+    );
+
+    res.json({
+      ...orderResult.rows[0],
+      items: itemsResult.rows,
+      status_history: historyResult.rows
+    });
+  } catch (error) {
+    console.error('Error en GET /orders/:id:', error);
+    res.status(500).json({ error: 'Error al obtener el pedido' });
+  }
+});
+
+/**
+ * PUT /api/orders/:id/status
+ * Cambiar el estado de un pedido.
+ * Body: { status, reason } (reason es obligatorio para rejected y cancelled)
+ */
+router.put('/:id/status', requirePermission(PERMISSIONS.ORDERS_MANAGE), validate({
+  params: idParams('id'),
+  body: {
+    status: { type: 'enum', required: true, values: ORDER_STATUSES },
+    reason: { type: 'string', maxLength: 500 }
+  }
+}), async (req, res) => {
+  const { id } = req.params;
+  const { status, reason = null } = req.body;
+
+  try {
+    const order = await withTransaction(async (client) => {
+      const { previous, order: updated, availabilityChanges } = await transitionOrder(client, req.user.commerceId, id, status, {
+        reason,
+        userId: req.user.userId
+      });
+
+      await publishEvent(client, updated.commerce_id, EVENT_TYPES.ORDER_STATUS_CHANGED, {
+        order_id: updated.id,
+        tracking_code: updated.tracking_code,
+        previous_status: previous.status,
+        status: updated.status,
+        reason: updated.status_reason,
+        changed_at: updated.status_changed_at
+      });
+
+      for (const product of availabilityChanges) {
+        await publishEvent(client, updated.commerce_id, EVENT_TYPES.PRODUCT_AVAILABILITY_CHANGED, {
+          product_id: product.id,
+          availability_status: product.availability_status,
+          sold_out_until: product.sold_out_until,
+          stock: product.stock
+        });
+      }
+      return updated;
+    });
+
+    res.json({
+      message: 'Estado del pedido actualizado',
+      order
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error('Error en PUT /orders/:id/status:', error);
+    res.status(500).json({ error: 'Error al actualizar el estado del pedido' });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,16 @@
 // routes/product_options.js
 const express = require('express');
 const router = express.Router();
-const { Pool } = require('pg');
+const { pool, withTransaction } = require('../services/db');
+const httpError = require('../utils/httpError');
 const authMiddleware = require('../middlewares/authMiddleware');
+const requirePermission = require('../middlewares/permissionMiddleware');
+const validate = require('../middlewares/validationMiddleware');
+const { PERMISSIONS } = require('../services/permissions');
+const { EVENT_TYPES, publishEventSafe } = require('../services/events');
+const { ENTITY_TYPES, AUDIT_ACTIONS, loadSnapshot, recordAudit, recordAuditSafe } = require('../services/audit');
+const { softDelete, restore } = require('../services/trash');
+const { MAX_PRICE, fieldError, validationResponse, idParams } = require('../services/validation');
 const cloudinary = require("cloudinary").v2;
 const multer = require("multer");
 const path = require("path");
@@ -27,15 +35,47 @@ const upload = multer({
   }
 });
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-});
+const ITEM_FIELDS = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+  price_addition: { type: 'number', min: -MAX_PRICE, max: MAX_PRICE },
+  available: { type: 'boolean' },
+  image_url: { type: 'string', maxLength: 2048, pattern: /^https?:\/\//, patternMessage: 'image_url debe ser una URL http(s)' }
+};
+
+const OPTION_FIELDS = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+  required: { type: 'boolean' },
+  multiple: { type: 'boolean' },
+  max_selections: { type: 'integer', min: 1, max: 100 },
+  items: {
+    type: 'array',
+    maxItems: 100,
+    items: { type: 'object', properties: { id: { type: 'id' }, ...ITEM_FIELDS } }
+  }
+};
+
+/**
+ * Opción con sus ítems, para el historial de cambios (null si no existe).
+ */
+async function loadOptionWithItems(db, optionId) {
+  const option = await loadSnapshot(db, 'product_options', optionId);
+  if (!option) return null;
+
+  const itemsResult = await db.query(
+    'SELECT id, name, price_addition, available, image_url FROM option_items WHERE option_id = $1 AND deleted_at IS NULL ORDER BY id',
+    [optionId]
+  );
+  return { ...option, items: itemsResult.rows };
+}
 
 /**
  * PUT /api/product-options/:id
  * Actualizar una opción de producto
  */
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({
+  params: idParams('id'),
+  body: OPTION_FIELDS
+}), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, required, multiple, max_selections } = req.body;
@@ -44,7 +84,7 @@ router.put('/:id', authMiddleware, async (req, res) => {
     const verifyQuery = `
       SELECT po.id FROM product_options po
       JOIN products p ON po.product_id = p.id
-      WHERE po.id = $1 AND p.commerce_id = $2
+      WHERE po.id = $1 AND p.commerce_id = $2 AND po.deleted_at IS NULL AND p.deleted_at IS NULL
     `;
     const verifyResult = await pool.query(verifyQuery, [id, req.user.commerceId]);
 
@@ -52,6 +92,8 @@ router.put('/:id', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Opción no encontrada o no pertenece a este comercio' });
     }
 
+    const before = await loadSnapshot(pool, 'product_options', id);
+
     // Actualizar opción
     const updateQuery = `
       UPDATE product_options
@@ -61,6 +103,15 @@ router.put('/:id', authMiddleware, async (req, res) => {
     const updateValues = [name, required, multiple, multiple ? max_selections : null, id];
     const updateResult = await pool.query(updateQuery, updateValues);
 
+    await recordAuditSafe(pool, req, {
+      commerceId: req.user.commerceId,
+      entityType: ENTITY_TYPES.PRODUCT_OPTION,
+      entityId: id,
+      action: AUDIT_ACTIONS.UPDATE,
+      before,
+      after: updateResult.rows[0]
+    });
+
     res.json(updateResult.rows[0]);
   } catch (error) {
     console.error('Error al actualizar opción:', error);
@@ -70,10 +121,9 @@ router.put('/:id', authMiddleware, async (req, res) => {
 
 /**
  * DELETE /api/product-options/:id
- * Eliminar una opción de producto y sus ítems asociados
+ * Enviar una opción de producto y sus ítems a la papelera
  */
-router.delete('/:id', authMiddleware, async (req, res) => {
-  const client = await pool.connect();
+router.delete('/:id', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ params: idParams('id') }), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -81,32 +131,33 @@ router.delete('/:id', authMiddleware, async (req, res) => {
     const verifyQuery = `
       SELECT po.id FROM product_options po
       JOIN products p ON po.product_id = p.id
-      WHERE po.id = $1 AND p.commerce_id = $2
+      WHERE po.id = $1 AND p.commerce_id = $2 AND po.deleted_at IS NULL AND p.deleted_at IS NULL
     `;
-    const verifyResult = await client.query(verifyQuery, [id, req.user.commerceId]);
+    const verifyResult = await pool.query(verifyQuery, [id, req.user.commerceId]);
 
     if (verifyResult.rows.length === 0) {
       return res.status(404).json({ error: 'Opción no encontrada o no pertenece a este comercio' });
     }
 
-    await client.query('BEGIN');
+    await withTransaction(async (client) => {
+      const before = await loadOptionWithItems(client, id);
 
-    // Eliminar los ítems primero
-    await client.query('DELETE FROM option_items WHERE option_id = $1', [id]);
+      // La opción y sus ítems van juntos a la papelera
+      await softDelete(client, 'option', id, { userId: req.user.userId });
 
-    // Eliminar la opción
-    const deleteQuery = `DELETE FROM product_options WHERE id = $1 RETURNING *;`;
-    const result = await client.query(deleteQuery, [id]);
-
-    await client.query('COMMIT');
+      await recordAudit(client, req, {
+        commerceId: req.user.commerceId,
+        entityType: ENTITY_TYPES.PRODUCT_OPTION,
+        entityId: id,
+        action: AUDIT_ACTIONS.DELETE,
+        before
+      });
+    });
 
     res.json({ message: 'Opción eliminada exitosamente' });
   } catch (error) {
-    await client.query('ROLLBACK');
     console.error('Error al eliminar opción:', error);
     res.status(500).json({ error: 'Error al eliminar opción' });
-  } finally {
-    client.release();
   }
 });
 
@@ -114,7 +165,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
  * DELETE /api/product-options/:optionId/items/:itemId
  * Eliminar un ítem específico de una opción
  */
-router.delete('/:optionId/items/:itemId', authMiddleware, async (req, res) => {
+router.delete('/:optionId/items/:itemId', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ params: idParams('optionId', 'itemId') }), async (req, res) => {
   try {
     const { optionId, itemId } = req.params;
 
@@ -124,6 +175,7 @@ router.delete('/:optionId/items/:itemId', authMiddleware, async (req, res) => {
       JOIN product_options po ON oi.option_id = po.id
       JOIN products p ON po.product_id = p.id
       WHERE oi.id = $1 AND po.id = $2 AND p.commerce_id = $3
+        AND oi.deleted_at IS NULL AND po.deleted_at IS NULL AND p.deleted_at IS NULL
     `;
     const verifyResult = await pool.query(verifyQuery, [itemId, optionId, req.user.commerceId]);
 
@@ -131,8 +183,15 @@ router.delete('/:optionId/items/:itemId', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Ítem no encontrado o no pertenece a este comercio' });
     }
 
-    const deleteQuery = `DELETE FROM option_items WHERE id = $1 RETURNING *;`;
-    const result = await pool.query(deleteQuery, [itemId]);
+    const item = await softDelete(pool, 'item', itemId, { userId: req.user.userId });
+
+    await recordAuditSafe(pool, req, {
+      commerceId: req.user.commerceId,
+      entityType: ENTITY_TYPES.OPTION_ITEM,
+      entityId: itemId,
+      action: AUDIT_ACTIONS.DELETE,
+      before: { ...item, deleted_at: null, deleted_by: null }
+    });
 
     res.json({ message: 'Ítem eliminado exitosamente' });
   } catch (error) {
@@ -141,11 +200,80 @@ router.delete('/:optionId/items/:itemId', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/product-options/:id/restore
+ * Restaurar una opción de la papelera con los ítems que se eliminaron con ella
+ */
+router.post('/:id/restore', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const option = await withTransaction(async (client) => {
+      const restored = await restore(client, 'option', id, { commerceId: req.user.commerceId });
+
+      await recordAudit(client, req, {
+        commerceId: req.user.commerceId,
+        entityType: ENTITY_TYPES.PRODUCT_OPTION,
+        entityId: id,
+        action: AUDIT_ACTIONS.RESTORE
+      });
+      return restored;
+    });
+
+    res.json({ message: 'Opción restaurada exitosamente', option });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error('Error al restaurar opción:', error);
+    res.status(500).json({ error: 'Error al restaurar opción' });
+  }
+});
+
+/**
+ * POST /api/product-options/:optionId/items/:itemId/restore
+ * Restaurar un ítem de la papelera
+ */
+router.post('/:optionId/items/:itemId/restore', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ params: idParams('optionId', 'itemId') }), async (req, res) => {
+  try {
+    const { optionId, itemId } = req.params;
+
+    const verifyQuery = `
+      SELECT oi.id FROM option_items oi
+      JOIN product_options po ON oi.option_id = po.id
+      JOIN products p ON po.product_id = p.id
+      WHERE oi.id = $1 AND po.id = $2 AND p.commerce_id = $3
+    `;
+    const verifyResult = await pool.query(verifyQuery, [itemId, optionId, req.user.commerceId]);
+
+    if (verifyResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Ítem no encontrado o no pertenece a este comercio' });
+    }
+
+    const item = await restore(pool, 'item', itemId);
+
+    await recordAuditSafe(pool, req, {
+      commerceId: req.user.commerceId,
+      entityType: ENTITY_TYPES.OPTION_ITEM,
+      entityId: itemId,
+      action: AUDIT_ACTIONS.RESTORE
+    });
+
+    res.json({ message: 'Ítem restaurado exitosamente', item });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error('Error al restaurar ítem:', error);
+    res.status(500).json({ error: 'Error al restaurar ítem' });
+  }
+});
+
 /**
  * GET /api/product-options/:productId
  * Obtener todas las opciones de un producto con sus ítems y etiquetas
  */
-router.get('/:productId', async (req, res) => {
+router.get('/:productId', requirePermission(PERMISSIONS.CATALOG_VIEW), validate({ params: idParams('productId') }), async (req, res) => {
   try {
     const { productId } = req.params;
 
@@ -199,8 +327,8 @@ router.get('/:productId', async (req, res) => {
           ) ORDER BY oi.id
         ) FILTER (WHERE oi.id IS NOT NULL) AS items
       FROM product_options po
-      LEFT JOIN option_items oi ON po.id = oi.option_id
-      WHERE po.product_id = $1
+      LEFT JOIN option_items oi ON po.id = oi.option_id AND oi.deleted_at IS NULL
+      WHERE po.product_id = $1 AND po.deleted_at IS NULL
       GROUP BY po.id
       ORDER BY po.id
     `;
@@ -218,97 +346,100 @@ router.get('/:productId', async (req, res) => {
  * POST /api/product-options
  * Crear una nueva opción para un producto
  */
-router.post('/', authMiddleware, async (req, res) => {
-  const client = await pool.connect();
+router.post('/', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({
+  body: { ...OPTION_FIELDS, product_id: { type: 'id', required: true } }
+}), async (req, res) => {
+  const {
+    product_id,
+    name,
+    required = false,
+    multiple = false,
+    max_selections = null,
+    items = []
+  } = req.body;
 
   try {
-    await client.query('BEGIN');
-
-    const {
-      product_id,
-      name,
-      required = false,
-      multiple = false,
-      max_selections = null,
-      items = []
-    } = req.body;
-
-    const productQuery = `
-      SELECT p.id FROM products p
-      WHERE p.id = $1 AND p.commerce_id = $2
-    `;
-    const productResult = await client.query(productQuery, [product_id, req.user.commerceId]);
-
-    if (productResult.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({
-        error: 'Producto no encontrado o no pertenece a este comercio'
-      });
-    }
+    const option = await withTransaction(async (client) => {
+      const productQuery = `
+        SELECT p.id FROM products p
+        WHERE p.id = $1 AND p.commerce_id = $2 AND p.deleted_at IS NULL
+      `;
+      const productResult = await client.query(productQuery, [product_id, req.user.commerceId]);
+
+      if (productResult.rows.length === 0) {
+        throw httpError(404, 'Producto no encontrado o no pertenece a este comercio');
+      }
 
-    const insertQuery = `
-      INSERT INTO product_options (
+      const insertQuery = `
+        INSERT INTO product_options (
+          product_id,
+          name,
+          required,
+          multiple,
+          max_selections,
+          created_at,
+          updated_at
+        )
+        VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+        RETURNING *
+      `;
+
+      const values = [
         product_id,
         name,
         required,
         multiple,
-        max_selections,
-        created_at,
-        updated_at
-      )
-      VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
-      RETURNING *
-    `;
-
-    const values = [
-      product_id,
-      name,
-      required,
-      multiple,
-      multiple ? max_selections : null
-    ];
-
-    const result = await client.query(insertQuery, values);
-    const optionId = result.rows[0].id;
-
-    if (items && items.length > 0) {
-      for (const item of items) {
-        const itemInsertQuery = `
-          INSERT INTO option_items (
-            option_id,
-            name,
-            price_addition,
-            available,
-            created_at,
-            updated_at
-          )
-          VALUES ($1, $2, $3, $4, NOW(), NOW())
-        `;
+        multiple ? max_selections : null
+      ];
+
+      const result = await client.query(insertQuery, values);
+      const optionId = result.rows[0].id;
+
+      if (items && items.length > 0) {
+        for (const item of items) {
+          const itemInsertQuery = `
+            INSERT INTO option_items (
+              option_id,
+              name,
+              price_addition,
+              available,
+              created_at,
+              updated_at
+            )
+            VALUES ($1, $2, $3, $4, NOW(), NOW())
+          `;
 
-        const itemValues = [
-          optionId,
-          item.name,
-          item.price_addition || 0,
-          item.available !== false
-        ];
+          const itemValues = [
+            optionId,
+            item.name,
+            item.price_addition || 0,
+            item.available !== false
+          ];
 
-        await client.query(itemInsertQuery, itemValues);
+          await client.query(itemInsertQuery, itemValues);
+        }
       }
-    }
 
-    await client.query('COMMIT');
+      await recordAudit(client, req, {
+        commerceId: req.user.commerceId,
+        entityType: ENTITY_TYPES.PRODUCT_OPTION,
+        entityId: optionId,
+        action: AUDIT_ACTIONS.CREATE,
+        after: await loadOptionWithItems(client, optionId)
+      });
+      return result.rows[0];
+    });
 
-    res.status(201).json(result.rows[0]);
+    res.status(201).json(option);
   } catch (error) {
-    await client.query('ROLLBACK');
-
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
     console.error('Error al crear opción de producto:', error);
     res.status(500).json({
       error: 'Error al crear la opción',
       details: error.message
     });
-  } finally {
-    client.release();
   }
 });
 
@@ -316,7 +447,10 @@ router.post('/', authMiddleware, async (req, res) => {
  * POST /api/product-options/:optionId/items
  * Agregar un ítem a una opción
  */
-router.post('/:optionId/items', authMiddleware, async (req, res) => {
+router.post('/:optionId/items', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({
+  params: idParams('optionId'),
+  body: ITEM_FIELDS
+}), async (req, res) => {
   try {
     const { optionId } = req.params;
     const { name, price_addition, available, image_url } = req.body;
@@ -324,7 +458,7 @@ router.post('/:optionId/items', authMiddleware, async (req, res) => {
     const optionQuery = `
       SELECT po.id FROM product_options po
       JOIN products p ON po.product_id = p.id
-      WHERE po.id = $1 AND p.commerce_id = $2
+      WHERE po.id = $1 AND p.commerce_id = $2 AND po.deleted_at IS NULL AND p.deleted_at IS NULL
     `;
 
     const optionResult = await pool.query(optionQuery, [optionId, req.user.commerceId]);
@@ -357,6 +491,14 @@ router.post('/:optionId/items', authMiddleware, async (req, res) => {
 
     const result = await pool.query(insertQuery, values);
 
+    await recordAuditSafe(pool, req, {
+      commerceId: req.user.commerceId,
+      entityType: ENTITY_TYPES.OPTION_ITEM,
+      entityId: result.rows[0].id,
+      action: AUDIT_ACTIONS.CREATE,
+      after: result.rows[0]
+    });
+
     res.status(201).json(result.rows[0]);
   } catch (error) {
     console.error('Error al crear ítem de opción:', error);
@@ -369,89 +511,97 @@ router.post('/:optionId/items', authMiddleware, async (req, res) => {
  * PUT /api/product-options/:optionId
  * Actualizar una opción existente
  */
-router.put('/:optionId', authMiddleware, async (req, res) => {
-  const client = await pool.connect();
-
+router.put('/:optionId', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({
+  params: idParams('optionId'),
+  body: OPTION_FIELDS
+}), async (req, res) => {
   try {
     const { optionId } = req.params;
     const { name, required, multiple, max_selections, items } = req.body;
 
-    await client.query('BEGIN');
-
-    // 🛑 1️⃣ Verificar si la opción existe y pertenece al comercio del usuario
-    const verifyQuery = `
-      SELECT po.id FROM product_options po
-      JOIN products p ON po.product_id = p.id
-      WHERE po.id = $1 AND p.commerce_id = $2
-    `;
-    const verifyResult = await client.query(verifyQuery, [optionId, req.user.commerceId]);
+    await withTransaction(async (client) => {
+      // 🛑 1️⃣ Verificar si la opción existe y pertenece al comercio del usuario
+      const verifyQuery = `
+        SELECT po.id FROM product_options po
+        JOIN products p ON po.product_id = p.id
+        WHERE po.id = $1 AND p.commerce_id = $2 AND po.deleted_at IS NULL AND p.deleted_at IS NULL
+      `;
+      const verifyResult = await client.query(verifyQuery, [optionId, req.user.commerceId]);
+
+      if (verifyResult.rows.length === 0) {
+        throw httpError(404, 'Opción no encontrada o no pertenece a este comercio');
+      }
 
-    if (verifyResult.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ error: 'Opción no encontrada o no pertenece a este comercio' });
-    }
+      const before = await loadOptionWithItems(client, optionId);
 
-    // ✅ 2️⃣ Actualizar la opción en la base de datos
-    const updateQuery = `
-      UPDATE product_options
-      SET name=$1, required=$2, multiple=$3, max_selections=$4, updated_at=NOW()
-      WHERE id=$5 RETURNING *;
-    `;
-    const updateValues = [name, required, multiple, multiple ? max_selections : null, optionId];
+      // ✅ 2️⃣ Actualizar la opción en la base de datos
+      const updateQuery = `
+        UPDATE product_options
+        SET name=$1, required=$2, multiple=$3, max_selections=$4, updated_at=NOW()
+        WHERE id=$5 RETURNING *;
+      `;
+      const updateValues = [name, required, multiple, multiple ? max_selections : null, optionId];
 
-    const updateResult = await client.query(updateQuery, updateValues);
+      const updateResult = await client.query(updateQuery, updateValues);
 
-    // ✅ 3️⃣ ACTUALIZAR los ítems de la opción
-    if (items && items.length > 0) {
-      // Obtener ítems actuales
-      const currentItemsQuery = `SELECT id FROM option_items WHERE option_id = $1`;
-      const currentItems = await client.query(currentItemsQuery, [optionId]);
-      const currentItemIds = currentItems.rows.map(row => row.id);
+      // ✅ 3️⃣ ACTUALIZAR los ítems de la opción
+      if (items && items.length > 0) {
+        // Obtener ítems actuales
+        const currentItemsQuery = `SELECT id FROM option_items WHERE option_id = $1 AND deleted_at IS NULL`;
+        const currentItems = await client.query(currentItemsQuery, [optionId]);
+        const currentItemIds = currentItems.rows.map(row => row.id);
 
-      // Encontrar ítems que deberían eliminarse (presentes en DB pero no en la solicitud)
-      const requestItemIds = items.filter(item => item.id).map(item => item.id);
-      const itemsToDelete = currentItemIds.filter(id => !requestItemIds.includes(id));
+        // Encontrar ítems que deberían eliminarse (presentes en DB pero no en la solicitud)
+        const requestItemIds = items.filter(item => item.id).map(item => item.id);
+        const itemsToDelete = currentItemIds.filter(id => !requestItemIds.includes(id));
 
-      // Eliminar ítems que ya no están en la solicitud
-      if (itemsToDelete.length > 0) {
-        const deleteItemsQuery = `DELETE FROM option_items WHERE id = ANY($1)`;
-        await client.query(deleteItemsQuery, [itemsToDelete]);
-      }
+        // Enviar a la papelera los ítems que ya no están en la solicitud
+        for (const itemId of itemsToDelete) {
+          await softDelete(client, 'item', itemId, { userId: req.user.userId });
+        }
 
-      for (const item of items) {
-        if (item.id) {
-          // 📝 Actualizar un ítem existente
-          const updateItemQuery = `
-            UPDATE option_items
-            SET name=$1, price_addition=$2, available=$3, image_url=$4, updated_at=NOW()
-            WHERE id=$5 AND option_id=$6;
-          `;
-          await client.query(updateItemQuery, [
-            item.name,
-            item.price_addition || 0,
-            item.available !== false,
-            item.image_url || null,
-            item.id,
-            optionId
-          ]);
-        } else {
-          // 📝 Agregar un nuevo ítem a la opción
-          const insertItemQuery = `
-            INSERT INTO option_items (option_id, name, price_addition, available, image_url, created_at, updated_at)
-            VALUES ($1, $2, $3, $4, $5, NOW(), NOW());
-          `;
-          await client.query(insertItemQuery, [
-            optionId,
-            item.name,
-            item.price_addition || 0,
-            item.available !== false,
-            item.image_url || null
-          ]);
+        for (const item of items) {
+          if (item.id) {
+            // 📝 Actualizar un ítem existente
+            const updateItemQuery = `
+              UPDATE option_items
+              SET name=$1, price_addition=$2, available=$3, image_url=$4, updated_at=NOW()
+              WHERE id=$5 AND option_id=$6 AND deleted_at IS NULL;
+            `;
+            await client.query(updateItemQuery, [
+              item.name,
+              item.price_addition || 0,
+              item.available !== false,
+              item.image_url || null,
+              item.id,
+              optionId
+            ]);
+          } else {
+            // 📝 Agregar un nuevo ítem a la opción
+            const insertItemQuery = `
+              INSERT INTO option_items (option_id, name, price_addition, available, image_url, created_at, updated_at)
+              VALUES ($1, $2, $3, $4, $5, NOW(), NOW());
+            `;
+            await client.query(insertItemQuery, [
+              optionId,
+              item.name,
+              item.price_addition || 0,
+              item.available !== false,
+              item.image_url || null
+            ]);
+          }
         }
       }
-    }
 
-    await client.query('COMMIT');
+      await recordAudit(client, req, {
+        commerceId: req.user.commerceId,
+        entityType: ENTITY_TYPES.PRODUCT_OPTION,
+        entityId: optionId,
+        action: AUDIT_ACTIONS.UPDATE,
+        before,
+        after: await loadOptionWithItems(client, optionId)
+      });
+    });
 
     // 🔄 4️⃣ Obtener la opción actualizada con sus ítems
     const updatedOptionQuery = `
@@ -466,19 +616,19 @@ router.put('/:optionId', authMiddleware, async (req, res) => {
           ) ORDER BY oi.id
         ) FILTER (WHERE oi.id IS NOT NULL) AS items
       FROM product_options po
-      LEFT JOIN option_items oi ON po.id = oi.option_id
+      LEFT JOIN option_items oi ON po.id = oi.option_id AND oi.deleted_at IS NULL
       WHERE po.id = $1
       GROUP BY po.id;
     `;
-    const updatedOptionResult = await client.query(updatedOptionQuery, [optionId]);
+    const updatedOptionResult = await pool.query(updatedOptionQuery, [optionId]);
 
     res.json(updatedOptionResult.rows[0]);
   } catch (error) {
-    await client.query('ROLLBACK');
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
     console.error('Error al actualizar opción:', error);
     res.status(500).json({ error: 'Error al actualizar la opción' });
-  } finally {
-    client.release();
   }
 });
 
@@ -488,16 +638,20 @@ module.exports = router;
  * PUT /api/product-options/:optionId/items/:itemId
  * Actualizar un ítem dentro de una opción
  */
-router.put('/:optionId/items/:itemId', authMiddleware, async (req, res) => {
+router.put('/:optionId/items/:itemId', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({
+  params: idParams('optionId', 'itemId'),
+  body: ITEM_FIELDS
+}), async (req, res) => {
   try {
     const { optionId, itemId } = req.params;
     const { name, price_addition, available, image_url } = req.body;
 
     const verifyQuery = `
-      SELECT oi.id FROM option_items oi
+      SELECT oi.id, oi.available, po.product_id FROM option_items oi
       JOIN product_options po ON oi.option_id = po.id
       JOIN products p ON po.product_id = p.id
       WHERE oi.id = $1 AND po.id = $2 AND p.commerce_id = $3
+        AND oi.deleted_at IS NULL AND po.deleted_at IS NULL AND p.deleted_at IS NULL
     `;
     const verifyResult = await pool.query(verifyQuery, [itemId, optionId, req.user.commerceId]);
 
@@ -505,6 +659,8 @@ router.put('/:optionId/items/:itemId', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Ítem no encontrado o no pertenece a este comercio' });
     }
 
+    const before = await loadSnapshot(pool, 'option_items', itemId);
+
     const updateQuery = `
       UPDATE option_items
       SET name = $1, price_addition = $2, available = $3, image_url = $4, updated_at = NOW()
@@ -513,6 +669,26 @@ router.put('/:optionId/items/:itemId', authMiddleware, async (req, res) => {
     const updateValues = [name, price_addition || 0, available, image_url || null, itemId];
     const updateResult = await pool.query(updateQuery, updateValues);
 
+    await recordAuditSafe(pool, req, {
+      commerceId: req.user.commerceId,
+      entityType: ENTITY_TYPES.OPTION_ITEM,
+      entityId: itemId,
+      action: AUDIT_ACTIONS.UPDATE,
+      before,
+      after: updateResult.rows[0]
+    });
+
+    // Avisar a la carta pública si cambió la disponibilidad del ítem
+    const previous = verifyResult.rows[0];
+    if (updateResult.rows[0].available !== previous.available) {
+      publishEventSafe(pool, req.user.commerceId, EVENT_TYPES.OPTION_ITEM_AVAILABILITY_CHANGED, {
+        product_id: previous.product_id,
+        option_id: Number(optionId),
+        item_id: updateResult.rows[0].id,
+        available: updateResult.rows[0].available
+      });
+    }
+
     res.json(updateResult.rows[0]);
   } catch (error) {
     console.error('Error al actualizar ítem:', error);
@@ -520,11 +696,68 @@ router.put('/:optionId/items/:itemId', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/product-options/:optionId/items/:itemId/availability
+ * Marcar un ítem como disponible o agotado sin tocar su nombre ni su precio
+ * (lo usa el personal que no puede editar la carta).
+ * Body: { available }
+ */
+router.put('/:optionId/items/:itemId/availability', authMiddleware, requirePermission(PERMISSIONS.AVAILABILITY_MANAGE), validate({
+  params: idParams('optionId', 'itemId'),
+  body: { available: { type: 'boolean', required: true } }
+}), async (req, res) => {
+  try {
+    const { optionId, itemId } = req.params;
+    const { available } = req.body;
+
+    const verifyQuery = `
+      SELECT oi.id, oi.available, po.product_id FROM option_items oi
+      JOIN product_options po ON oi.option_id = po.id
+      JOIN products p ON po.product_id = p.id
+      WHERE oi.id = $1 AND po.id = $2 AND p.commerce_id = $3
+        AND oi.deleted_at IS NULL AND po.deleted_at IS NULL AND p.deleted_at IS NULL
+    `;
+    const verifyResult = await pool.query(verifyQuery, [itemId, optionId, req.user.commerceId]);
+
+    if (verifyResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Ítem no encontrado o no pertenece a este comercio' });
+    }
+
+    const updateResult = await pool.query(
+      'UPDATE option_items SET available = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+      [available, itemId]
+    );
+
+    const previous = verifyResult.rows[0];
+
+    await recordAuditSafe(pool, req, {
+      commerceId: req.user.commerceId,
+      entityType: ENTITY_TYPES.OPTION_ITEM,
+      entityId: itemId,
+      action: AUDIT_ACTIONS.UPDATE,
+      changes: available !== previous.available ? { available: { before: previous.available, after: available } } : {}
+    });
+    if (available !== previous.available) {
+      publishEventSafe(pool, req.user.commerceId, EVENT_TYPES.OPTION_ITEM_AVAILABILITY_CHANGED, {
+        product_id: previous.product_id,
+        option_id: Number(optionId),
+        item_id: updateResult.rows[0].id,
+        available
+      });
+    }
+
+    res.json(updateResult.rows[0]);
+  } catch (error) {
+    console.error('Error al actualizar la disponibilidad del ítem:', error);
+    res.status(500).json({ error: 'Error al actualizar la disponibilidad del ítem' });
+  }
+});
+
 /**
  * DELETE /api/product-options/:optionId/items/:itemId
  * Eliminar un ítem dentro de una opción
  */
-router.delete('/:optionId/items/:itemId', authMiddleware, async (req, res) => {
+router.delete('/:optionId/items/:itemId', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ params: idParams('optionId', 'itemId') }), async (req, res) => {
   try {
     const { optionId, itemId } = req.params;
 
@@ -533,6 +766,7 @@ router.delete('/:optionId/items/:itemId', authMiddleware, async (req, res) => {
       JOIN product_options po ON oi.option_id = po.id
       JOIN products p ON po.product_id = p.id
       WHERE oi.id = $1 AND po.id = $2 AND p.commerce_id = $3
+        AND oi.deleted_at IS NULL AND po.deleted_at IS NULL AND p.deleted_at IS NULL
     `;
     const verifyResult = await pool.query(verifyQuery, [itemId, optionId, req.user.commerceId]);
 
@@ -540,10 +774,17 @@ router.delete('/:optionId/items/:itemId', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Ítem no encontrado o no pertenece a este comercio' });
     }
 
-    const deleteQuery = `DELETE FROM option_items WHERE id = $1 RETURNING *;`;
-    const deleteResult = await pool.query(deleteQuery, [itemId]);
+    const deletedItem = await softDelete(pool, 'item', itemId, { userId: req.user.userId });
 
-    res.json({ message: 'Ítem eliminado exitosamente', deletedItem: deleteResult.rows[0] });
+    await recordAuditSafe(pool, req, {
+      commerceId: req.user.commerceId,
+      entityType: ENTITY_TYPES.OPTION_ITEM,
+      entityId: itemId,
+      action: AUDIT_ACTIONS.DELETE,
+      before: { ...deletedItem, deleted_at: null, deleted_by: null }
+    });
+
+    res.json({ message: 'Ítem eliminado exitosamente', deletedItem });
   } catch (error) {
     console.error('Error al eliminar ítem:', error);
     res.status(500).json({ error: 'Error al eliminar el ítem' });
@@ -554,7 +795,7 @@ router.delete('/:optionId/items/:itemId', authMiddleware, async (req, res) => {
  * PUT /api/product-options/:optionId/items/:itemId/update-image
  * Actualizar la imagen de un ítem de opción
  */
-router.put('/:optionId/items/:itemId/update-image', authMiddleware, upload.single('image'), async (req, res) => {
+router.put('/:optionId/items/:itemId/update-image', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ params: idParams('optionId', 'itemId') }), upload.single('image'), async (req, res) => {
   try {
     const { optionId, itemId } = req.params;
 
@@ -564,6 +805,7 @@ router.put('/:optionId/items/:itemId/update-image', authMiddleware, upload.singl
       JOIN product_options po ON oi.option_id = po.id
       JOIN products p ON po.product_id = p.id
       WHERE oi.id = $1 AND po.id = $2 AND p.commerce_id = $3
+        AND oi.deleted_at IS NULL AND po.deleted_at IS NULL AND p.deleted_at IS NULL
     `;
     const verifyResult = await pool.query(verifyQuery, [itemId, optionId, req.user.commerceId]);
 
@@ -573,7 +815,9 @@ router.put('/:optionId/items/:itemId/update-image', authMiddleware, upload.singl
 
     // Verificar si se ha subido un archivo
     if (!req.file) {
-      return res.status(400).json({ error: "No se ha proporcionado un archivo" });
+      return res.status(400).json(validationResponse([
+        fieldError('image', 'body', 'REQUIRED', 'No se ha proporcionado un archivo')
+      ]));
     }
 
     const item = verifyResult.rows[0];
@@ -639,6 +883,14 @@ router.put('/:optionId/items/:itemId/update-image', authMiddleware, upload.singl
       [uploadResult.secure_url, itemId]
     );
 
+    await recordAuditSafe(pool, req, {
+      commerceId: req.user.commerceId,
+      entityType: ENTITY_TYPES.OPTION_ITEM,
+      entityId: itemId,
+      action: AUDIT_ACTIONS.UPDATE,
+      changes: { image_url: { before: oldImageUrl, after: uploadResult.secure_url } }
+    });
+
     res.json({
       message: "Imagen de item actualizada correctamente",
       image_url: uploadResult.secure_url
@@ -1,10 +1,20 @@
 // routes/products.js
 const express = require('express');
 const router = express.Router();
-const { Pool } = require('pg');
+const { pool, withTransaction } = require('../services/db');
+const httpError = require('../utils/httpError');
 const cloudinary = require("cloudinary").v2;
 const multer = require("multer");
 const path = require("path");
+const { parseAvailability } = require('../services/availability');
+const { AVAILABILITY_STATUSES } = require('../services/stock');
+const { EVENT_TYPES, publishEventSafe } = require('../services/events');
+const requirePermission = require('../middlewares/permissionMiddleware');
+const validate = require('../middlewares/validationMiddleware');
+const { PERMISSIONS } = require('../services/permissions');
+const { ENTITY_TYPES, AUDIT_ACTIONS, loadSnapshot, recordAudit, recordAuditSafe } = require('../services/audit');
+const { softDelete, restore } = require('../services/trash');
+const { MAX_PRICE, MAX_INTEGER, fieldError, validationResponse, idParams, fromParser } = require('../services/validation');
 
 // 🔹 Configurar Cloudinary con variables de entorno
 cloudinary.config({
@@ -33,19 +43,42 @@ const upload = multer({
   }
 });
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-});
+/**
+ * Indica si la categoría está en la papelera (no se le pueden asignar productos).
+ */
+async function isCategoryDeleted(categoryId) {
+  const result = await pool.query(
+    'SELECT id FROM categories WHERE id = $1 AND deleted_at IS NOT NULL',
+    [categoryId]
+  );
+  return result.rows.length > 0;
+}
+
+const PRODUCT_FIELDS = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+  description: { type: 'string', maxLength: 2000 },
+  price: { type: 'number', required: true, min: 0, max: MAX_PRICE },
+  category_id: { type: 'id', required: true },
+  availability: { type: 'json', custom: fromParser(parseAvailability) }
+};
+
+const AVAILABILITY_FIELDS = {
+  status: { type: 'enum', values: AVAILABILITY_STATUSES },
+  sold_out_until: { type: 'datetime' }
+};
+
+const deletedCategoryResponse = () => validationResponse([
+  fieldError('category_id', 'body', 'INVALID_VALUE', 'La categoría está en la papelera')
+]);
 
 // Endpoint para crear un producto
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ body: PRODUCT_FIELDS }), async (req, res) => {
   try {
     // Datos del body
-    const { name, description, price, category_id } = req.body;
+    const { name, description, price, category_id, availability = null } = req.body;
 
-    // Validar datos requeridos
-    if (!name || price === undefined || !category_id) {
-      return res.status(400).json({ error: 'Faltan campos requeridos (nombre, precio o categoría)' });
+    if (await isCategoryDeleted(category_id)) {
+      return res.status(400).json(deletedCategoryResponse());
     }
 
     // Obtener el ID del comercio del usuario autenticado
@@ -53,14 +86,22 @@ router.post('/', async (req, res) => {
 
     // Insertar el producto en la base de datos
     const query = `
-      INSERT INTO products (name, description, price, category_id, commerce_id)
-      VALUES ($1, $2, $3, $4, $5)
+      INSERT INTO products (name, description, price, category_id, commerce_id, availability)
+      VALUES ($1, $2, $3, $4, $5, $6)
       RETURNING *
     `;
 
-    const values = [name, description || '', price, category_id, commerceId];
+    const values = [name, description || '', price, category_id, commerceId, availability ? JSON.stringify(availability) : null];
     const result = await pool.query(query, values);
 
+    await recordAuditSafe(pool, req, {
+      commerceId,
+      entityType: ENTITY_TYPES.PRODUCT,
+      entityId: result.rows[0].id,
+      action: AUDIT_ACTIONS.CREATE,
+      after: result.rows[0]
+    });
+
     // Devolver el producto creado
     res.status(201).json({
       message: 'Producto creado exitosamente',
@@ -73,7 +114,7 @@ router.post('/', async (req, res) => {
 });
 
 // Endpoint para obtener todos los productos
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(PERMISSIONS.CATALOG_VIEW), async (req, res) => {
   try {
     // Obtener el ID del comercio del usuario autenticado
     const commerceId = req.user.commerceId;
@@ -81,7 +122,7 @@ router.get('/', async (req, res) => {
     // Consulta SQL para obtener productos
     const query = `
       SELECT * FROM products
-      WHERE commerce_id = $1
+      WHERE commerce_id = $1 AND deleted_at IS NULL
       ORDER BY name
     `;
 
@@ -97,7 +138,7 @@ router.get('/', async (req, res) => {
 });
 
 // Endpoint para obtener un producto específico
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission(PERMISSIONS.CATALOG_VIEW), validate({ params: idParams('id') }), async (req, res) => {
   try {
     const productId = req.params.id;
     const commerceId = req.user.commerceId;
@@ -105,7 +146,7 @@ router.get('/:id', async (req, res) => {
     // Consulta SQL para obtener el producto específico
     const query = `
       SELECT * FROM products
-      WHERE id = $1 AND commerce_id = $2
+      WHERE id = $1 AND commerce_id = $2 AND deleted_at IS NULL
     `;
 
     const result = await pool.query(query, [productId, commerceId]);
@@ -121,33 +162,205 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * sold_out_until solo tiene sentido con el estado sold_out (el resto lo valida AVAILABILITY_FIELDS).
+ * Devuelve el cuerpo de la respuesta de error o null.
+ */
+function validateSoldOutUntil(status, soldOutUntil) {
+  if (soldOutUntil && status !== 'sold_out') {
+    return validationResponse([
+      fieldError('sold_out_until', 'body', 'INVALID_VALUE', 'sold_out_until solo aplica al estado sold_out')
+    ]);
+  }
+  return null;
+}
+
+function publishAvailabilityChanges(commerceId, products) {
+  for (const product of products) {
+    publishEventSafe(pool, commerceId, EVENT_TYPES.PRODUCT_AVAILABILITY_CHANGED, {
+      product_id: product.id,
+      availability_status: product.availability_status,
+      sold_out_until: product.sold_out_until,
+      stock: product.stock
+    });
+  }
+}
+
+// Endpoint para cambiar la disponibilidad de varios productos a la vez
+// Body: { product_ids: [], status: 'available' | 'sold_out' | 'hidden', sold_out_until }
+router.put('/availability', requirePermission(PERMISSIONS.AVAILABILITY_MANAGE), validate({
+  body: {
+    ...AVAILABILITY_FIELDS,
+    status: { ...AVAILABILITY_FIELDS.status, required: true },
+    product_ids: { type: 'array', required: true, minItems: 1, maxItems: 500, items: { type: 'id' } }
+  }
+}), async (req, res) => {
+  try {
+    const { product_ids, status, sold_out_until = null } = req.body;
+    const commerceId = req.user.commerceId;
+
+    const soldOutError = validateSoldOutUntil(status, sold_out_until);
+    if (soldOutError) {
+      return res.status(400).json(soldOutError);
+    }
+
+    const previousResult = await pool.query(
+      'SELECT id, name, availability_status, sold_out_until, stock FROM products WHERE id = ANY($1) AND commerce_id = $2 AND deleted_at IS NULL',
+      [product_ids.map(Number), commerceId]
+    );
+
+    const query = `
+      UPDATE products
+      SET availability_status = $1, sold_out_until = $2, updated_at = NOW()
+      WHERE id = ANY($3) AND commerce_id = $4 AND deleted_at IS NULL
+      RETURNING id, name, availability_status, sold_out_until, stock
+    `;
+    const result = await pool.query(query, [status, sold_out_until, product_ids.map(Number), commerceId]);
+
+    publishAvailabilityChanges(commerceId, result.rows);
+
+    for (const product of result.rows) {
+      await recordAuditSafe(pool, req, {
+        commerceId,
+        entityType: ENTITY_TYPES.PRODUCT,
+        entityId: product.id,
+        action: AUDIT_ACTIONS.UPDATE,
+        before: previousResult.rows.find(previous => previous.id === product.id),
+        after: product
+      });
+    }
+
+    res.json({
+      message: `Disponibilidad actualizada en ${result.rows.length} productos`,
+      products: result.rows
+    });
+  } catch (error) {
+    console.error('Error en /api/products/availability [PUT]', error);
+    res.status(500).json({ error: 'Error al actualizar la disponibilidad' });
+  }
+});
+
+// Endpoint para cambiar la disponibilidad y el stock de un producto
+// Body: { status, sold_out_until, stock } (todos opcionales; stock null desactiva el control de stock)
+router.put('/:id/availability', requirePermission(PERMISSIONS.AVAILABILITY_MANAGE), validate({
+  params: idParams('id'),
+  body: { ...AVAILABILITY_FIELDS, stock: { type: 'integer', min: 0, max: MAX_INTEGER } }
+}), async (req, res) => {
+  try {
+    const productId = req.params.id;
+    const commerceId = req.user.commerceId;
+    const { status, sold_out_until = null, stock } = req.body;
+
+    const soldOutError = validateSoldOutUntil(status, sold_out_until);
+    if (soldOutError) {
+      return res.status(400).json(soldOutError);
+    }
+
+    const currentResult = await pool.query(
+      'SELECT * FROM products WHERE id = $1 AND commerce_id = $2 AND deleted_at IS NULL',
+      [productId, commerceId]
+    );
+
+    if (currentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Producto no encontrado o no tienes permisos para editarlo' });
+    }
+
+    const current = currentResult.rows[0];
+    let finalStatus = status || current.availability_status;
+
+    // Reponer stock de un producto agotado lo vuelve a poner disponible
+    if (status === undefined && current.availability_status === 'sold_out' && stock > 0) {
+      finalStatus = 'available';
+    }
+    // Dejar el stock en 0 lo marca como agotado
+    if (status === undefined && stock === 0) {
+      finalStatus = 'sold_out';
+    }
+
+    const query = `
+      UPDATE products
+      SET availability_status = $1,
+          sold_out_until = $2,
+          stock = CASE WHEN $3::boolean THEN $4::int ELSE stock END,
+          updated_at = NOW()
+      WHERE id = $5 AND commerce_id = $6
+      RETURNING *
+    `;
+    const values = [
+      finalStatus,
+      finalStatus === 'sold_out' ? sold_out_until : null,
+      stock !== undefined,
+      stock === undefined ? null : stock,
+      productId,
+      commerceId
+    ];
+    const result = await pool.query(query, values);
+
+    publishAvailabilityChanges(commerceId, result.rows);
+
+    await recordAuditSafe(pool, req, {
+      commerceId,
+      entityType: ENTITY_TYPES.PRODUCT,
+      entityId: productId,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: current,
+      after: result.rows[0]
+    });
+
+    res.json({
+      message: 'Disponibilidad del producto actualizada',
+      product: result.rows[0]
+    });
+  } catch (error) {
+    console.error(`Error en /api/products/${req.params.id}/availability [PUT]`, error);
+    res.status(500).json({ error: 'Error al actualizar la disponibilidad del producto' });
+  }
+});
+
 // Endpoint para actualizar un producto
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(PERMISSIONS.CATALOG_EDIT), validate({
+  params: idParams('id'),
+  body: PRODUCT_FIELDS
+}), async (req, res) => {
   try {
     const productId = req.params.id;
-    const { name, description, price, category_id } = req.body;
+    const { name, description, price, category_id, availability } = req.body;
     const commerceId = req.user.commerceId;
 
-    // Validar datos requeridos
-    if (!name || price === undefined || !category_id) {
-      return res.status(400).json({ error: 'Faltan campos requeridos (nombre, precio o categoría)' });
+    if (await isCategoryDeleted(category_id)) {
+      return res.status(400).json(deletedCategoryResponse());
     }
 
     // Consulta SQL para actualizar el producto
     const query = `
       UPDATE products
-      SET name = $1, description = $2, price = $3, category_id = $4, updated_at = NOW()
-      WHERE id = $5 AND commerce_id = $6
+      SET name = $1, description = $2, price = $3, category_id = $4,
+          availability = CASE WHEN $7::boolean THEN $8::jsonb ELSE availability END,
+          updated_at = NOW()
+      WHERE id = $5 AND commerce_id = $6 AND deleted_at IS NULL
       RETURNING *
     `;
 
-    const values = [name, description || '', price, category_id, productId, commerceId];
+    const values = [
+      name, description || '', price, category_id, productId, commerceId,
+      availability !== undefined, availability ? JSON.stringify(availability) : null
+    ];
+    const before = await loadSnapshot(pool, 'products', productId);
     const result = await pool.query(query, values);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Producto no encontrado o no tienes permisos para editarlo' });
     }
 
+    await recordAuditSafe(pool, req, {
+      commerceId,
+      entityType: ENTITY_TYPES.PRODUCT,
+      entityId: productId,
+      action: AUDIT_ACTIONS.UPDATE,
+      before,
+      after: result.rows[0]
+    });
+
     res.json({
       message: 'Producto actualizado exitosamente',
       product: result.rows[0]
@@ -158,66 +371,76 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// Endpoint para eliminar un producto
-router.delete('/:id', async (req, res) => {
+// Endpoint para enviar un producto a la papelera (con sus opciones)
+// La imagen se conserva hasta que se purgue la papelera
+router.delete('/:id', requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ params: idParams('id') }), async (req, res) => {
   try {
     const productId = req.params.id;
     const commerceId = req.user.commerceId;
 
-    // Buscar el producto antes de eliminar para obtener la image_url
-    const productQuery = await pool.query(
-      "SELECT image_url FROM products WHERE id = $1 AND commerce_id = $2",
-      [productId, commerceId]
-    );
-
-    if (productQuery.rows.length === 0) {
-      return res.status(404).json({ error: 'Producto no encontrado o no tienes permisos para eliminarlo' });
-    }
-
-    const imageUrl = productQuery.rows[0].image_url;
-
-    // Si hay imagen en Cloudinary, eliminarla
-    if (imageUrl) {
-      try {
-        // Extraer el public_id correcto de Cloudinary
-        const urlParts = imageUrl.split('/');
-        // Encontrar el índice de 'upload' en la URL
-        const uploadIndex = urlParts.findIndex(part => part === 'upload');
-        if (uploadIndex !== -1 && urlParts.length > uploadIndex + 2) {
-          // El public_id comienza después de 'upload/v{number}/'
-          const publicIdWithExt = urlParts.slice(uploadIndex + 2).join('/');
-          const publicId = publicIdWithExt.substring(0, publicIdWithExt.lastIndexOf('.'));
+    const product = await withTransaction(async (client) => {
+      const deleted = await softDelete(client, 'product', productId, { userId: req.user.userId, commerceId });
 
-          console.log("⚙️ Eliminando imagen de producto con public_id:", publicId);
-          await cloudinary.uploader.destroy(publicId);
-        }
-      } catch (cloudinaryError) {
-        console.error("⚠️ Error al eliminar imagen de Cloudinary:", cloudinaryError);
-        // Continuar con la eliminación del producto aunque falle la eliminación de la imagen
+      if (!deleted) {
+        throw httpError(404, 'Producto no encontrado o no tienes permisos para eliminarlo');
       }
-    }
-
-    // Consulta SQL para eliminar el producto
-    const deleteQuery = `
-      DELETE FROM products
-      WHERE id = $1 AND commerce_id = $2
-      RETURNING id
-    `;
 
-    const result = await pool.query(deleteQuery, [productId, commerceId]);
+      await recordAudit(client, req, {
+        commerceId,
+        entityType: ENTITY_TYPES.PRODUCT,
+        entityId: productId,
+        action: AUDIT_ACTIONS.DELETE,
+        before: { ...deleted, deleted_at: null, deleted_by: null }
+      });
+      return deleted;
+    });
 
     res.json({
       message: 'Producto eliminado exitosamente',
-      id: result.rows[0].id
+      id: product.id
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
     console.error(`Error en /api/products/${req.params.id} [DELETE]`, error);
     res.status(500).json({ error: 'Error al eliminar el producto' });
   }
 });
 
+// Endpoint para restaurar un producto de la papelera (con las opciones que se eliminaron con él)
+router.post('/:id/restore', requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    const productId = req.params.id;
+    const commerceId = req.user.commerceId;
+
+    const product = await withTransaction(async (client) => {
+      const restored = await restore(client, 'product', productId, { commerceId });
+
+      await recordAudit(client, req, {
+        commerceId,
+        entityType: ENTITY_TYPES.PRODUCT,
+        entityId: productId,
+        action: AUDIT_ACTIONS.RESTORE
+      });
+      return restored;
+    });
+
+    res.json({
+      message: 'Producto restaurado exitosamente',
+      product
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error(`Error en /api/products/${req.params.id}/restore [POST]`, error);
+    res.status(500).json({ error: 'Error al restaurar el producto' });
+  }
+});
+
 // Endpoint para actualizar la imagen de un producto
-router.put('/:id/update-image', upload.single('image'), async (req, res) => {
+router.put('/:id/update-image', requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ params: idParams('id') }), upload.single('image'), async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -226,7 +449,7 @@ router.put('/:id/update-image', upload.single('image'), async (req, res) => {
     // Verificar que el producto pertenezca al comercio del usuario
     const checkQuery = `
       SELECT name, image_url FROM products
-      WHERE id = $1 AND commerce_id = $2
+      WHERE id = $1 AND commerce_id = $2 AND deleted_at IS NULL
     `;
 
     const checkResult = await pool.query(checkQuery, [id, commerceId]);
@@ -237,7 +460,9 @@ router.put('/:id/update-image', upload.single('image'), async (req, res) => {
 
     // Verificar si se ha subido un archivo
     if (!req.file) {
-      return res.status(400).json({ error: "No se ha proporcionado un archivo" });
+      return res.status(400).json(validationResponse([
+        fieldError('image', 'body', 'REQUIRED', 'No se ha proporcionado un archivo')
+      ]));
     }
 
     // Obtener información del producto para el nombre del archivo
@@ -304,6 +529,14 @@ router.put('/:id/update-image', upload.single('image'), async (req, res) => {
       [uploadResult.secure_url, id, commerceId]
     );
 
+    await recordAuditSafe(pool, req, {
+      commerceId,
+      entityType: ENTITY_TYPES.PRODUCT,
+      entityId: id,
+      action: AUDIT_ACTIONS.UPDATE,
+      changes: { image_url: { before: oldImageUrl, after: uploadResult.secure_url } }
+    });
+
     res.json({
       message: "Imagen de producto actualizada correctamente",
       image_url: uploadResult.secure_url
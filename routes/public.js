@@ -1,22 +1,65 @@
 // routes/public.js
 const express = require('express');
 const router = express.Router();
-const { Pool } = require('pg');
-
-// Inicializar el pool directamente en lugar de importarlo
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: {
-    require: true,
-    rejectUnauthorized: false,
+const { pool, withTransaction } = require('../services/db');
+const validate = require('../middlewares/validationMiddleware');
+const { FULFILLMENT_TYPES, MAX_QUANTITY_PER_LINE, priceCart, insertOrder } = require('../services/orders');
+const { validateSelection } = require('../services/optionValidator');
+const { EVENT_TYPES, PUBLIC_EVENT_TYPES, publishEvent, openEventStream } = require('../services/events');
+const { getOpenState, getLocalParts, resolveTimezone } = require('../services/schedule');
+const { isAvailableAt } = require('../services/availability');
+const { applyTagDiscount, discountRuleFor } = require('../services/pricing');
+const { applyCoupon, recordRedemption } = require('../services/coupons');
+const { resolveDelivery, locationFrom } = require('../services/deliveryZones');
+const { fieldError, validationResponse, idParams } = require('../services/validation');
+
+// Carrito de la carta pública (POST /orders y POST /coupons/validate); services/orders.js lo normaliza
+const CART_FIELDS = {
+  fulfillment_type: { type: 'enum', required: true, values: FULFILLMENT_TYPES },
+  items: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    maxItems: 100,
+    items: {
+      type: 'object',
+      properties: {
+        product_id: { type: 'id', required: true },
+        quantity: { type: 'integer', min: 1, max: MAX_QUANTITY_PER_LINE },
+        option_item_ids: { type: 'array', maxItems: 100, items: { type: 'id' } },
+        notes: { type: 'string' }
+      }
+    }
   },
-});
+  customer: {
+    type: 'object',
+    nullable: false,
+    properties: {
+      name: { type: 'string', maxLength: 255 },
+      phone: { type: 'string', maxLength: 50 },
+      address: { type: 'string', maxLength: 500 },
+      latitude: { type: 'number', min: -90, max: 90 },
+      longitude: { type: 'number', min: -180, max: 180 }
+    }
+  }
+};
+
+const COUPON_CODE = { type: 'string', maxLength: 50 };
 
 // Endpoint público para obtener la carta de un comercio por subdominio
-router.get('/:subdomain', async (req, res) => {
+// Query opcional:
+//   at=<fecha ISO>          vista previa de la carta en ese momento (por defecto, ahora)
+//   hide_unavailable=true   oculta categorías y productos fuera de su ventana de disponibilidad
+//                           (por defecto solo se marcan con is_available_now = false)
+router.get('/:subdomain', validate({
+  query: { at: { type: 'datetime' }, hide_unavailable: { type: 'boolean' } }
+}), async (req, res) => {
   try {
     const { subdomain } = req.params;
 
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    const hideUnavailable = req.query.hide_unavailable === true;
+
     console.log(`API: Obteniendo datos para subdominio: ${subdomain}`);
 
     // Obtener información del comercio con todos los campos
@@ -25,9 +68,9 @@ router.get('/:subdomain', async (req, res) => {
         id, business_name, business_category, subdomain, logo_url, banner_url,
         is_open, delivery_time, delivery_fee, min_order_value, accepts_delivery, accepts_pickup,
         contact_phone, contact_email, social_instagram, social_facebook, social_whatsapp,
-        working_hours /* Nuevo campo */
+        working_hours, timezone, discount_rule
       FROM commerces
-      WHERE subdomain = $1
+      WHERE subdomain = $1 AND deleted_at IS NULL
     `;
     const commerceResult = await pool.query(commerceQuery, [subdomain]);
 
@@ -39,9 +82,14 @@ router.get('/:subdomain', async (req, res) => {
     const commerce = commerceResult.rows[0];
     console.log(`API: Comercio encontrado: ${commerce.business_name} (ID: ${commerce.id})`);
 
+    // Estado de apertura calculado a partir del horario (is_open sigue siendo el flag manual)
+    const openState = await getOpenState(pool, commerce, at);
+    commerce.is_open_now = openState.is_open_now;
+    commerce.next_opening_at = openState.next_opening_at;
+
     // Consulta actualizada para incluir etiquetas
     const categoriesQuery = `
-      SELECT c.id, c.name, c.position,
+      SELECT c.id, c.name, c.position, c.availability,
         json_agg(
           json_build_object(
             'id', p.id,
@@ -49,6 +97,12 @@ router.get('/:subdomain', async (req, res) => {
             'image_url', p.image_url,
             'description', p.description,
             'price', p.price,
+            'availability', p.availability,
+            'is_sold_out', (
+              p.stock = 0 OR
+              (p.availability_status = 'sold_out' AND (p.sold_out_until IS NULL OR p.sold_out_until > $2))
+            ),
+            'sold_out_until', p.sold_out_until,
             'tags', (
               SELECT json_agg(
                 json_build_object(
@@ -57,6 +111,9 @@ router.get('/:subdomain', async (req, res) => {
                   'color', t.color,
                   'textColor', t.text_color,
                   'discount', t.discount,
+                  'discountType', t.discount_type,
+                  'validFrom', t.valid_from,
+                  'validUntil', t.valid_until,
                   'isRecommended', t.is_recommended,
                   'priority', t.priority
                 )
@@ -81,6 +138,9 @@ router.get('/:subdomain', async (req, res) => {
                         'color', t.color,
                         'textColor', t.text_color,
                         'discount', t.discount,
+                        'discountType', t.discount_type,
+                        'validFrom', t.valid_from,
+                        'validUntil', t.valid_until,
                         'isRecommended', t.is_recommended,
                         'priority', t.priority
                       )
@@ -105,6 +165,9 @@ router.get('/:subdomain', async (req, res) => {
                               'color', t.color,
                               'textColor', t.text_color,
                               'discount', t.discount,
+                              'discountType', t.discount_type,
+                              'validFrom', t.valid_from,
+                              'validUntil', t.valid_until,
                               'disableSelection', t.disable_selection,
                               'isRecommended', t.is_recommended,
                               'priority', t.priority
@@ -117,30 +180,62 @@ router.get('/:subdomain', async (req, res) => {
                       )
                     )
                     FROM option_items oi
-                    WHERE oi.option_id = po.id AND oi.available = true
+                    WHERE oi.option_id = po.id AND oi.available = true AND oi.deleted_at IS NULL
                   )
                 )
               )
               FROM product_options po
-              WHERE po.product_id = p.id
+              WHERE po.product_id = p.id AND po.deleted_at IS NULL
             )
           )
         ) FILTER (WHERE p.id IS NOT NULL) AS products
       FROM categories c
-      LEFT JOIN products p ON c.id = p.category_id
-      WHERE c.commerce_id = $1
-      GROUP BY c.id, c.name, c.position
+      LEFT JOIN products p ON c.id = p.category_id AND p.availability_status <> 'hidden' AND p.deleted_at IS NULL
+      WHERE c.commerce_id = $1 AND c.deleted_at IS NULL
+      GROUP BY c.id, c.name, c.position, c.availability
       ORDER BY c.position, c.id
     `;
 
-    const categoriesResult = await pool.query(categoriesQuery, [commerce.id]);
+    const categoriesResult = await pool.query(categoriesQuery, [commerce.id, at]);
     console.log(`API: Se encontraron ${categoriesResult.rows.length} categorías`);
 
+    // Marcar (u ocultar) lo que está fuera de su ventana de disponibilidad
+    // usando la hora local del comercio
+    const local = getLocalParts(at, resolveTimezone(commerce));
+    const pricingOptions = { rule: discountRuleFor(commerce), now: at };
+
+    // Precios finales calculados en el servidor (original_price, final_price, applied_tag_id)
+    const withPrices = product => ({
+      ...product,
+      ...applyTagDiscount(product.price, product.tags, pricingOptions),
+      options: (product.options || []).map(option => ({
+        ...option,
+        items: (option.items || []).map(item => ({
+          ...item,
+          ...applyTagDiscount(item.price_addition, [...(item.tags || []), ...(option.tags || [])], pricingOptions)
+        }))
+      }))
+    });
+
     // Para cada categoría, si products es null, convertirlo en array vacío
-    const categories = categoriesResult.rows.map(category => ({
-      ...category,
-      products: category.products || []
-    }));
+    const categories = categoriesResult.rows
+      .map(category => {
+        const categoryAvailable = isAvailableAt(category.availability, local);
+        const products = (category.products || [])
+          .map(withPrices)
+          .map(product => ({
+            ...product,
+            is_available_now: categoryAvailable && isAvailableAt(product.availability, local)
+          }))
+          .filter(product => !hideUnavailable || product.is_available_now);
+
+        return {
+          ...category,
+          is_available_now: categoryAvailable,
+          products
+        };
+      })
+      .filter(category => !hideUnavailable || category.is_available_now);
 
     res.json({
       commerce,
@@ -152,4 +247,245 @@ router.get('/:subdomain', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/public/:subdomain/events?order=<tracking_code>
+ * Stream SSE para clientes de la carta: cambios de apertura y disponibilidad del menú,
+ * y los cambios de estado de su propio pedido si indican su código de seguimiento.
+ */
+router.get('/:subdomain/events', validate({
+  query: { order: { type: 'string', maxLength: 32 } }
+}), async (req, res) => {
+  try {
+    const { subdomain } = req.params;
+    const trackingCode = req.query.order || null;
+
+    const commerceResult = await pool.query('SELECT id FROM commerces WHERE subdomain = $1 AND deleted_at IS NULL', [subdomain]);
+
+    if (commerceResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Comercio no encontrado' });
+    }
+
+    openEventStream(req, res, commerceResult.rows[0].id, event => {
+      if (!PUBLIC_EVENT_TYPES.includes(event.type)) return false;
+      if (event.type === EVENT_TYPES.ORDER_STATUS_CHANGED) {
+        return Boolean(trackingCode) && event.data.tracking_code === trackingCode;
+      }
+      return true;
+    });
+  } catch (error) {
+    console.error('API: Error al abrir el stream de eventos:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+});
+
+/**
+ * POST /api/public/:subdomain/products/:id/validate-selection
+ * Valida una selección de ítems contra las reglas de opciones del producto
+ * antes de añadirlo al carrito.
+ * Body: { option_item_ids: [] }
+ */
+router.post('/:subdomain/products/:id/validate-selection', validate({
+  params: idParams('id'),
+  body: { option_item_ids: { type: 'array', nullable: false, maxItems: 100, items: { type: 'id' } } }
+}), async (req, res) => {
+  const { subdomain, id } = req.params;
+  const { option_item_ids = [] } = req.body;
+
+  try {
+    const commerceResult = await pool.query('SELECT id FROM commerces WHERE subdomain = $1 AND deleted_at IS NULL', [subdomain]);
+
+    if (commerceResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Comercio no encontrado' });
+    }
+
+    const validation = await validateSelection(pool, commerceResult.rows[0].id, id, option_item_ids);
+
+    if (!validation) {
+      return res.status(404).json({ error: 'Producto no encontrado' });
+    }
+
+    res.json(validation);
+  } catch (error) {
+    console.error('API: Error al validar la selección de opciones:', error);
+    res.status(500).json({ error: 'Error al validar la selección' });
+  }
+});
+
+/**
+ * GET /api/public/:subdomain/delivery-quote?lat=<latitud>&lng=<longitud>
+ * Indica si el comercio hace envíos a unas coordenadas y con qué costo, pedido mínimo y tiempo estimado.
+ * Sin zonas configuradas responde con los valores generales del comercio.
+ */
+router.get('/:subdomain/delivery-quote', validate({
+  query: { lat: { type: 'number', min: -90, max: 90 }, lng: { type: 'number', min: -180, max: 180 } }
+}), async (req, res) => {
+  const { subdomain } = req.params;
+  const location = locationFrom(req.query);
+
+  if (!location && (req.query.lat !== undefined || req.query.lng !== undefined)) {
+    const missing = req.query.lat === undefined || req.query.lat === null ? 'lat' : 'lng';
+    return res.status(400).json(validationResponse([
+      fieldError(missing, 'query', 'REQUIRED', 'Indica lat y lng juntas')
+    ]));
+  }
+
+  try {
+    const commerceResult = await pool.query(
+      `SELECT id, delivery_fee, min_order_value, delivery_time, accepts_delivery, latitude, longitude
+       FROM commerces WHERE subdomain = $1 AND deleted_at IS NULL`,
+      [subdomain]
+    );
+
+    if (commerceResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Comercio no encontrado' });
+    }
+
+    const commerce = commerceResult.rows[0];
+
+    if (!commerce.accepts_delivery) {
+      return res.json({
+        available: false,
+        reason: 'DELIVERY_DISABLED',
+        zone: null,
+        delivery_fee: null,
+        min_order_value: null,
+        eta_minutes: null,
+        delivery_time: null
+      });
+    }
+
+    res.json(await resolveDelivery(pool, commerce, location));
+  } catch (error) {
+    console.error('API: Error al calcular el envío:', error);
+    res.status(500).json({ error: 'Error al calcular el envío' });
+  }
+});
+
+/**
+ * POST /api/public/:subdomain/coupons/validate
+ * Valida un cupón contra un carrito y devuelve el desglose del descuento.
+ * Body: { code, fulfillment_type, items: [...], customer: { phone, latitude, longitude } }
+ */
+router.post('/:subdomain/coupons/validate', validate({
+  body: { ...CART_FIELDS, code: { ...COUPON_CODE, required: true } }
+}), async (req, res) => {
+  const { subdomain } = req.params;
+  const { code, customer = {} } = req.body;
+
+  try {
+    const commerceResult = await pool.query(
+      `SELECT id, is_open, working_hours, timezone, discount_rule,
+              delivery_fee, min_order_value, delivery_time, accepts_delivery, accepts_pickup, latitude, longitude
+       FROM commerces WHERE subdomain = $1 AND deleted_at IS NULL`,
+      [subdomain]
+    );
+
+    if (commerceResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Comercio no encontrado' });
+    }
+
+    // Simulación: no se exige que el comercio esté abierto ni el pedido mínimo
+    const pricedOrder = await priceCart(pool, commerceResult.rows[0], req.body, { checkout: false });
+    const withCoupon = await applyCoupon(pool, commerceResult.rows[0].id, pricedOrder, code, customer);
+
+    res.json({
+      valid: true,
+      coupon: withCoupon.coupon,
+      subtotal: withCoupon.subtotal,
+      discount_total: withCoupon.discount_total,
+      delivery_fee: withCoupon.delivery_fee,
+      total: withCoupon.total
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ valid: false, error: error.message, ...error.extra });
+    }
+    console.error('API: Error al validar el cupón:', error);
+    res.status(500).json({ error: 'Error al validar el cupón' });
+  }
+});
+
+/**
+ * POST /api/public/:subdomain/orders
+ * Recibe un carrito desde la carta pública, lo recalcula en el servidor y guarda el pedido.
+ * Body: {
+ *   fulfillment_type: 'delivery' | 'pickup',
+ *   items: [{ product_id, quantity, option_item_ids: [], notes }],
+ *   customer: { name, phone, address, latitude, longitude },
+ *   notes,
+ *   coupon_code
+ * }
+ */
+router.post('/:subdomain/orders', validate({
+  body: { ...CART_FIELDS, notes: { type: 'string', maxLength: 1000 }, coupon_code: COUPON_CODE }
+}), async (req, res) => {
+  const { subdomain } = req.params;
+  const { customer = {}, notes = null, coupon_code = null } = req.body;
+
+  // Se valida antes de tocar la base: un pedido incompleto no calcula precios ni bloquea el cupón
+  if (req.body.fulfillment_type === 'delivery' && !customer.address) {
+    return res.status(400).json(validationResponse([
+      fieldError('customer.address', 'body', 'REQUIRED', 'La dirección es obligatoria para envíos a domicilio')
+    ]));
+  }
+
+  try {
+    const commerceResult = await pool.query(
+      `SELECT id, business_name, is_open, working_hours, timezone, discount_rule,
+              delivery_fee, min_order_value, delivery_time, accepts_delivery, accepts_pickup, latitude, longitude
+       FROM commerces WHERE subdomain = $1 AND deleted_at IS NULL`,
+      [subdomain]
+    );
+
+    if (commerceResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Comercio no encontrado' });
+    }
+
+    const commerce = commerceResult.rows[0];
+
+    // Recalcular precios y validar reglas del comercio antes de abrir la transacción
+    let pricedOrder = await priceCart(pool, commerce, req.body);
+
+    const order = await withTransaction(async (client) => {
+      // El cupón se valida dentro de la transacción con la fila bloqueada
+      // para que dos pedidos simultáneos no superen sus límites de uso
+      if (coupon_code) {
+        pricedOrder = await applyCoupon(client, commerce.id, pricedOrder, coupon_code, customer, { lock: true });
+      }
+
+      const inserted = await insertOrder(client, commerce.id, pricedOrder, {
+        name: customer.name,
+        phone: customer.phone,
+        address: customer.address,
+        notes
+      });
+
+      await recordRedemption(client, inserted, pricedOrder, customer);
+
+      // Avisar a las tablets del comercio (se entrega al hacer COMMIT)
+      await publishEvent(client, commerce.id, EVENT_TYPES.ORDER_CREATED, {
+        order_id: inserted.id,
+        tracking_code: inserted.tracking_code,
+        fulfillment_type: inserted.fulfillment_type,
+        total: inserted.total,
+        created_at: inserted.created_at
+      });
+      return inserted;
+    });
+
+    console.log(`API: Pedido ${order.id} creado para ${commerce.business_name} (total ${order.total})`);
+
+    res.status(201).json({
+      message: 'Pedido recibido correctamente',
+      order
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error('API: Error al crear el pedido:', error);
+    res.status(500).json({ error: 'Error al crear el pedido' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,182 @@
+// routes/staff.js
+const express = require('express');
+const router = express.Router();
+const { pool, withTransaction } = require('../services/db');
+const httpError = require('../utils/httpError');
+const requirePermission = require('../middlewares/permissionMiddleware');
+const validate = require('../middlewares/validationMiddleware');
+const { PERMISSIONS, STAFF_ROLES, permissionsFor } = require('../services/permissions');
+const { inviteStaff } = require('../services/staff');
+const { idParams } = require('../services/validation');
+
+const ROLE_FIELD = { type: 'enum', required: true, values: STAFF_ROLES };
+
+/**
+ * GET /api/staff
+ * Listar el personal del comercio (con los permisos de cada rol)
+ */
+router.get('/', requirePermission(PERMISSIONS.STAFF_MANAGE), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.id, u.email, m.role, u.first_name, u.last_name, m.created_at
+       FROM commerce_memberships m
+       JOIN users u ON u.id = m.user_id
+       WHERE m.commerce_id = $1 AND m.role = ANY($2)
+       ORDER BY m.created_at`,
+      [req.user.commerceId, STAFF_ROLES]
+    );
+
+    res.json(result.rows.map(member => ({ ...member, permissions: permissionsFor(member.role) })));
+  } catch (error) {
+    console.error('Error al obtener el personal:', error);
+    res.status(500).json({ error: 'Error al obtener el personal' });
+  }
+});
+
+/**
+ * GET /api/staff/invitations
+ * Listar las invitaciones pendientes
+ */
+router.get('/invitations', requirePermission(PERMISSIONS.STAFF_MANAGE), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, email, role, expires_at, created_at
+       FROM staff_invitations
+       WHERE commerce_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC`,
+      [req.user.commerceId]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error al obtener invitaciones:', error);
+    res.status(500).json({ error: 'Error al obtener invitaciones' });
+  }
+});
+
+/**
+ * POST /api/staff/invitations
+ * Invitar a una persona por email con un rol (MANAGER, CASHIER o KITCHEN)
+ * Body: { email, role }
+ */
+router.post('/invitations', requirePermission(PERMISSIONS.STAFF_MANAGE), validate({
+  body: { email: { type: 'email', required: true }, role: ROLE_FIELD }
+}), async (req, res) => {
+  try {
+    const invitation = await inviteStaff(pool, req.user.commerceId, req.body, req.user.userId);
+    res.status(201).json(invitation);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error('Error al crear invitación:', error);
+    res.status(500).json({ error: 'Error al crear invitación' });
+  }
+});
+
+/**
+ * DELETE /api/staff/invitations/:id
+ * Anular una invitación pendiente
+ */
+router.delete('/invitations/:id', requirePermission(PERMISSIONS.STAFF_MANAGE), validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE staff_invitations SET revoked_at = NOW()
+       WHERE id = $1 AND commerce_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING id`,
+      [req.params.id, req.user.commerceId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Invitación no encontrada' });
+    }
+
+    res.json({ message: 'Invitación anulada' });
+  } catch (error) {
+    console.error('Error al anular invitación:', error);
+    res.status(500).json({ error: 'Error al anular invitación' });
+  }
+});
+
+/**
+ * PUT /api/staff/:userId
+ * Cambiar el rol de un miembro del personal (sus sesiones deberán renovarse)
+ * Body: { role }
+ */
+router.put('/:userId', requirePermission(PERMISSIONS.STAFF_MANAGE), validate({
+  params: idParams('userId'),
+  body: { role: ROLE_FIELD }
+}), async (req, res) => {
+  const { role } = req.body;
+
+  try {
+    const result = await pool.query(
+      `UPDATE commerce_memberships m SET role = $1, updated_at = NOW()
+       FROM users u
+       WHERE u.id = m.user_id AND m.user_id = $2 AND m.commerce_id = $3 AND m.role = ANY($4)
+       RETURNING u.id, u.email, m.role, u.first_name, u.last_name`,
+      [role, req.params.userId, req.user.commerceId, STAFF_ROLES]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Miembro del personal no encontrado' });
+    }
+
+    res.json({ ...result.rows[0], permissions: permissionsFor(role) });
+  } catch (error) {
+    console.error('Error al cambiar el rol:', error);
+    res.status(500).json({ error: 'Error al cambiar el rol' });
+  }
+});
+
+/**
+ * DELETE /api/staff/:userId
+ * Quitar a un miembro del personal del comercio.
+ * Si no pertenece a ningún otro comercio se elimina su cuenta (y sus sesiones);
+ * si no, solo pierde el acceso a este.
+ */
+router.delete('/:userId', requirePermission(PERMISSIONS.STAFF_MANAGE), validate({ params: idParams('userId') }), async (req, res) => {
+  try {
+    const accountDeleted = await withTransaction(async (client) => {
+      const result = await client.query(
+        `DELETE FROM commerce_memberships
+         WHERE user_id = $1 AND commerce_id = $2 AND role = ANY($3)
+         RETURNING user_id`,
+        [req.params.userId, req.user.commerceId, STAFF_ROLES]
+      );
+
+      if (result.rows.length === 0) {
+        throw httpError(404, 'Miembro del personal no encontrado');
+      }
+
+      const deleted = await client.query(
+        `DELETE FROM users u
+         WHERE u.id = $1 AND u.role = ANY($2)
+           AND NOT EXISTS (SELECT 1 FROM commerce_memberships m WHERE m.user_id = u.id)
+         RETURNING id`,
+        [req.params.userId, STAFF_ROLES]
+      );
+
+      if (deleted.rows.length === 0) {
+        // Sigue en otros comercios: su comercio por defecto pasa a ser otro de ellos
+        await client.query(
+          `UPDATE users SET commerce_id = (
+             SELECT commerce_id FROM commerce_memberships WHERE user_id = $1 ORDER BY created_at LIMIT 1
+           ), updated_at = NOW()
+           WHERE id = $1 AND commerce_id = $2`,
+          [req.params.userId, req.user.commerceId]
+        );
+      }
+      return deleted.rows.length > 0;
+    });
+
+    res.json({ message: 'Miembro del personal eliminado', account_deleted: accountDeleted });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error('Error al eliminar miembro del personal:', error);
+    res.status(500).json({ error: 'Error al eliminar miembro del personal' });
+  }
+});
+
+module.exports = router;
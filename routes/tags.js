@@ -1,25 +1,58 @@
 // routes/tags.js
 const express = require('express');
 const router = express.Router();
-const { Pool } = require('pg');
+const { pool } = require('../services/db');
 const authMiddleware = require('../middlewares/authMiddleware');
+const requirePermission = require('../middlewares/permissionMiddleware');
+const validate = require('../middlewares/validationMiddleware');
+const { PERMISSIONS } = require('../services/permissions');
+const { ENTITY_TYPES, AUDIT_ACTIONS, recordAuditSafe } = require('../services/audit');
+const { DISCOUNT_TYPES } = require('../services/pricing');
+const { MAX_PRICE, fieldError, validationResponse, idParams, optional } = require('../services/validation');
+
+const TAG_FIELDS = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  color: { type: 'hexColor', required: true },
+  textColor: { type: 'hexColor' },
+  type: { type: 'enum', required: true, values: ['product', 'option', 'item'] },
+  visible: { type: 'boolean' },
+  priority: { type: 'integer', min: 0, max: 10000 },
+  discount: { type: 'number', min: 0, max: MAX_PRICE },
+  discountType: { type: 'enum', values: DISCOUNT_TYPES },
+  validFrom: { type: 'datetime' },
+  validUntil: { type: 'datetime' },
+  disableSelection: { type: 'boolean' },
+  isRecommended: { type: 'boolean' }
+};
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-});
+/**
+ * Reglas del descuento que dependen de más de un campo (tipos y formatos los valida TAG_FIELDS).
+ * Devuelve el cuerpo de la respuesta de error o null si son válidos.
+ */
+function validateDiscount({ discount, discountType, validFrom, validUntil }) {
+  if ((discountType || 'percentage') === 'percentage' && Number(discount) > 100) {
+    return validationResponse([fieldError('discount', 'body', 'OUT_OF_RANGE', 'El descuento porcentual no puede superar 100')]);
+  }
+  if (validFrom && validUntil && new Date(validUntil) < new Date(validFrom)) {
+    return validationResponse([
+      fieldError('validUntil', 'body', 'INVALID_VALUE', 'La fecha de fin del descuento debe ser posterior a la de inicio')
+    ]);
+  }
+  return null;
+}
 
 /**
  * GET /api/tags/product/:productId
  * Obtener todas las etiquetas asignadas a un producto
  */
-router.get('/product/:productId', authMiddleware, async (req, res) => {
+router.get('/product/:productId', authMiddleware, requirePermission(PERMISSIONS.CATALOG_VIEW), validate({ params: idParams('productId') }), async (req, res) => {
   try {
     const { productId } = req.params;
 
     // Verificar que el producto pertenezca al comercio del usuario
     const verifyProductQuery = `
       SELECT id FROM products
-      WHERE id = $1 AND commerce_id = $2
+      WHERE id = $1 AND commerce_id = $2 AND deleted_at IS NULL
     `;
     const productResult = await pool.query(verifyProductQuery, [productId, req.user.commerceId]);
 
@@ -31,6 +64,7 @@ router.get('/product/:productId', authMiddleware, async (req, res) => {
     const query = `
       SELECT t.id, t.name, t.color, t.text_color as "textColor",
              t.type, t.visible, t.priority, t.discount,
+             t.discount_type as "discountType", t.valid_from as "validFrom", t.valid_until as "validUntil",
              t.disable_selection as "disableSelection",
              t.is_recommended as "isRecommended"
       FROM tags t
@@ -51,7 +85,7 @@ router.get('/product/:productId', authMiddleware, async (req, res) => {
  * GET /api/tags
  * Obtener todas las etiquetas del usuario actual
  */
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requirePermission(PERMISSIONS.CATALOG_VIEW), async (req, res) => {
   try {
     const query = `
       SELECT * FROM tags
@@ -70,7 +104,7 @@ router.get('/', authMiddleware, async (req, res) => {
  * POST /api/tags
  * Crear una nueva etiqueta
  */
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ body: TAG_FIELDS }), async (req, res) => {
   try {
     const {
       name,
@@ -80,35 +114,45 @@ router.post('/', authMiddleware, async (req, res) => {
       visible = true,
       priority = 0,
       discount = null,
+      discountType = 'percentage',
+      validFrom = null,
+      validUntil = null,
       disableSelection = false,
       isRecommended = false
     } = req.body;
 
-    // Validar datos requeridos
-    if (!name || !color || !type) {
-      return res.status(400).json({ error: 'Nombre, color y tipo son obligatorios' });
-    }
-
-    // Validar tipo
-    if (!['product', 'option', 'item'].includes(type)) {
-      return res.status(400).json({ error: 'Tipo de etiqueta inválido' });
+    // Validar descuento y vigencia
+    const discountError = validateDiscount({ discount, discountType, validFrom, validUntil });
+    if (discountError) {
+      return res.status(400).json(discountError);
     }
 
     const query = `
       INSERT INTO tags (
         name, color, text_color, type, visible, priority, discount,
+        discount_type, valid_from, valid_until,
         disable_selection, is_recommended, commerce_id, created_at, updated_at
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW(), NOW())
       RETURNING *
     `;
 
     const values = [
       name, color, textColor, type, visible, priority, discount,
+      discountType, validFrom, validUntil,
       disableSelection, isRecommended, req.user.commerceId
     ];
 
     const result = await pool.query(query, values);
+
+    await recordAuditSafe(pool, req, {
+      commerceId: req.user.commerceId,
+      entityType: ENTITY_TYPES.TAG,
+      entityId: result.rows[0].id,
+      action: AUDIT_ACTIONS.CREATE,
+      after: result.rows[0]
+    });
+
     res.status(201).json(result.rows[0]);
   } catch (error) {
     console.error('Error al crear etiqueta:', error);
@@ -120,7 +164,10 @@ router.post('/', authMiddleware, async (req, res) => {
  * PUT /api/tags/:id
  * Actualizar una etiqueta existente
  */
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({
+  params: idParams('id'),
+  body: optional(TAG_FIELDS)
+}), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -131,13 +178,14 @@ router.put('/:id', authMiddleware, async (req, res) => {
       visible,
       priority,
       discount,
+      discountType,
       disableSelection,
       isRecommended
     } = req.body;
 
     // Verificar propiedad
     const verifyQuery = `
-      SELECT id FROM tags
+      SELECT * FROM tags
       WHERE id = $1 AND commerce_id = $2
     `;
     const verifyResult = await pool.query(verifyQuery, [id, req.user.commerceId]);
@@ -146,6 +194,24 @@ router.put('/:id', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Etiqueta no encontrada o no tiene permisos' });
     }
 
+    // Descuento y vigencia admiten null para quitarlos: solo cambian si vienen en el body
+    const current = verifyResult.rows[0];
+    const sent = field => Object.prototype.hasOwnProperty.call(req.body, field);
+    const nextDiscount = sent('discount') ? discount : current.discount;
+    const validFrom = sent('validFrom') ? req.body.validFrom : current.valid_from;
+    const validUntil = sent('validUntil') ? req.body.validUntil : current.valid_until;
+
+    // Validar descuento y vigencia contra el resultado final, no solo contra lo enviado
+    const discountError = validateDiscount({
+      discount: nextDiscount,
+      discountType: discountType ?? current.discount_type,
+      validFrom,
+      validUntil
+    });
+    if (discountError) {
+      return res.status(400).json(discountError);
+    }
+
     const query = `
       UPDATE tags SET
         name = COALESCE($1, name),
@@ -155,6 +221,9 @@ router.put('/:id', authMiddleware, async (req, res) => {
         visible = COALESCE($5, visible),
         priority = COALESCE($6, priority),
         discount = $7,
+        discount_type = COALESCE($12, discount_type),
+        valid_from = $13,
+        valid_until = $14,
         disable_selection = COALESCE($8, disable_selection),
         is_recommended = COALESCE($9, is_recommended),
         updated_at = NOW()
@@ -163,11 +232,22 @@ router.put('/:id', authMiddleware, async (req, res) => {
     `;
 
     const values = [
-      name, color, textColor, type, visible, priority, discount,
-      disableSelection, isRecommended, id, req.user.commerceId
+      name, color, textColor, type, visible, priority, nextDiscount,
+      disableSelection, isRecommended, id, req.user.commerceId,
+      discountType, validFrom, validUntil
     ];
 
     const result = await pool.query(query, values);
+
+    await recordAuditSafe(pool, req, {
+      commerceId: req.user.commerceId,
+      entityType: ENTITY_TYPES.TAG,
+      entityId: id,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: verifyResult.rows[0],
+      after: result.rows[0]
+    });
+
     res.json(result.rows[0]);
   } catch (error) {
     console.error('Error al actualizar etiqueta:', error);
@@ -179,13 +259,13 @@ router.put('/:id', authMiddleware, async (req, res) => {
  * DELETE /api/tags/:id
  * Eliminar una etiqueta
  */
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ params: idParams('id') }), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Verificar propiedad
     const verifyQuery = `
-      SELECT id FROM tags
+      SELECT * FROM tags
       WHERE id = $1 AND commerce_id = $2
     `;
     const verifyResult = await pool.query(verifyQuery, [id, req.user.commerceId]);
@@ -202,6 +282,14 @@ router.delete('/:id', authMiddleware, async (req, res) => {
     await pool.query('DELETE FROM option_tags WHERE tag_id = $1', [id]);
     await pool.query('DELETE FROM item_tags WHERE tag_id = $1', [id]);
 
+    await recordAuditSafe(pool, req, {
+      commerceId: req.user.commerceId,
+      entityType: ENTITY_TYPES.TAG,
+      entityId: id,
+      action: AUDIT_ACTIONS.DELETE,
+      before: verifyResult.rows[0]
+    });
+
     res.json({ message: 'Etiqueta eliminada correctamente' });
   } catch (error) {
     console.error('Error al eliminar etiqueta:', error);
@@ -213,14 +301,14 @@ router.delete('/:id', authMiddleware, async (req, res) => {
  * POST /api/tags/assign-product/:productId/:tagId
  * Asignar etiqueta a un producto
  */
-router.post('/assign-product/:productId/:tagId', authMiddleware, async (req, res) => {
+router.post('/assign-product/:productId/:tagId', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ params: idParams('productId', 'tagId') }), async (req, res) => {
   try {
     const { productId, tagId } = req.params;
 
     // Verificar que el producto y la etiqueta pertenezcan al comercio
     const verifyProductQuery = `
       SELECT id FROM products
-      WHERE id = $1 AND commerce_id = $2
+      WHERE id = $1 AND commerce_id = $2 AND deleted_at IS NULL
     `;
     const verifyTagQuery = `
       SELECT id, type FROM tags
@@ -240,7 +328,9 @@ router.post('/assign-product/:productId/:tagId', authMiddleware, async (req, res
 
     // Verificar que la etiqueta sea de tipo producto
     if (tagResult.rows[0].type !== 'product') {
-      return res.status(400).json({ error: 'La etiqueta debe ser de tipo producto' });
+      return res.status(400).json(validationResponse([
+        fieldError('tagId', 'params', 'INVALID_VALUE', 'La etiqueta debe ser de tipo producto')
+      ]));
     }
 
     // Verificar si ya existe la asignación
@@ -263,6 +353,14 @@ router.post('/assign-product/:productId/:tagId', authMiddleware, async (req, res
     `;
     const result = await pool.query(query, [productId, tagId]);
 
+    await recordAuditSafe(pool, req, {
+      commerceId: req.user.commerceId,
+      entityType: ENTITY_TYPES.PRODUCT_TAG,
+      entityId: productId,
+      action: AUDIT_ACTIONS.ASSIGN,
+      changes: { tag_id: { before: null, after: Number(tagId) } }
+    });
+
     res.status(201).json(result.rows[0]);
   } catch (error) {
     console.error('Error al asignar etiqueta al producto:', error);
@@ -274,14 +372,14 @@ router.post('/assign-product/:productId/:tagId', authMiddleware, async (req, res
  * DELETE /api/tags/assign-product/:productId/:tagId
  * Quitar etiqueta de un producto
  */
-router.delete('/assign-product/:productId/:tagId', authMiddleware, async (req, res) => {
+router.delete('/assign-product/:productId/:tagId', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ params: idParams('productId', 'tagId') }), async (req, res) => {
   try {
     const { productId, tagId } = req.params;
 
     // Verificar que el producto pertenezca al comercio
     const verifyProductQuery = `
       SELECT id FROM products
-      WHERE id = $1 AND commerce_id = $2
+      WHERE id = $1 AND commerce_id = $2 AND deleted_at IS NULL
     `;
     const productResult = await pool.query(verifyProductQuery, [productId, req.user.commerceId]);
 
@@ -301,6 +399,14 @@ router.delete('/assign-product/:productId/:tagId', authMiddleware, async (req, r
       return res.status(404).json({ error: 'Asignación no encontrada' });
     }
 
+    await recordAuditSafe(pool, req, {
+      commerceId: req.user.commerceId,
+      entityType: ENTITY_TYPES.PRODUCT_TAG,
+      entityId: productId,
+      action: AUDIT_ACTIONS.UNASSIGN,
+      changes: { tag_id: { before: Number(tagId), after: null } }
+    });
+
     res.json({ message: 'Etiqueta eliminada del producto correctamente' });
   } catch (error) {
     console.error('Error al quitar etiqueta del producto:', error);
@@ -312,7 +418,7 @@ router.delete('/assign-product/:productId/:tagId', authMiddleware, async (req, r
  * POST /api/tags/assign-option/:optionId/:tagId
  * Asignar etiqueta a una opción
  */
-router.post('/assign-option/:optionId/:tagId', authMiddleware, async (req, res) => {
+router.post('/assign-option/:optionId/:tagId', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ params: idParams('optionId', 'tagId') }), async (req, res) => {
   try {
     const { optionId, tagId } = req.params;
 
@@ -320,7 +426,7 @@ router.post('/assign-option/:optionId/:tagId', authMiddleware, async (req, res)
     const verifyOptionQuery = `
       SELECT po.id FROM product_options po
       JOIN products p ON po.product_id = p.id
-      WHERE po.id = $1 AND p.commerce_id = $2
+      WHERE po.id = $1 AND p.commerce_id = $2 AND po.deleted_at IS NULL AND p.deleted_at IS NULL
     `;
     const verifyTagQuery = `
       SELECT id, type FROM tags
@@ -340,7 +446,9 @@ router.post('/assign-option/:optionId/:tagId', authMiddleware, async (req, res)
 
     // Verificar que la etiqueta sea de tipo opción
     if (tagResult.rows[0].type !== 'option') {
-      return res.status(400).json({ error: 'La etiqueta debe ser de tipo opción' });
+      return res.status(400).json(validationResponse([
+        fieldError('tagId', 'params', 'INVALID_VALUE', 'La etiqueta debe ser de tipo opción')
+      ]));
     }
 
     // Verificar si ya existe la asignación
@@ -363,6 +471,14 @@ router.post('/assign-option/:optionId/:tagId', authMiddleware, async (req, res)
     `;
     const result = await pool.query(query, [optionId, tagId]);
 
+    await recordAuditSafe(pool, req, {
+      commerceId: req.user.commerceId,
+      entityType: ENTITY_TYPES.OPTION_TAG,
+      entityId: optionId,
+      action: AUDIT_ACTIONS.ASSIGN,
+      changes: { tag_id: { before: null, after: Number(tagId) } }
+    });
+
     res.status(201).json(result.rows[0]);
   } catch (error) {
     console.error('Error al asignar etiqueta a la opción:', error);
@@ -374,7 +490,7 @@ router.post('/assign-option/:optionId/:tagId', authMiddleware, async (req, res)
  * DELETE /api/tags/assign-option/:optionId/:tagId
  * Quitar etiqueta de una opción
  */
-router.delete('/assign-option/:optionId/:tagId', authMiddleware, async (req, res) => {
+router.delete('/assign-option/:optionId/:tagId', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ params: idParams('optionId', 'tagId') }), async (req, res) => {
   try {
     const { optionId, tagId } = req.params;
 
@@ -382,7 +498,7 @@ router.delete('/assign-option/:optionId/:tagId', authMiddleware, async (req, res
     const verifyOptionQuery = `
       SELECT po.id FROM product_options po
       JOIN products p ON po.product_id = p.id
-      WHERE po.id = $1 AND p.commerce_id = $2
+      WHERE po.id = $1 AND p.commerce_id = $2 AND po.deleted_at IS NULL AND p.deleted_at IS NULL
     `;
     const optionResult = await pool.query(verifyOptionQuery, [optionId, req.user.commerceId]);
 
@@ -402,6 +518,14 @@ router.delete('/assign-option/:optionId/:tagId', authMiddleware, async (req, res
       return res.status(404).json({ error: 'Asignación no encontrada' });
     }
 
+    await recordAuditSafe(pool, req, {
+      commerceId: req.user.commerceId,
+      entityType: ENTITY_TYPES.OPTION_TAG,
+      entityId: optionId,
+      action: AUDIT_ACTIONS.UNASSIGN,
+      changes: { tag_id: { before: Number(tagId), after: null } }
+    });
+
     res.json({ message: 'Etiqueta eliminada de la opción correctamente' });
   } catch (error) {
     console.error('Error al quitar etiqueta de la opción:', error);
@@ -413,7 +537,7 @@ router.delete('/assign-option/:optionId/:tagId', authMiddleware, async (req, res
  * POST /api/tags/assign-item/:itemId/:tagId
  * Asignar etiqueta a un ítem
  */
-router.post('/assign-item/:itemId/:tagId', authMiddleware, async (req, res) => {
+router.post('/assign-item/:itemId/:tagId', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ params: idParams('itemId', 'tagId') }), async (req, res) => {
   try {
     const { itemId, tagId } = req.params;
 
@@ -423,6 +547,7 @@ router.post('/assign-item/:itemId/:tagId', authMiddleware, async (req, res) => {
       JOIN product_options po ON oi.option_id = po.id
       JOIN products p ON po.product_id = p.id
       WHERE oi.id = $1 AND p.commerce_id = $2
+        AND oi.deleted_at IS NULL AND po.deleted_at IS NULL AND p.deleted_at IS NULL
     `;
     const verifyTagQuery = `
       SELECT id, type FROM tags
@@ -442,7 +567,9 @@ router.post('/assign-item/:itemId/:tagId', authMiddleware, async (req, res) => {
 
     // Verificar que la etiqueta sea de tipo ítem
     if (tagResult.rows[0].type !== 'item') {
-      return res.status(400).json({ error: 'La etiqueta debe ser de tipo ítem' });
+      return res.status(400).json(validationResponse([
+        fieldError('tagId', 'params', 'INVALID_VALUE', 'La etiqueta debe ser de tipo ítem')
+      ]));
     }
 
     // Verificar si ya existe la asignación
@@ -465,6 +592,14 @@ router.post('/assign-item/:itemId/:tagId', authMiddleware, async (req, res) => {
     `;
     const result = await pool.query(query, [itemId, tagId]);
 
+    await recordAuditSafe(pool, req, {
+      commerceId: req.user.commerceId,
+      entityType: ENTITY_TYPES.ITEM_TAG,
+      entityId: itemId,
+      action: AUDIT_ACTIONS.ASSIGN,
+      changes: { tag_id: { before: null, after: Number(tagId) } }
+    });
+
     res.status(201).json(result.rows[0]);
   } catch (error) {
     console.error('Error al asignar etiqueta al ítem:', error);
@@ -476,7 +611,7 @@ router.post('/assign-item/:itemId/:tagId', authMiddleware, async (req, res) => {
  * DELETE /api/tags/assign-item/:itemId/:tagId
  * Quitar etiqueta de un ítem
  */
-router.delete('/assign-item/:itemId/:tagId', authMiddleware, async (req, res) => {
+router.delete('/assign-item/:itemId/:tagId', authMiddleware, requirePermission(PERMISSIONS.CATALOG_EDIT), validate({ params: idParams('itemId', 'tagId') }), async (req, res) => {
   try {
     const { itemId, tagId } = req.params;
 
@@ -486,6 +621,7 @@ router.delete('/assign-item/:itemId/:tagId', authMiddleware, async (req, res) =>
       JOIN product_options po ON oi.option_id = po.id
       JOIN products p ON po.product_id = p.id
       WHERE oi.id = $1 AND p.commerce_id = $2
+        AND oi.deleted_at IS NULL AND po.deleted_at IS NULL AND p.deleted_at IS NULL
     `;
     const itemResult = await pool.query(verifyItemQuery, [itemId, req.user.commerceId]);
 
@@ -505,6 +641,14 @@ router.delete('/assign-item/:itemId/:tagId', authMiddleware, async (req, res) =>
       return res.status(404).json({ error: 'Asignación no encontrada' });
     }
 
+    await recordAuditSafe(pool, req, {
+      commerceId: req.user.commerceId,
+      entityType: ENTITY_TYPES.ITEM_TAG,
+      entityId: itemId,
+      action: AUDIT_ACTIONS.UNASSIGN,
+      changes: { tag_id: { before: Number(tagId), after: null } }
+    });
+
     res.json({ message: 'Etiqueta eliminada del ítem correctamente' });
   } catch (error) {
     console.error('Error al quitar etiqueta del ítem:', error);
@@ -0,0 +1,38 @@
+// routes/trash.js
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../services/db');
+const requirePermission = require('../middlewares/permissionMiddleware');
+const validate = require('../middlewares/validationMiddleware');
+const { PERMISSIONS, hasPermission } = require('../services/permissions');
+const { listTrash } = require('../services/trash');
+const { fieldError, validationResponse } = require('../services/validation');
+
+/**
+ * GET /api/trash
+ * Papelera del catálogo del comercio: categorías, productos, opciones e ítems eliminados,
+ * con la fecha en que se purgarán. Cada uno se restaura con POST .../:id/restore en su recurso.
+ * El SUPERUSER indica el comercio con ?commerce_id (los comercios eliminados están en GET /api/commerces/trash).
+ */
+router.get('/', requirePermission(PERMISSIONS.CATALOG_EDIT), validate({
+  query: { commerce_id: { type: 'id' } }
+}), async (req, res) => {
+  try {
+    const commerceId = hasPermission(req.user, PERMISSIONS.PLATFORM_ADMIN)
+      ? req.query.commerce_id || req.user.commerceId
+      : req.user.commerceId;
+
+    if (!commerceId) {
+      return res.status(400).json(validationResponse([
+        fieldError('commerce_id', 'query', 'REQUIRED', 'No se encontró commerce_id para el usuario')
+      ]));
+    }
+
+    res.json(await listTrash(pool, commerceId));
+  } catch (error) {
+    console.error('Error al obtener la papelera:', error);
+    res.status(500).json({ error: 'Error al obtener la papelera' });
+  }
+});
+
+module.exports = router;
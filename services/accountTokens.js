@@ -0,0 +1,123 @@
+// services/accountTokens.js
+const crypto = require('crypto');
+const { hashToken } = require('./sessions');
+const { sendMail } = require('./mailer');
+
+/**
+ * Tokens de un solo uso enviados por email (recuperar contraseña, verificar email y desbloquear la cuenta).
+ * Solo se guarda su hash; al emitir uno nuevo se invalidan los anteriores del mismo tipo.
+ */
+
+const TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+  ACCOUNT_UNLOCK: 'account_unlock'
+};
+
+const TOKEN_TTL_MINUTES = {
+  password_reset: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  email_verification: Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 60 * 24 * 3,
+  account_unlock: Number(process.env.ACCOUNT_UNLOCK_TTL_MINUTES) || 60 * 24
+};
+
+const APP_URL = process.env.APP_URL || 'https://menunube.online';
+
+/**
+ * Crea un token para un usuario y devuelve el valor en claro (solo se envía por email).
+ */
+async function issueToken(db, userId, purpose) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.query(
+    `UPDATE user_tokens SET used_at = NOW()
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+
+  await db.query(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at, created_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4), NOW())`,
+    [userId, purpose, hashToken(token), TOKEN_TTL_MINUTES[purpose]]
+  );
+
+  return token;
+}
+
+/**
+ * Marca un token como usado y devuelve el user_id, o null si no existe, expiró o ya se usó.
+ * El UPDATE condicional garantiza que dos peticiones simultáneas no lo consuman dos veces.
+ */
+async function consumeToken(db, token, purpose) {
+  if (!token) return null;
+
+  const result = await db.query(
+    `UPDATE user_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+/**
+ * Envía el enlace para restablecer la contraseña.
+ */
+async function sendPasswordResetEmail(db, user) {
+  const token = await issueToken(db, user.id, TOKEN_PURPOSES.PASSWORD_RESET);
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Restablece tu contraseña',
+    text: `Recibimos una solicitud para restablecer tu contraseña.\n\n` +
+      `Abre este enlace para elegir una nueva (vence en ${TOKEN_TTL_MINUTES.password_reset} minutos):\n${link}\n\n` +
+      `Si no fuiste tú, puedes ignorar este correo.`,
+    html: `<p>Recibimos una solicitud para restablecer tu contraseña.</p>` +
+      `<p><a href="${link}">Elegir una nueva contraseña</a> (vence en ${TOKEN_TTL_MINUTES.password_reset} minutos).</p>` +
+      `<p>Si no fuiste tú, puedes ignorar este correo.</p>`
+  });
+}
+
+/**
+ * Envía el enlace para verificar el email de la cuenta.
+ */
+async function sendVerificationEmail(db, user) {
+  const token = await issueToken(db, user.id, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirma tu email',
+    text: `Confirma tu email abriendo este enlace:\n${link}`,
+    html: `<p><a href="${link}">Confirmar mi email</a></p>`
+  });
+}
+
+/**
+ * Avisa que la cuenta se bloqueó por intentos fallidos y envía el enlace para desbloquearla.
+ */
+async function sendAccountUnlockEmail(db, user) {
+  const token = await issueToken(db, user.id, TOKEN_PURPOSES.ACCOUNT_UNLOCK);
+  const link = `${APP_URL}/unlock-account?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Tu cuenta fue bloqueada temporalmente',
+    text: `Bloqueamos temporalmente tu cuenta por varios intentos fallidos de inicio de sesión.\n\n` +
+      `Si fuiste tú, desbloquéala con este enlace:\n${link}\n\n` +
+      `Si no fuiste tú, te recomendamos cambiar tu contraseña.`,
+    html: `<p>Bloqueamos temporalmente tu cuenta por varios intentos fallidos de inicio de sesión.</p>` +
+      `<p>Si fuiste tú, <a href="${link}">desbloquea tu cuenta</a>.</p>` +
+      `<p>Si no fuiste tú, te recomendamos cambiar tu contraseña.</p>`
+  });
+}
+
+module.exports = {
+  TOKEN_PURPOSES,
+  issueToken,
+  consumeToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountUnlockEmail
+};
@@ -0,0 +1,135 @@
+// services/audit.js
+
+/**
+ * Registro de auditoría (tabla audit_log).
+ *
+ * Cada cambio guarda quién lo hizo (y el SUPERUSER que suplantaba, si aplica), el comercio,
+ * la entidad, la acción y un diff { campo: { before, after } } con solo los campos que cambiaron.
+ * Las contraseñas, secretos y tokens nunca se guardan: se marcan como '[redacted]'.
+ *
+ * db puede ser el pool o un cliente en transacción (así el registro se confirma junto con el cambio).
+ */
+
+const ENTITY_TYPES = {
+  COMMERCE: 'commerce',
+  USER: 'user',
+  CATEGORY: 'category',
+  PRODUCT: 'product',
+  PRODUCT_OPTION: 'product_option',
+  OPTION_ITEM: 'option_item',
+  SCHEDULE_EXCEPTION: 'schedule_exception',
+  DELIVERY_ZONE: 'delivery_zone',
+  TAG: 'tag',
+  PRODUCT_TAG: 'product_tag',
+  OPTION_TAG: 'option_tag',
+  ITEM_TAG: 'item_tag'
+};
+
+const AUDIT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  REORDER: 'reorder',
+  ASSIGN: 'assign',
+  UNASSIGN: 'unassign',
+  RESTORE: 'restore',
+  PURGE: 'purge'
+};
+
+// Tablas de las que se puede leer el estado previo con loadSnapshot
+const SNAPSHOT_TABLES = [
+  'commerces', 'users', 'categories', 'products', 'product_options', 'option_items', 'tags', 'delivery_zones'
+];
+
+// Campos que no aportan al historial
+const IGNORED_FIELDS = ['created_at', 'updated_at'];
+const SENSITIVE_FIELD = /password|secret|token/i;
+
+function normalize(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined) return null;
+  return value;
+}
+
+/**
+ * Diff entre dos versiones de una fila (cualquiera puede ser null en altas y bajas).
+ */
+function diffRows(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const from = normalize(before ? before[field] : null);
+    const to = normalize(after ? after[field] : null);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[field] = SENSITIVE_FIELD.test(field)
+      ? { before: from === null ? null : '[redacted]', after: to === null ? null : '[redacted]' }
+      : { before: from, after: to };
+  }
+
+  return changes;
+}
+
+/**
+ * Estado actual de una fila (antes de modificarla), o null si no existe.
+ */
+async function loadSnapshot(db, table, id) {
+  if (!SNAPSHOT_TABLES.includes(table)) {
+    throw new Error(`Tabla sin auditoría: ${table}`);
+  }
+  const result = await db.query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Guarda un registro de auditoría.
+ * entry: { commerceId, entityType, entityId, action, before, after } o, en lugar de before/after, changes.
+ * Las actualizaciones que no cambian nada no se registran.
+ */
+async function recordAudit(db, req, { commerceId = null, entityType, entityId = null, action, before = null, after = null, changes = null }) {
+  const diff = changes || diffRows(before, after);
+  if (action === AUDIT_ACTIONS.UPDATE && Object.keys(diff).length === 0) return;
+
+  const user = (req && req.user) || {};
+
+  await db.query(
+    `INSERT INTO audit_log (
+       actor_user_id, actor_role, impersonator_id, impersonation_id, commerce_id,
+       entity_type, entity_id, action, changes, ip_address, created_at
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())`,
+    [
+      user.userId || null,
+      user.role || null,
+      user.impersonatorId || null,
+      user.impersonationId || null,
+      commerceId === null || commerceId === undefined ? null : Number(commerceId),
+      entityType,
+      entityId === null || entityId === undefined ? null : Number(entityId),
+      action,
+      JSON.stringify(diff),
+      req ? String(req.ip || '').slice(0, 64) || null : null
+    ]
+  );
+}
+
+/**
+ * Igual que recordAudit pero sin interrumpir la operación si falla (el cambio ya se hizo).
+ */
+function recordAuditSafe(db, req, entry) {
+  return recordAudit(db, req, entry).catch(error => {
+    console.error(`⚠️ Error registrando auditoría (${entry.entityType} ${entry.action}):`, error);
+  });
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  AUDIT_ACTIONS,
+  diffRows,
+  loadSnapshot,
+  recordAudit,
+  recordAuditSafe
+};
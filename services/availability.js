@@ -0,0 +1,116 @@
+// services/availability.js
+const { parseDayRanges, addDays, weekdayOf } = require('./schedule');
+
+/**
+ * Ventanas de disponibilidad de categorías y productos (desayunos, menú del día, happy hour...).
+ *
+ * categories.availability y products.availability guardan una ventana o un array de ventanas:
+ *
+ *   {
+ *     "days": [1, 2, 3, 4, 5],                        // 0 = domingo; vacío u omitido = todos los días
+ *     "ranges": [{ "open": "08:00", "close": "11:30" }], // omitido = todo el día
+ *     "date_from": "2026-01-01",                       // opcional
+ *     "date_to": "2026-03-31"                          // opcional
+ *   }
+ *
+ * null significa "siempre disponible". Las horas se evalúan en la zona horaria del comercio
+ * y, como en working_hours, una franja con cierre <= apertura cruza la medianoche.
+ */
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Valida y normaliza una disponibilidad. Devuelve null (siempre disponible)
+ * o un array de ventanas { days, ranges, date_from, date_to }. Lanza Error si es inválida.
+ */
+function parseAvailability(raw) {
+  if (raw === null || raw === undefined || raw === '') return null;
+
+  let value = raw;
+  if (typeof raw === 'string') {
+    try {
+      value = JSON.parse(raw);
+    } catch (error) {
+      throw new Error('availability no es un JSON válido');
+    }
+  }
+
+  const windows = Array.isArray(value) ? value : [value];
+  if (windows.length === 0) return null;
+
+  return windows.map((window, index) => {
+    if (!window || typeof window !== 'object' || Array.isArray(window)) {
+      throw new Error(`Ventana de disponibilidad ${index + 1} inválida`);
+    }
+
+    const days = window.days || [];
+    if (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new Error(`Días inválidos en la ventana ${index + 1} (usa 0 = domingo ... 6 = sábado)`);
+    }
+
+    let ranges = [{ start: 0, end: 24 * 60 }];
+    if (window.ranges !== undefined && window.ranges !== null) {
+      ranges = parseDayRanges(window.ranges);
+      if (!ranges || ranges.length === 0) {
+        throw new Error(`Franjas horarias inválidas en la ventana ${index + 1} (usa "HH:MM")`);
+      }
+    }
+
+    for (const field of ['date_from', 'date_to']) {
+      if (window[field] && !DATE_REGEX.test(window[field])) {
+        throw new Error(`${field} inválido en la ventana ${index + 1} (usa YYYY-MM-DD)`);
+      }
+    }
+
+    if (window.date_from && window.date_to && window.date_to < window.date_from) {
+      throw new Error(`date_to debe ser posterior a date_from en la ventana ${index + 1}`);
+    }
+
+    return {
+      days,
+      ranges,
+      date_from: window.date_from || null,
+      date_to: window.date_to || null
+    };
+  });
+}
+
+/**
+ * Indica si una ventana aplica al día (fecha local "YYYY-MM-DD") en que empieza una franja.
+ */
+function windowAppliesOn(window, dateString) {
+  if (window.date_from && dateString < window.date_from) return false;
+  if (window.date_to && dateString > window.date_to) return false;
+  return window.days.length === 0 || window.days.includes(weekdayOf(dateString));
+}
+
+/**
+ * Indica si una disponibilidad está vigente en un momento local ({ date, minutes } de getLocalParts).
+ */
+function isAvailableAt(rawAvailability, local) {
+  let windows;
+  try {
+    windows = parseAvailability(rawAvailability);
+  } catch (error) {
+    // Una disponibilidad mal guardada no debe ocultar el producto
+    return true;
+  }
+
+  if (!windows) return true;
+
+  const yesterday = addDays(local.date, -1);
+
+  return windows.some(window =>
+    (windowAppliesOn(window, local.date) &&
+      window.ranges.some(({ start, end }) =>
+        end > start ? local.minutes >= start && local.minutes < end : local.minutes >= start
+      )) ||
+    (windowAppliesOn(window, yesterday) &&
+      window.ranges.some(({ start, end }) => end <= start && local.minutes < end))
+  );
+}
+
+module.exports = {
+  parseAvailability,
+  isAvailableAt
+};
@@ -0,0 +1,152 @@
+// services/commerceDeletion.js
+const httpError = require('../utils/httpError');
+const { withTransaction } = require('./db');
+const { queueMediaCleanup } = require('./media');
+
+/**
+ * Borrado definitivo de un comercio con todo lo que depende de él.
+ *
+ * Se borra en orden de hojas a raíz dentro de una transacción, así no quedan filas huérfanas
+ * ni falla por claves foráneas. Las imágenes (logo, banner, productos e ítems) se encolan
+ * en media_cleanup_queue y se eliminan de Cloudinary después del COMMIT.
+ * El historial de auditoría (audit_log) se conserva.
+ */
+
+// Subconsultas reutilizadas ($1 = id del comercio)
+const PRODUCT_IDS = 'SELECT id FROM products WHERE commerce_id = $1';
+const OPTION_IDS = `SELECT id FROM product_options WHERE product_id IN (${PRODUCT_IDS})`;
+const ITEM_IDS = `SELECT id FROM option_items WHERE option_id IN (${OPTION_IDS})`;
+const TAG_IDS = 'SELECT id FROM tags WHERE commerce_id = $1';
+const ORDER_IDS = 'SELECT id FROM orders WHERE commerce_id = $1';
+const COUPON_IDS = 'SELECT id FROM coupons WHERE commerce_id = $1';
+
+/**
+ * Pasos del borrado, en orden. key es el nombre en el resumen; media, la columna con imágenes.
+ */
+const DELETION_STEPS = [
+  { key: 'item_tags', sql: `DELETE FROM item_tags WHERE item_id IN (${ITEM_IDS}) OR tag_id IN (${TAG_IDS})` },
+  { key: 'option_tags', sql: `DELETE FROM option_tags WHERE option_id IN (${OPTION_IDS}) OR tag_id IN (${TAG_IDS})` },
+  { key: 'product_tags', sql: `DELETE FROM product_tags WHERE product_id IN (${PRODUCT_IDS}) OR tag_id IN (${TAG_IDS})` },
+  { key: 'tags', sql: 'DELETE FROM tags WHERE commerce_id = $1' },
+  { key: 'coupon_redemptions', sql: `DELETE FROM coupon_redemptions WHERE coupon_id IN (${COUPON_IDS}) OR order_id IN (${ORDER_IDS})` },
+  { key: 'order_status_history', sql: `DELETE FROM order_status_history WHERE order_id IN (${ORDER_IDS})` },
+  { key: 'order_items', sql: `DELETE FROM order_items WHERE order_id IN (${ORDER_IDS})` },
+  { key: 'orders', sql: 'DELETE FROM orders WHERE commerce_id = $1' },
+  { key: 'coupons', sql: 'DELETE FROM coupons WHERE commerce_id = $1' },
+  { key: 'option_items', sql: `DELETE FROM option_items WHERE option_id IN (${OPTION_IDS})`, media: ['image_url'] },
+  { key: 'product_options', sql: `DELETE FROM product_options WHERE product_id IN (${PRODUCT_IDS})` },
+  { key: 'products', sql: 'DELETE FROM products WHERE commerce_id = $1', media: ['image_url'] },
+  { key: 'categories', sql: 'DELETE FROM categories WHERE commerce_id = $1' },
+  { key: 'delivery_zones', sql: 'DELETE FROM delivery_zones WHERE commerce_id = $1' },
+  { key: 'schedule_exceptions', sql: 'DELETE FROM commerce_schedule_exceptions WHERE commerce_id = $1' },
+  { key: 'staff_invitations', sql: 'DELETE FROM staff_invitations WHERE commerce_id = $1' },
+  {
+    key: 'impersonation_requests',
+    sql: 'DELETE FROM impersonation_requests WHERE impersonation_id IN (SELECT id FROM impersonations WHERE commerce_id = $1)'
+  },
+  { key: 'impersonations', sql: 'DELETE FROM impersonations WHERE commerce_id = $1' }
+];
+
+/**
+ * Borra el comercio y todo lo suyo. Debe llamarse dentro de una transacción
+ * (con dryRun la transacción se revierte al final y solo queda el resumen).
+ * Devuelve { commerce, removed: { tabla: filas }, media_queued }.
+ */
+async function deleteCommerceCascade(client, commerceId, { reason = 'commerce_deleted' } = {}) {
+  const commerceResult = await client.query('SELECT * FROM commerces WHERE id = $1 FOR UPDATE', [commerceId]);
+  if (commerceResult.rows.length === 0) {
+    throw httpError(404, 'Comercio no encontrado');
+  }
+  const commerce = commerceResult.rows[0];
+
+  const removed = {};
+  const mediaUrls = [commerce.logo_url, commerce.banner_url];
+
+  for (const step of DELETION_STEPS) {
+    const returning = step.media ? ` RETURNING ${step.media.join(', ')}` : '';
+    const result = await client.query(step.sql + returning, [commerceId]);
+    removed[step.key] = result.rowCount;
+    if (step.media) {
+      for (const row of result.rows) mediaUrls.push(...step.media.map(column => row[column]));
+    }
+  }
+
+  // Usuarios del comercio: se borran quienes no pertenecen a ningún otro (nunca un SUPERUSER)
+  const members = await client.query(
+    `SELECT user_id AS id FROM commerce_memberships WHERE commerce_id = $1
+     UNION
+     SELECT id FROM users WHERE commerce_id = $1`,
+    [commerceId]
+  );
+  const memberships = await client.query('DELETE FROM commerce_memberships WHERE commerce_id = $1', [commerceId]);
+  removed.commerce_memberships = memberships.rowCount;
+
+  const users = await client.query(
+    `DELETE FROM users u
+     WHERE u.id = ANY($1) AND u.role <> 'SUPERUSER'
+       AND NOT EXISTS (SELECT 1 FROM commerce_memberships m WHERE m.user_id = u.id)
+     RETURNING id`,
+    [members.rows.map(row => row.id)]
+  );
+  removed.users = users.rowCount;
+
+  // Quienes siguen en otros comercios pasan a tener uno de ellos por defecto
+  await client.query(
+    `UPDATE users u SET commerce_id = (
+       SELECT m.commerce_id FROM commerce_memberships m WHERE m.user_id = u.id ORDER BY m.created_at LIMIT 1
+     ), updated_at = NOW()
+     WHERE u.commerce_id = $1`,
+    [commerceId]
+  );
+  await client.query(
+    `UPDATE user_sessions SET active_commerce_id = NULL, revoked_at = COALESCE(revoked_at, NOW()),
+       revoked_reason = COALESCE(revoked_reason, 'commerce_deleted')
+     WHERE active_commerce_id = $1`,
+    [commerceId]
+  );
+
+  await client.query('DELETE FROM commerces WHERE id = $1', [commerceId]);
+  removed.commerces = 1;
+
+  const mediaQueued = await queueMediaCleanup(client, mediaUrls, reason);
+
+  return {
+    commerce: { id: commerce.id, business_name: commerce.business_name, subdomain: commerce.subdomain },
+    removed,
+    media_queued: mediaQueued
+  };
+}
+
+/**
+ * Igual que deleteCommerceCascade pero en su propia transacción (withTransaction).
+ * Con dryRun no se borra nada: se ejecuta todo y se revierte, así el resumen es exacto.
+ * onDeleted(client, summary) corre antes del COMMIT (por ejemplo, para auditar).
+ */
+async function deleteCommerce(commerceId, { dryRun = false, reason, onDeleted = null } = {}) {
+  try {
+    const summary = await withTransaction(async (client) => {
+      const result = await deleteCommerceCascade(client, commerceId, { reason });
+
+      // El dry run se revierte lanzando un error que lleva el resumen ya calculado
+      if (dryRun) {
+        const rollback = new Error('dry run');
+        rollback.dryRunSummary = result;
+        throw rollback;
+      }
+
+      if (onDeleted) await onDeleted(client, result);
+      return result;
+    });
+    return { ...summary, dry_run: false };
+  } catch (error) {
+    if (error.dryRunSummary) {
+      return { ...error.dryRunSummary, dry_run: true };
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  deleteCommerceCascade,
+  deleteCommerce
+};
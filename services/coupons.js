@@ -0,0 +1,173 @@
+// services/coupons.js
+const httpError = require('../utils/httpError');
+const { roundMoney } = require('./pricing');
+
+/**
+ * Cupones de descuento por comercio.
+ *
+ * Un cupón puede descontar un porcentaje o un importe fijo sobre las líneas elegibles
+ * del carrito (todas, o solo las de ciertas categorías/productos), y opcionalmente
+ * dejar el envío gratis. Se aplican sobre los precios ya calculados por priceCart,
+ * es decir, después de los descuentos por etiqueta.
+ */
+
+const COUPON_DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+/**
+ * Normaliza un código de cupón (sin espacios y en mayúsculas).
+ */
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Identificador de cliente para los límites por cliente: el teléfono solo con dígitos.
+ */
+function customerKeyFrom(customer) {
+  const digits = String((customer && customer.phone) || '').replace(/\D/g, '');
+  return digits || null;
+}
+
+/**
+ * Busca un cupón del comercio por código. Con lock = true bloquea la fila
+ * (usar dentro de la transacción del pedido para respetar los límites de uso).
+ */
+async function findCoupon(db, commerceId, code, { lock = false } = {}) {
+  const result = await db.query(
+    `SELECT * FROM coupons WHERE commerce_id = $1 AND code = $2 ${lock ? 'FOR UPDATE' : ''}`,
+    [commerceId, normalizeCode(code)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Comprueba las reglas de un cupón y calcula el descuento sobre un pedido ya tarifado.
+ * Devuelve el desglose del descuento o lanza httpError(400) con el motivo.
+ */
+async function evaluateCoupon(db, coupon, pricedOrder, { customerKey = null, now = new Date() } = {}) {
+  if (!coupon || !coupon.active) {
+    throw httpError(400, 'El cupón no existe o no está activo', { field: 'coupon_code', code: 'COUPON_INVALID' });
+  }
+
+  if (coupon.valid_from && new Date(coupon.valid_from) > now) {
+    throw httpError(400, 'El cupón todavía no está vigente', { field: 'coupon_code', code: 'COUPON_NOT_STARTED' });
+  }
+
+  if (coupon.valid_until && new Date(coupon.valid_until) < now) {
+    throw httpError(400, 'El cupón ha expirado', { field: 'coupon_code', code: 'COUPON_EXPIRED' });
+  }
+
+  const minOrderValue = roundMoney(coupon.min_order_value);
+  if (minOrderValue > 0 && pricedOrder.subtotal < minOrderValue) {
+    throw httpError(400, `El cupón requiere un pedido mínimo de ${minOrderValue}`, {
+      field: 'coupon_code',
+      code: 'COUPON_MIN_ORDER',
+      min_order_value: minOrderValue
+    });
+  }
+
+  if (coupon.max_uses) {
+    const usesResult = await db.query('SELECT COUNT(*)::int AS uses FROM coupon_redemptions WHERE coupon_id = $1', [coupon.id]);
+    if (usesResult.rows[0].uses >= coupon.max_uses) {
+      throw httpError(400, 'El cupón ya alcanzó su límite de usos', { field: 'coupon_code', code: 'COUPON_EXHAUSTED' });
+    }
+  }
+
+  if (coupon.max_uses_per_customer) {
+    if (!customerKey) {
+      throw httpError(400, 'Debes indicar tu teléfono para usar este cupón', { field: 'customer.phone', code: 'COUPON_CUSTOMER_REQUIRED' });
+    }
+    const customerUsesResult = await db.query(
+      'SELECT COUNT(*)::int AS uses FROM coupon_redemptions WHERE coupon_id = $1 AND customer_key = $2',
+      [coupon.id, customerKey]
+    );
+    if (customerUsesResult.rows[0].uses >= coupon.max_uses_per_customer) {
+      throw httpError(400, 'Ya usaste este cupón el máximo de veces permitido', { field: 'coupon_code', code: 'COUPON_CUSTOMER_LIMIT' });
+    }
+  }
+
+  // Líneas a las que aplica el cupón (sin restricciones = todo el carrito)
+  const categoryIds = coupon.category_ids || [];
+  const productIds = coupon.product_ids || [];
+  const restricted = categoryIds.length > 0 || productIds.length > 0;
+  const eligibleLines = pricedOrder.lines.filter(line =>
+    !restricted || productIds.includes(line.product_id) || categoryIds.includes(line.category_id)
+  );
+
+  if (eligibleLines.length === 0) {
+    throw httpError(400, 'El cupón no aplica a los productos del carrito', { field: 'coupon_code', code: 'COUPON_NOT_APPLICABLE' });
+  }
+
+  const eligibleSubtotal = roundMoney(eligibleLines.reduce((sum, line) => sum + line.line_total, 0));
+  const discountValue = Number(coupon.discount_value) || 0;
+
+  let discount = coupon.discount_type === 'fixed'
+    ? discountValue
+    : eligibleSubtotal * Math.min(discountValue, 100) / 100;
+  discount = Math.min(roundMoney(discount), eligibleSubtotal);
+
+  const deliveryDiscount = coupon.free_delivery ? pricedOrder.delivery_fee : 0;
+
+  return {
+    coupon_id: coupon.id,
+    code: coupon.code,
+    discount_type: coupon.discount_type,
+    discount_value: discountValue,
+    free_delivery: coupon.free_delivery,
+    eligible_product_ids: [...new Set(eligibleLines.map(line => line.product_id))],
+    eligible_subtotal: eligibleSubtotal,
+    discount,
+    delivery_discount: deliveryDiscount,
+    total_discount: roundMoney(discount + deliveryDiscount)
+  };
+}
+
+/**
+ * Aplica un cupón a un pedido tarifado por priceCart y devuelve el pedido con los totales ajustados.
+ */
+async function applyCoupon(db, commerceId, pricedOrder, code, customer, { lock = false } = {}) {
+  const coupon = await findCoupon(db, commerceId, code, { lock });
+  const breakdown = await evaluateCoupon(db, coupon, pricedOrder, { customerKey: customerKeyFrom(customer) });
+
+  const deliveryFee = roundMoney(pricedOrder.delivery_fee - breakdown.delivery_discount);
+
+  return {
+    ...pricedOrder,
+    coupon: breakdown,
+    discount_total: breakdown.discount,
+    delivery_fee: deliveryFee,
+    total: roundMoney(pricedOrder.subtotal - breakdown.discount + deliveryFee)
+  };
+}
+
+/**
+ * Registra el uso de un cupón en un pedido. Debe llamarse dentro de la transacción del pedido.
+ */
+async function recordRedemption(client, order, pricedOrder, customer) {
+  if (!pricedOrder.coupon) return;
+
+  await client.query(
+    `INSERT INTO coupon_redemptions (coupon_id, order_id, customer_key, discount_amount, created_at)
+     VALUES ($1, $2, $3, $4, NOW())`,
+    [pricedOrder.coupon.coupon_id, order.id, customerKeyFrom(customer), pricedOrder.coupon.total_discount]
+  );
+}
+
+/**
+ * Devuelve el uso del cupón de un pedido rechazado o cancelado, así no cuenta para max_uses
+ * ni para max_uses_per_customer. Debe llamarse dentro de la transacción del cambio de estado.
+ */
+async function releaseRedemption(client, orderId) {
+  await client.query('DELETE FROM coupon_redemptions WHERE order_id = $1', [orderId]);
+}
+
+module.exports = {
+  COUPON_DISCOUNT_TYPES,
+  normalizeCode,
+  customerKeyFrom,
+  findCoupon,
+  evaluateCoupon,
+  applyCoupon,
+  recordRedemption,
+  releaseRedemption
+};
@@ -0,0 +1,202 @@
+// services/db.js
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+/**
+ * Conexión a PostgreSQL compartida por toda la API: un único pool para routers, middlewares
+ * y servicios, en lugar de uno por archivo (cada pool abre sus propias conexiones y todas
+ * cuentan para el límite del plan de Postgres).
+ *
+ * - DATABASE_POOL_MAX: conexiones máximas del pool (10 por defecto)
+ * - SLOW_QUERY_MS: las consultas que tardan más se registran con console.warn (500 por defecto)
+ *
+ * TLS (DATABASE_SSL):
+ * - 'verify' (por defecto): verifica el certificado del servidor contra la cadena de DATABASE_SSL_CA
+ *   (certs/DigiCertChain.pem si no se indica otra)
+ * - 'no-verify' (cifra sin verificar) y 'disable' (sin TLS) son solo para desarrollo local:
+ *   con NODE_ENV=production no se aceptan, y fuera de producción se avisan en el log
+ */
+
+const POOL_MAX = Number(process.env.DATABASE_POOL_MAX) || 10;
+const SLOW_QUERY_MS = Number(process.env.SLOW_QUERY_MS) || 500;
+
+const metrics = {
+  queries: 0,
+  slow_queries: 0,
+  query_errors: 0,
+  pool_errors: 0
+};
+
+const SSL_MODES = ['verify', 'no-verify', 'disable'];
+const DEFAULT_SSL_CA = path.join(__dirname, '..', 'certs', 'DigiCertChain.pem');
+
+// Parámetros TLS de la URL: pg les da prioridad sobre la opción ssl, así que se quitan y manda DATABASE_SSL
+const URL_SSL_PARAMS = ['ssl', 'sslmode', 'sslrootcert', 'sslcert', 'sslkey'];
+
+function sslConfig() {
+  const mode = (process.env.DATABASE_SSL || 'verify').toLowerCase();
+  if (!SSL_MODES.includes(mode)) {
+    throw new Error(`DATABASE_SSL inválido: ${mode} (usa ${SSL_MODES.join(', ')})`);
+  }
+
+  if (mode !== 'verify') {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(`DATABASE_SSL=${mode} no está permitido en producción`);
+    }
+    console.warn(mode === 'disable'
+      ? '⚠️ DATABASE_SSL=disable: conexión a PostgreSQL sin TLS (solo para desarrollo local)'
+      : '⚠️ DATABASE_SSL=no-verify: no se verifica el certificado de PostgreSQL (solo para desarrollo local)');
+    return mode === 'disable' ? false : { rejectUnauthorized: false };
+  }
+
+  const caPath = process.env.DATABASE_SSL_CA
+    ? path.resolve(process.env.DATABASE_SSL_CA)
+    : DEFAULT_SSL_CA;
+  let ca;
+  try {
+    ca = fs.readFileSync(caPath, 'utf8');
+  } catch (error) {
+    throw new Error(`No se pudo leer la cadena de certificados de PostgreSQL (${caPath}): ${error.message}`);
+  }
+  return { ca, rejectUnauthorized: true };
+}
+
+function connectionString() {
+  const raw = process.env.DATABASE_URL;
+  if (!raw) return raw;
+
+  try {
+    const url = new URL(raw);
+    if (!URL_SSL_PARAMS.some(param => url.searchParams.has(param))) return raw;
+    URL_SSL_PARAMS.forEach(param => url.searchParams.delete(param));
+    return url.toString();
+  } catch (error) {
+    return raw;
+  }
+}
+
+let config = null;
+
+/**
+ * Opciones de conexión (se calculan una sola vez). También las usa services/events.js
+ * para su conexión LISTEN, que no puede salir del pool porque queda abierta todo el tiempo.
+ */
+function connectionConfig() {
+  if (!config) {
+    config = {
+      connectionString: connectionString(),
+      ssl: sslConfig(),
+    };
+  }
+  return config;
+}
+
+const pool = new Pool({
+  ...connectionConfig(),
+  max: POOL_MAX,
+});
+
+// Un cliente inactivo que pierde la conexión emite 'error' en el pool; sin este handler se cae el proceso
+pool.on('error', (error) => {
+  metrics.pool_errors += 1;
+  console.error('❌ Error en una conexión inactiva de PostgreSQL:', error.message);
+});
+
+function logQuery(text, startedAt, failed) {
+  const duration = Date.now() - startedAt;
+  metrics.queries += 1;
+  if (failed) metrics.query_errors += 1;
+  if (duration >= SLOW_QUERY_MS) {
+    metrics.slow_queries += 1;
+    const sql = String(text || '').replace(/\s+/g, ' ').trim().slice(0, 300);
+    console.warn(`🐢 Consulta lenta (${duration} ms): ${sql}`);
+  }
+}
+
+/**
+ * Mide cada consulta de los clientes del pool (pool.query también pasa por client.query).
+ * Admite las dos formas de client.query: con callback (la que usa pool.query) y con promesa.
+ */
+function instrumentClient(client) {
+  const query = client.query;
+
+  client.query = function instrumentedQuery(config, values, callback) {
+    // Las consultas "submittable" (cursores, streams) se devuelven tal cual
+    if (config && typeof config.submit === 'function') {
+      return query.apply(client, arguments);
+    }
+
+    const text = typeof config === 'string' ? config : config && config.text;
+    const startedAt = Date.now();
+
+    const done = typeof values === 'function' ? values : callback;
+    if (typeof done === 'function') {
+      const timed = (error, result) => {
+        logQuery(text, startedAt, Boolean(error));
+        done(error, result);
+      };
+      return typeof values === 'function'
+        ? query.call(client, config, timed)
+        : query.call(client, config, values, timed);
+    }
+
+    const result = query.call(client, config, values);
+    result.then(
+      () => logQuery(text, startedAt, false),
+      () => logQuery(text, startedAt, true)
+    );
+    return result;
+  };
+}
+
+pool.on('connect', instrumentClient);
+
+/**
+ * Ejecuta fn(client) dentro de una transacción en un cliente dedicado del pool:
+ * BEGIN, COMMIT si fn termina bien, ROLLBACK si lanza, y siempre libera el cliente.
+ * Devuelve lo que devuelva fn; si fn lanza, se relanza ese mismo error.
+ * Si el ROLLBACK también falla, la conexión queda en un estado desconocido y se descarta
+ * (client.release(error)) en lugar de devolverla al pool.
+ */
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  let releaseError;
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      console.error('❌ Error en el ROLLBACK, se descarta la conexión:', rollbackError.message);
+      releaseError = rollbackError;
+    }
+    throw error;
+  } finally {
+    client.release(releaseError);
+  }
+}
+
+/**
+ * Estado del pool y contadores de consultas desde que arrancó el proceso.
+ */
+function poolStats() {
+  return {
+    max: POOL_MAX,
+    total: pool.totalCount,
+    idle: pool.idleCount,
+    waiting: pool.waitingCount,
+    slow_query_ms: SLOW_QUERY_MS,
+    ...metrics
+  };
+}
+
+module.exports = {
+  pool,
+  connectionConfig,
+  withTransaction,
+  poolStats
+};
@@ -0,0 +1,229 @@
+// services/deliveryZones.js
+const { roundMoney } = require('./pricing');
+
+/**
+ * Zonas de envío de un comercio.
+ *
+ * Cada zona tiene su propio costo de envío, pedido mínimo y tiempo estimado (eta_minutes) y puede ser:
+ * - 'polygon': geometry es un Polygon o MultiPolygon GeoJSON (coordenadas [longitud, latitud])
+ * - 'radius': un círculo de radius_km kilómetros alrededor de commerces.latitude/longitude
+ *
+ * Si un punto cae en varias zonas se usa la de menor costo de envío (con anillos de radio
+ * crecientes y más caros, gana el anillo interior). Si el comercio no tiene zonas activas
+ * se siguen usando los campos planos commerces.delivery_fee y commerces.min_order_value.
+ */
+
+const ZONE_TYPES = ['polygon', 'radius'];
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Normaliza unas coordenadas recibidas como { latitude, longitude } o { lat, lng }.
+ * Devuelve { latitude, longitude } o null si faltan o no son válidas.
+ */
+function locationFrom(source) {
+  if (!source) return null;
+
+  const rawLatitude = source.latitude !== undefined ? source.latitude : source.lat;
+  const rawLongitude = source.longitude !== undefined ? source.longitude : source.lng;
+  if (rawLatitude === undefined || rawLatitude === null || rawLatitude === '' ||
+      rawLongitude === undefined || rawLongitude === null || rawLongitude === '') {
+    return null;
+  }
+
+  const latitude = Number(rawLatitude);
+  const longitude = Number(rawLongitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+
+  return { latitude, longitude };
+}
+
+/**
+ * Valida un anillo GeoJSON: al menos 4 posiciones [lng, lat] y cerrado (primera = última).
+ */
+function isValidRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 4) return false;
+  const validPositions = ring.every(position =>
+    Array.isArray(position) && position.length >= 2 &&
+    Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+    Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90
+  );
+  if (!validPositions) return false;
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1];
+}
+
+/**
+ * Valida una geometría GeoJSON (Polygon, MultiPolygon o un Feature que los contenga)
+ * y la devuelve como array de polígonos (cada uno, array de anillos: exterior y huecos).
+ * Lanza Error si es inválida.
+ */
+function parseGeometry(raw) {
+  let value = raw;
+  if (typeof raw === 'string') {
+    try {
+      value = JSON.parse(raw);
+    } catch (error) {
+      throw new Error('geometry no es un JSON válido');
+    }
+  }
+
+  if (value && value.type === 'Feature') {
+    value = value.geometry;
+  }
+
+  if (!value || typeof value !== 'object') {
+    throw new Error('Debes indicar la geometría de la zona (Polygon o MultiPolygon GeoJSON)');
+  }
+
+  let polygons;
+  if (value.type === 'Polygon') {
+    polygons = [value.coordinates];
+  } else if (value.type === 'MultiPolygon') {
+    polygons = value.coordinates;
+  } else {
+    throw new Error('Tipo de geometría no soportado (usa Polygon o MultiPolygon)');
+  }
+
+  if (!Array.isArray(polygons) || polygons.length === 0 ||
+      polygons.some(rings => !Array.isArray(rings) || rings.length === 0 || !rings.every(isValidRing))) {
+    throw new Error('Coordenadas inválidas: cada anillo necesita al menos 4 posiciones [longitud, latitud] y debe estar cerrado');
+  }
+
+  return polygons;
+}
+
+/**
+ * Distancia en kilómetros entre dos puntos { latitude, longitude } (fórmula de haversine).
+ */
+function distanceKm(a, b) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const deltaLatitude = toRadians(b.latitude - a.latitude);
+  const deltaLongitude = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(deltaLatitude / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(deltaLongitude / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Ray casting: indica si el punto está dentro de un anillo [[lng, lat], ...].
+ */
+function isInsideRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > point.latitude) !== (yj > point.latitude) &&
+      point.longitude < (xj - xi) * (point.latitude - yi) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Indica si una zona cubre un punto. origin son las coordenadas del local (para las zonas por radio).
+ */
+function zoneContains(zone, point, origin) {
+  if (zone.zone_type === 'radius') {
+    if (!origin) return false;
+    return distanceKm(origin, point) <= Number(zone.radius_km);
+  }
+
+  let polygons;
+  try {
+    polygons = parseGeometry(zone.geometry);
+  } catch (error) {
+    // Una geometría mal guardada no cubre ningún punto
+    return false;
+  }
+
+  return polygons.some(([outer, ...holes]) =>
+    isInsideRing(point, outer) && !holes.some(hole => isInsideRing(point, hole))
+  );
+}
+
+/**
+ * Carga las zonas de envío activas de un comercio.
+ */
+async function loadDeliveryZones(db, commerceId) {
+  const result = await db.query(
+    `SELECT id, name, zone_type, geometry, radius_km, delivery_fee, min_order_value, eta_minutes
+     FROM delivery_zones
+     WHERE commerce_id = $1 AND active = true
+     ORDER BY id`,
+    [commerceId]
+  );
+  return result.rows;
+}
+
+/**
+ * Resuelve las condiciones de envío para un punto.
+ * commerce debe incluir id, latitude, longitude, delivery_fee, min_order_value y delivery_time.
+ * Devuelve { available, reason, zone, delivery_fee, min_order_value, eta_minutes, delivery_time }:
+ * - sin zonas configuradas: disponible con los campos planos del comercio (zone = null)
+ * - con zonas: reason 'LOCATION_REQUIRED' si falta el punto u 'OUT_OF_ZONE' si ninguna lo cubre
+ */
+async function resolveDelivery(db, commerce, point) {
+  const zones = await loadDeliveryZones(db, commerce.id);
+
+  if (zones.length === 0) {
+    return {
+      available: true,
+      reason: null,
+      zone: null,
+      delivery_fee: roundMoney(commerce.delivery_fee),
+      min_order_value: roundMoney(commerce.min_order_value),
+      eta_minutes: null,
+      delivery_time: commerce.delivery_time || null
+    };
+  }
+
+  const unavailable = reason => ({
+    available: false,
+    reason,
+    zone: null,
+    delivery_fee: null,
+    min_order_value: null,
+    eta_minutes: null,
+    delivery_time: null
+  });
+
+  if (!point) {
+    return unavailable('LOCATION_REQUIRED');
+  }
+
+  const origin = locationFrom(commerce);
+  const matching = zones.filter(zone => zoneContains(zone, point, origin));
+
+  if (matching.length === 0) {
+    return unavailable('OUT_OF_ZONE');
+  }
+
+  const zone = matching.reduce((best, candidate) =>
+    Number(candidate.delivery_fee) < Number(best.delivery_fee) ? candidate : best
+  );
+
+  return {
+    available: true,
+    reason: null,
+    zone: { id: zone.id, name: zone.name, zone_type: zone.zone_type },
+    delivery_fee: roundMoney(zone.delivery_fee),
+    min_order_value: roundMoney(zone.min_order_value),
+    eta_minutes: zone.eta_minutes,
+    delivery_time: zone.eta_minutes ? `${zone.eta_minutes} min` : commerce.delivery_time || null
+  };
+}
+
+module.exports = {
+  ZONE_TYPES,
+  locationFrom,
+  parseGeometry,
+  distanceKm,
+  zoneContains,
+  loadDeliveryZones,
+  resolveDelivery
+};
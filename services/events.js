@@ -0,0 +1,208 @@
+// services/events.js
+const { Client } = require('pg');
+const { connectionConfig } = require('./db');
+
+/**
+ * Eventos en tiempo real por comercio usando PostgreSQL LISTEN/NOTIFY.
+ *
+ * Cualquier instancia publica con pg_notify (dentro de la misma transacción que
+ * el cambio, así el evento solo sale si se hace COMMIT) y cada instancia mantiene
+ * una única conexión escuchando el canal, que reparte los eventos entre los
+ * clientes SSE conectados a ella. No hace falta ningún broker externo.
+ */
+
+const CHANNEL = 'commerce_events';
+
+const EVENT_TYPES = {
+  ORDER_CREATED: 'order.created',
+  ORDER_STATUS_CHANGED: 'order.status_changed',
+  PRODUCT_AVAILABILITY_CHANGED: 'product.availability_changed',
+  OPTION_ITEM_AVAILABILITY_CHANGED: 'option_item.availability_changed',
+  COMMERCE_OPEN_CHANGED: 'commerce.is_open_changed'
+};
+
+// Eventos que también pueden recibir los clientes de la carta pública
+const PUBLIC_EVENT_TYPES = [
+  EVENT_TYPES.ORDER_STATUS_CHANGED,
+  EVENT_TYPES.PRODUCT_AVAILABILITY_CHANGED,
+  EVENT_TYPES.OPTION_ITEM_AVAILABILITY_CHANGED,
+  EVENT_TYPES.COMMERCE_OPEN_CHANGED
+];
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const ACCESS_CHECK_INTERVAL_MS = 60 * 1000;
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+// commerceId -> Set de handlers
+const subscribers = new Map();
+
+let listener = null;
+let connecting = null;
+
+/**
+ * Publica un evento para un comercio.
+ * db puede ser el pool o un cliente en transacción.
+ */
+async function publishEvent(db, commerceId, type, data = {}) {
+  const payload = JSON.stringify({ commerceId: Number(commerceId), type, data });
+  await db.query('SELECT pg_notify($1, $2)', [CHANNEL, payload]);
+}
+
+/**
+ * Publica un evento sin interrumpir la operación si falla.
+ * Útil después de un COMMIT, cuando la respuesta al usuario ya no depende del evento.
+ */
+function publishEventSafe(db, commerceId, type, data) {
+  return publishEvent(db, commerceId, type, data).catch(error => {
+    console.error(`⚠️ Error publicando evento ${type}:`, error);
+  });
+}
+
+function dispatch(message) {
+  let event;
+  try {
+    event = JSON.parse(message.payload);
+  } catch (error) {
+    console.error('⚠️ Evento con formato inválido:', message.payload);
+    return;
+  }
+
+  const handlers = subscribers.get(event.commerceId);
+  if (!handlers) return;
+
+  for (const handler of handlers) {
+    try {
+      handler(event);
+    } catch (error) {
+      console.error('⚠️ Error entregando evento:', error);
+    }
+  }
+}
+
+function scheduleReconnect() {
+  listener = null;
+  if (subscribers.size === 0) return;
+  setTimeout(() => {
+    ensureListener().catch(() => scheduleReconnect());
+  }, RECONNECT_DELAY_MS);
+}
+
+/**
+ * Abre (una sola vez por proceso) la conexión que escucha el canal de eventos.
+ */
+async function ensureListener() {
+  if (listener) return listener;
+  if (connecting) return connecting;
+
+  connecting = (async () => {
+    const client = new Client(connectionConfig());
+
+    client.on('notification', dispatch);
+    client.on('error', error => {
+      console.error('❌ Error en la conexión de eventos:', error);
+      client.end().catch(() => {});
+    });
+    client.on('end', () => {
+      if (listener === client) scheduleReconnect();
+    });
+
+    await client.connect();
+    await client.query(`LISTEN ${CHANNEL}`);
+    console.log('✅ Escuchando eventos en tiempo real');
+
+    listener = client;
+    return client;
+  })();
+
+  try {
+    return await connecting;
+  } catch (error) {
+    console.error('❌ No se pudo iniciar la escucha de eventos:', error);
+    throw error;
+  } finally {
+    connecting = null;
+  }
+}
+
+/**
+ * Suscribe un handler a los eventos de un comercio. Devuelve la función para desuscribirse.
+ */
+function subscribe(commerceId, handler) {
+  const key = Number(commerceId);
+  if (!subscribers.has(key)) subscribers.set(key, new Set());
+  subscribers.get(key).add(handler);
+
+  ensureListener().catch(() => scheduleReconnect());
+
+  return () => {
+    const handlers = subscribers.get(key);
+    if (!handlers) return;
+    handlers.delete(handler);
+    if (handlers.size === 0) subscribers.delete(key);
+  };
+}
+
+/**
+ * Convierte la respuesta en un stream Server-Sent Events para un comercio.
+ * filter(event) decide qué eventos se envían a este cliente.
+ * checkAccess() (opcional) se repite cada ACCESS_CHECK_INTERVAL_MS mientras el stream sigue abierto:
+ * si devuelve un código (por ejemplo SESSION_REVOKED) se envía un evento stream.closed con ese
+ * código y se cierra la conexión, así una sesión cerrada deja de recibir eventos.
+ */
+function openEventStream(req, res, commerceId, filter = () => true, { checkAccess = null } = {}) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribe(commerceId, event => {
+    if (!filter(event)) return;
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  });
+
+  // Comentario periódico para que proxies (y el router de Heroku) no cierren la conexión
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  let accessCheck = null;
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearInterval(accessCheck);
+    unsubscribe();
+  };
+
+  if (checkAccess) {
+    accessCheck = setInterval(async () => {
+      let code;
+      try {
+        code = await checkAccess();
+      } catch (error) {
+        // Un fallo de la base no corta el stream: se vuelve a comprobar en la próxima vuelta
+        console.error('⚠️ Error verificando el acceso al stream de eventos:', error);
+        return;
+      }
+      if (!code || closed) return;
+
+      res.write(`event: stream.closed\ndata: ${JSON.stringify({ code })}\n\n`);
+      close();
+      res.end();
+    }, ACCESS_CHECK_INTERVAL_MS);
+  }
+
+  req.on('close', close);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  PUBLIC_EVENT_TYPES,
+  publishEvent,
+  publishEventSafe,
+  subscribe,
+  openEventStream
+};
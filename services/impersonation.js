@@ -0,0 +1,151 @@
+// services/impersonation.js
+const jwt = require('jsonwebtoken');
+const httpError = require('../utils/httpError');
+const { ROLES } = require('./permissions');
+
+/**
+ * Suplantación de comercios (soporte).
+ *
+ * Un SUPERUSER puede pedir un token de vida corta que actúa como el OWNER de un comercio.
+ * El token lleva impersonated: true, el id de la suplantación y el del SUPERUSER, no tiene
+ * refresh token y queda ligado a la sesión del SUPERUSER: si esa sesión se cierra, la
+ * suplantación deja de valer. Cada petición hecha con el token se guarda en impersonation_requests.
+ */
+
+const IMPERSONATION_TTL_MINUTES = Number(process.env.IMPERSONATION_TTL_MINUTES) || 30;
+
+/**
+ * Inicia la suplantación del OWNER de un comercio. superuser es req.user del SUPERUSER.
+ * Devuelve { token, impersonation_id, expires_at, commerce_id, owner }.
+ */
+async function startImpersonation(db, superuser, commerceId, { reason = null } = {}, req) {
+  const ownerResult = await db.query(
+    `SELECT u.id, u.email, u.first_name, u.last_name
+     FROM commerce_memberships m
+     JOIN users u ON u.id = m.user_id
+     WHERE m.commerce_id = $1 AND m.role = 'OWNER'
+     ORDER BY m.created_at
+     LIMIT 1`,
+    [commerceId]
+  );
+
+  if (ownerResult.rows.length === 0) {
+    const commerceResult = await db.query('SELECT id FROM commerces WHERE id = $1', [commerceId]);
+    if (commerceResult.rows.length === 0) {
+      throw httpError(404, 'Comercio no encontrado');
+    }
+    throw httpError(409, 'El comercio no tiene un OWNER que suplantar');
+  }
+
+  const owner = ownerResult.rows[0];
+  const result = await db.query(
+    `INSERT INTO impersonations (
+       superuser_id, session_id, commerce_id, owner_user_id, reason, ip_address, user_agent, created_at, expires_at
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW() + make_interval(mins => $8))
+     RETURNING id, expires_at`,
+    [
+      superuser.userId,
+      superuser.sid || null,
+      commerceId,
+      owner.id,
+      reason ? String(reason).slice(0, 255) : null,
+      String(req.ip || '').slice(0, 64) || null,
+      String(req.headers['user-agent'] || '').slice(0, 255) || null,
+      IMPERSONATION_TTL_MINUTES
+    ]
+  );
+  const impersonation = result.rows[0];
+
+  const token = jwt.sign(
+    {
+      userId: owner.id,
+      role: ROLES.OWNER,
+      commerceId,
+      impersonated: true,
+      impersonationId: impersonation.id,
+      impersonatorId: superuser.userId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: IMPERSONATION_TTL_MINUTES * 60 }
+  );
+
+  return {
+    token,
+    impersonation_id: impersonation.id,
+    expires_at: impersonation.expires_at,
+    commerce_id: commerceId,
+    owner
+  };
+}
+
+/**
+ * Comprueba que la suplantación de un JWT siga vigente.
+ * Devuelve null si es válida o el código del motivo de rechazo.
+ */
+async function checkImpersonation(db, decoded) {
+  const result = await db.query(
+    `SELECT i.ended_at, i.expires_at, su.role AS superuser_role,
+            s.revoked_at AS session_revoked_at, m.role AS membership_role
+     FROM impersonations i
+     JOIN users su ON su.id = i.superuser_id
+     LEFT JOIN user_sessions s ON s.id = i.session_id
+     LEFT JOIN commerce_memberships m ON m.user_id = i.owner_user_id AND m.commerce_id = i.commerce_id
+     WHERE i.id = $1 AND i.superuser_id = $2 AND i.owner_user_id = $3 AND i.commerce_id = $4`,
+    [decoded.impersonationId, decoded.impersonatorId, decoded.userId, decoded.commerceId]
+  );
+
+  if (result.rows.length === 0) return 'IMPERSONATION_ENDED';
+
+  const impersonation = result.rows[0];
+  if (impersonation.ended_at || new Date(impersonation.expires_at) <= new Date()) return 'IMPERSONATION_ENDED';
+  if (impersonation.session_revoked_at) return 'IMPERSONATION_ENDED';
+  if (impersonation.superuser_role !== ROLES.SUPERUSER || impersonation.membership_role !== ROLES.OWNER) {
+    return 'USER_CHANGED';
+  }
+
+  return null;
+}
+
+/**
+ * Finaliza una suplantación. Devuelve true si seguía activa.
+ */
+async function endImpersonation(db, impersonationId) {
+  const result = await db.query(
+    'UPDATE impersonations SET ended_at = NOW() WHERE id = $1 AND ended_at IS NULL RETURNING id',
+    [impersonationId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Registra una petición hecha con un token de suplantación cuando termina la respuesta.
+ * No guarda el body (puede contener contraseñas); los errores solo se loguean.
+ */
+function recordImpersonatedRequest(db, req, res) {
+  const startedAt = Date.now();
+
+  res.on('finish', () => {
+    db.query(
+      `INSERT INTO impersonation_requests (impersonation_id, method, path, status_code, duration_ms, ip_address, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+      [
+        req.user.impersonationId,
+        req.method,
+        String(req.originalUrl || req.url).slice(0, 500),
+        res.statusCode,
+        Date.now() - startedAt,
+        String(req.ip || '').slice(0, 64) || null
+      ]
+    ).catch(error => {
+      console.error('Error registrando petición suplantada:', error);
+    });
+  });
+}
+
+module.exports = {
+  startImpersonation,
+  checkImpersonation,
+  endImpersonation,
+  recordImpersonatedRequest
+};
@@ -0,0 +1,230 @@
+// services/loginThrottle.js
+
+/**
+ * Protección contra fuerza bruta en la autenticación.
+ *
+ * Los contadores viven en PostgreSQL para que sobrevivan a reinicios y se compartan entre instancias:
+ * - auth_failures: contraseñas incorrectas por IP ("ip:<ip>") y por cuenta ("account:<email>").
+ *   A partir de delayAfter fallos se exige una espera creciente entre intentos y al llegar a
+ *   lockAfter se bloquea la clave durante lockMinutes. Los fallos caducan tras windowMinutes.
+ * - rate_limits: peticiones por ventana fija a los endpoints públicos de auth (ver rateLimitMiddleware).
+ * Cada email, IP y ruta crea su propia fila: startThrottlePruning borra periódicamente las ya vencidas.
+ *
+ * Todo rechazo se responde con sendTooManyRequests: 429, header Retry-After y { error, code, retry_after }.
+ */
+
+const FAILURE_POLICIES = {
+  account: {
+    delayAfter: Number(process.env.LOGIN_ACCOUNT_DELAY_AFTER) || 3,
+    lockAfter: Number(process.env.LOGIN_ACCOUNT_LOCK_AFTER) || 10,
+    lockMinutes: Number(process.env.LOGIN_ACCOUNT_LOCK_MINUTES) || 15,
+    windowMinutes: 60
+  },
+  ip: {
+    delayAfter: Number(process.env.LOGIN_IP_DELAY_AFTER) || 10,
+    lockAfter: Number(process.env.LOGIN_IP_LOCK_AFTER) || 50,
+    lockMinutes: Number(process.env.LOGIN_IP_LOCK_MINUTES) || 15,
+    windowMinutes: 60
+  }
+};
+
+// Las filas sin actividad en este tiempo ya no influyen (todas las ventanas y bloqueos son más cortos)
+const PRUNE_AFTER_HOURS = 24;
+const PRUNE_INTERVAL_MINUTES = 60;
+
+// Espera progresiva: 1s, 2s, 4s... hasta MAX_DELAY_SECONDS
+const BASE_DELAY_SECONDS = 1;
+const MAX_DELAY_SECONDS = 60;
+
+const THROTTLE_CODES = {
+  RATE_LIMITED: 'RATE_LIMITED',
+  TOO_MANY_ATTEMPTS: 'TOO_MANY_ATTEMPTS',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED'
+};
+
+const THROTTLE_MESSAGES = {
+  RATE_LIMITED: 'Demasiadas peticiones, intenta de nuevo más tarde',
+  TOO_MANY_ATTEMPTS: 'Demasiados intentos fallidos, espera antes de volver a intentar',
+  ACCOUNT_LOCKED: 'La cuenta está bloqueada temporalmente por intentos fallidos. Revisa tu email para desbloquearla'
+};
+
+/**
+ * Claves de fallos para una petición de autenticación: [{ key, policy }].
+ * email puede faltar (solo se cuenta la IP).
+ */
+function failureKeys(req, email) {
+  const keys = [{ key: `ip:${req.ip || 'unknown'}`, policy: 'ip' }];
+  if (email) {
+    keys.push({ key: `account:${String(email).trim().toLowerCase()}`, policy: 'account' });
+  }
+  return keys;
+}
+
+function progressiveDelaySeconds(failures, policy) {
+  if (failures < policy.delayAfter) return 0;
+  return Math.min(BASE_DELAY_SECONDS * 2 ** (failures - policy.delayAfter), MAX_DELAY_SECONDS);
+}
+
+/**
+ * Comprueba si se permite un nuevo intento para las claves dadas.
+ * Devuelve null o { code, retryAfter } (segundos) con la espera más larga.
+ */
+async function checkAttempt(db, keys) {
+  const result = await db.query(
+    'SELECT key, failures, last_failed_at, locked_until FROM auth_failures WHERE key = ANY($1)',
+    [keys.map(k => k.key)]
+  );
+
+  const now = Date.now();
+  let blocked = null;
+
+  for (const row of result.rows) {
+    const { policy: policyName } = keys.find(k => k.key === row.key);
+    const policy = FAILURE_POLICIES[policyName];
+    let candidate = null;
+
+    if (row.locked_until && new Date(row.locked_until).getTime() > now) {
+      candidate = {
+        code: policyName === 'account' ? THROTTLE_CODES.ACCOUNT_LOCKED : THROTTLE_CODES.TOO_MANY_ATTEMPTS,
+        retryAfter: Math.ceil((new Date(row.locked_until).getTime() - now) / 1000)
+      };
+    } else if (!row.locked_until && new Date(row.last_failed_at).getTime() > now - policy.windowMinutes * 60000) {
+      const nextAllowed = new Date(row.last_failed_at).getTime() + progressiveDelaySeconds(row.failures, policy) * 1000;
+      if (nextAllowed > now) {
+        candidate = { code: THROTTLE_CODES.TOO_MANY_ATTEMPTS, retryAfter: Math.ceil((nextAllowed - now) / 1000) };
+      }
+    }
+
+    if (candidate && (!blocked || candidate.retryAfter > blocked.retryAfter)) {
+      blocked = candidate;
+    }
+  }
+
+  return blocked;
+}
+
+/**
+ * Registra un intento fallido en cada clave.
+ * Devuelve las claves que quedaron bloqueadas con este fallo (para avisar al titular de la cuenta).
+ */
+async function recordFailure(db, keys) {
+  const locked = [];
+
+  for (const { key, policy: policyName } of keys) {
+    const policy = FAILURE_POLICIES[policyName];
+
+    // Los fallos viejos o de un bloqueo ya cumplido no cuentan
+    const result = await db.query(
+      `INSERT INTO auth_failures (key, failures, first_failed_at, last_failed_at)
+       VALUES ($1, 1, NOW(), NOW())
+       ON CONFLICT (key) DO UPDATE SET
+         failures = CASE
+           WHEN auth_failures.last_failed_at <= NOW() - make_interval(mins => $2) OR auth_failures.locked_until <= NOW()
+           THEN 1 ELSE auth_failures.failures + 1 END,
+         first_failed_at = CASE
+           WHEN auth_failures.last_failed_at <= NOW() - make_interval(mins => $2) OR auth_failures.locked_until <= NOW()
+           THEN NOW() ELSE auth_failures.first_failed_at END,
+         locked_until = CASE WHEN auth_failures.locked_until > NOW() THEN auth_failures.locked_until END,
+         last_failed_at = NOW()
+       RETURNING failures, locked_until`,
+      [key, policy.windowMinutes]
+    );
+
+    const { failures, locked_until } = result.rows[0];
+    if (failures >= policy.lockAfter && !locked_until) {
+      await db.query(
+        'UPDATE auth_failures SET locked_until = NOW() + make_interval(mins => $2) WHERE key = $1',
+        [key, policy.lockMinutes]
+      );
+      locked.push({ key, policy: policyName });
+    }
+  }
+
+  return locked;
+}
+
+/**
+ * Borra los fallos y el bloqueo de una cuenta (login correcto, desbloqueo o cambio de contraseña).
+ */
+async function clearAccountFailures(db, email) {
+  await db.query('DELETE FROM auth_failures WHERE key = $1', [`account:${String(email).trim().toLowerCase()}`]);
+}
+
+/**
+ * Suma una petición a la ventana fija de una clave.
+ * Devuelve null si está dentro del límite o { code, retryAfter } si lo supera.
+ */
+async function hitRateLimit(db, key, max, windowSeconds) {
+  const result = await db.query(
+    `INSERT INTO rate_limits (key, hits, window_started_at)
+     VALUES ($1, 1, NOW())
+     ON CONFLICT (key) DO UPDATE SET
+       hits = CASE WHEN rate_limits.window_started_at <= NOW() - make_interval(secs => $2)
+         THEN 1 ELSE rate_limits.hits + 1 END,
+       window_started_at = CASE WHEN rate_limits.window_started_at <= NOW() - make_interval(secs => $2)
+         THEN NOW() ELSE rate_limits.window_started_at END
+     RETURNING hits, window_started_at`,
+    [key, windowSeconds]
+  );
+
+  const { hits, window_started_at } = result.rows[0];
+  if (hits <= max) return null;
+
+  const windowEnds = new Date(window_started_at).getTime() + windowSeconds * 1000;
+  return { code: THROTTLE_CODES.RATE_LIMITED, retryAfter: Math.max(1, Math.ceil((windowEnds - Date.now()) / 1000)) };
+}
+
+/**
+ * Borra los fallos y las ventanas de rate limit vencidos (los bloqueos vigentes se conservan).
+ * Devuelve la cantidad de filas borradas de cada tabla.
+ */
+async function pruneExpired(db) {
+  const failures = await db.query(
+    `DELETE FROM auth_failures
+     WHERE last_failed_at < NOW() - make_interval(hours => $1)
+       AND (locked_until IS NULL OR locked_until < NOW())`,
+    [PRUNE_AFTER_HOURS]
+  );
+  const rateLimits = await db.query(
+    'DELETE FROM rate_limits WHERE window_started_at < NOW() - make_interval(hours => $1)',
+    [PRUNE_AFTER_HOURS]
+  );
+  return { auth_failures: failures.rowCount, rate_limits: rateLimits.rowCount };
+}
+
+/**
+ * Programa la limpieza periódica de auth_failures y rate_limits.
+ */
+function startThrottlePruning(db) {
+  const run = () => pruneExpired(db)
+    .then(pruned => {
+      if (pruned.auth_failures > 0 || pruned.rate_limits > 0) {
+        console.log('🧹 Contadores de autenticación vencidos borrados:', pruned);
+      }
+    })
+    .catch(error => console.error('⚠️ Error al limpiar los contadores de autenticación:', error));
+
+  const timer = setInterval(run, PRUNE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Respuesta 429 común a todos los límites de autenticación.
+ */
+function sendTooManyRequests(res, { code, retryAfter }) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: THROTTLE_MESSAGES[code], code, retry_after: retryAfter });
+}
+
+module.exports = {
+  THROTTLE_CODES,
+  failureKeys,
+  checkAttempt,
+  recordFailure,
+  clearAccountFailures,
+  hitRateLimit,
+  pruneExpired,
+  startThrottlePruning,
+  sendTooManyRequests
+};
@@ -0,0 +1,108 @@
+// services/mailer.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Envío de correos a través de un transporte intercambiable.
+ *
+ * Un transporte es un objeto con send({ to, subject, text, html }) que devuelve una promesa.
+ * MAIL_TRANSPORT elige la implementación:
+ * - 'smtp': SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ * - 'file': escribe cada correo como JSON en MAIL_OUTBOX_DIR (por defecto ./tmp/mail)
+ * - 'console' (por defecto fuera de producción): muestra el correo en la consola
+ */
+
+const MAIL_FROM = process.env.MAIL_FROM || 'MenuNube <no-reply@menunube.online>';
+
+function createSmtpTransport() {
+  // Se carga solo cuando se usa SMTP para no exigir la dependencia en desarrollo
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: message => transporter.sendMail({ from: MAIL_FROM, ...message })
+  };
+}
+
+function createFileTransport(directory = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'mail')) {
+  return {
+    name: 'file',
+    directory,
+    async send(message) {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      const filePath = path.join(directory, fileName);
+      await fs.promises.writeFile(filePath, JSON.stringify({ from: MAIL_FROM, ...message }, null, 2));
+      return { path: filePath };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`📧 Correo para ${message.to}: ${message.subject}\n${message.text}`);
+      return {};
+    }
+  };
+}
+
+let transport = null;
+
+/**
+ * Devuelve el transporte configurado (se crea una sola vez por proceso).
+ */
+function getTransport() {
+  if (transport) return transport;
+
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+  if (name === 'smtp') {
+    transport = createSmtpTransport();
+  } else if (name === 'file') {
+    transport = createFileTransport();
+  } else {
+    transport = createConsoleTransport();
+  }
+  return transport;
+}
+
+/**
+ * Reemplaza el transporte (útil para pruebas o para usar un proveedor propio).
+ */
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escapa un valor para incluirlo en el html de un correo (texto o valor de atributo).
+ * Todo dato que venga de usuarios (nombres de comercio, roles, etc.) debe pasar por aquí.
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Envía un correo: { to, subject, text, html }.
+ */
+async function sendMail(message) {
+  return getTransport().send(message);
+}
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  getTransport,
+  setTransport,
+  escapeHtml,
+  sendMail
+};
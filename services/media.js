@@ -0,0 +1,88 @@
+// services/media.js
+const cloudinary = require('cloudinary').v2;
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+/**
+ * Imágenes de Cloudinary que ya no usa ninguna fila.
+ * Quien borra filas con imágenes las encola con queueMediaCleanup dentro de su transacción
+ * (si se revierte, no se encola nada) y processMediaQueue las elimina más tarde.
+ */
+
+const MAX_ATTEMPTS = 5;
+
+/**
+ * public_id de Cloudinary a partir de la URL de una imagen subida
+ * (lo que va después de 'upload/v{number}/', sin extensión). null si no es una URL de Cloudinary.
+ */
+function cloudinaryPublicId(imageUrl) {
+  const urlParts = String(imageUrl || '').split('/');
+  const uploadIndex = urlParts.findIndex(part => part === 'upload');
+  if (uploadIndex === -1 || urlParts.length <= uploadIndex + 2) return null;
+
+  const publicIdWithExt = urlParts.slice(uploadIndex + 2).join('/');
+  const dot = publicIdWithExt.lastIndexOf('.');
+  return dot === -1 ? publicIdWithExt : publicIdWithExt.substring(0, dot);
+}
+
+/**
+ * Encola imágenes para borrar. Ignora valores vacíos y URLs que no son de Cloudinary.
+ * Devuelve la cantidad encolada.
+ */
+async function queueMediaCleanup(db, urls, reason) {
+  const pending = [...new Set(urls.filter(url => cloudinaryPublicId(url)))];
+  if (pending.length === 0) return 0;
+
+  await db.query(
+    `INSERT INTO media_cleanup_queue (url, reason, created_at)
+     SELECT url, $2, NOW() FROM unnest($1::text[]) AS url`,
+    [pending, reason]
+  );
+  return pending.length;
+}
+
+/**
+ * Borra de Cloudinary las imágenes pendientes (como máximo limit por pasada).
+ * Las que fallan se reintentan en la siguiente pasada hasta MAX_ATTEMPTS veces.
+ * Devuelve { deleted, failed }.
+ */
+async function processMediaQueue(db, { limit = 100 } = {}) {
+  const pending = await db.query(
+    `SELECT id, url FROM media_cleanup_queue
+     WHERE processed_at IS NULL AND attempts < $1
+     ORDER BY created_at
+     LIMIT $2`,
+    [MAX_ATTEMPTS, limit]
+  );
+
+  let deleted = 0;
+  let failed = 0;
+
+  for (const { id, url } of pending.rows) {
+    try {
+      // 'not found' también cuenta: la imagen ya no está
+      await cloudinary.uploader.destroy(cloudinaryPublicId(url));
+      await db.query('UPDATE media_cleanup_queue SET processed_at = NOW(), attempts = attempts + 1 WHERE id = $1', [id]);
+      deleted += 1;
+    } catch (error) {
+      console.error(`⚠️ Error al eliminar imagen de Cloudinary (${url}):`, error);
+      await db.query(
+        'UPDATE media_cleanup_queue SET attempts = attempts + 1, last_error = $2 WHERE id = $1',
+        [id, String(error.message || error).slice(0, 500)]
+      );
+      failed += 1;
+    }
+  }
+
+  return { deleted, failed };
+}
+
+module.exports = {
+  cloudinaryPublicId,
+  queueMediaCleanup,
+  processMediaQueue
+};
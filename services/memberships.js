@@ -0,0 +1,89 @@
+// services/memberships.js
+const { ROLES } = require('./permissions');
+
+/**
+ * Pertenencia de usuarios a comercios (commerce_memberships).
+ *
+ * Un usuario puede gestionar varios comercios con un rol distinto en cada uno. El token
+ * solo actúa sobre un comercio a la vez (el comercio activo de la sesión), y su rol es
+ * el de la membresía en ese comercio. SUPERUSER es un rol de plataforma y no usa membresías.
+ */
+
+/**
+ * Rol efectivo de un usuario en un comercio.
+ * userRole es users.role y membershipRole el rol en commerce_memberships (o null).
+ * Devuelve null si el usuario no tiene acceso a ese comercio.
+ */
+function effectiveRole(userRole, membershipRole, commerceId) {
+  if (userRole === ROLES.SUPERUSER) return ROLES.SUPERUSER;
+  if (commerceId === null || commerceId === undefined) return userRole;
+  return membershipRole || null;
+}
+
+/**
+ * Lista los comercios de un usuario con su rol en cada uno.
+ */
+async function listMemberships(db, userId) {
+  const result = await db.query(
+    `SELECT m.commerce_id, m.role, c.business_name, c.subdomain, c.logo_url, m.created_at
+     FROM commerce_memberships m
+     JOIN commerces c ON c.id = m.commerce_id
+     WHERE m.user_id = $1 AND c.deleted_at IS NULL
+     ORDER BY c.business_name`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Busca la membresía de un usuario en un comercio (null si no pertenece).
+ */
+async function findMembership(db, userId, commerceId) {
+  const result = await db.query(
+    `SELECT m.commerce_id, m.role FROM commerce_memberships m
+     JOIN commerces c ON c.id = m.commerce_id
+     WHERE m.user_id = $1 AND m.commerce_id = $2 AND c.deleted_at IS NULL`,
+    [userId, commerceId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Agrega (o actualiza el rol de) un usuario en un comercio.
+ */
+async function addMembership(db, userId, commerceId, role) {
+  const result = await db.query(
+    `INSERT INTO commerce_memberships (user_id, commerce_id, role, created_at, updated_at)
+     VALUES ($1, $2, $3, NOW(), NOW())
+     ON CONFLICT (user_id, commerce_id) DO UPDATE SET role = EXCLUDED.role, updated_at = NOW()
+     RETURNING *`,
+    [userId, commerceId, role]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Contexto con el que inicia sesión un usuario: { id, role, commerce_id }.
+ * Se usa el comercio por defecto (users.commerce_id) si sigue siendo miembro, o el primero de sus comercios.
+ */
+async function resolveLoginContext(db, user) {
+  if (user.role === ROLES.SUPERUSER) {
+    return { id: user.id, role: ROLES.SUPERUSER, commerce_id: user.commerce_id || null };
+  }
+
+  const memberships = await listMemberships(db, user.id);
+  if (memberships.length === 0) {
+    return { id: user.id, role: user.role, commerce_id: null };
+  }
+
+  const membership = memberships.find(m => m.commerce_id === user.commerce_id) || memberships[0];
+  return { id: user.id, role: membership.role, commerce_id: membership.commerce_id };
+}
+
+module.exports = {
+  effectiveRole,
+  listMemberships,
+  findMembership,
+  addMembership,
+  resolveLoginContext
+};
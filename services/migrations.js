@@ -0,0 +1,272 @@
+// services/migrations.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Migraciones del esquema (carpeta migrations/).
+ *
+ * Cada archivo se llama NNN_nombre.sql o NNN_nombre.js y se aplica en orden de NNN:
+ * - .sql: secciones '-- migrate:up' y '-- migrate:down'
+ * - .js: exporta up(client) y down(client)
+ * Las aplicadas quedan en schema_migrations con el checksum del archivo; si después se edita
+ * una migración aplicada, migrate() falla en lugar de seguir con un esquema distinto al del repo.
+ * Cada migración corre en su propia transacción y todo el proceso bajo un advisory lock,
+ * así dos instancias que arrancan a la vez no aplican la misma migración dos veces.
+ * La migración base (BASELINE_VERSION) nunca se revierte: adopta tablas que en producción ya
+ * existían con datos, y su down las borraría aunque ella no las haya creado.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Clave del advisory lock de las migraciones (ver también PURGE_LOCK_KEY en services/trash.js)
+const MIGRATIONS_LOCK_KEY = 4271022;
+
+// 001_initial_schema: adopta con IF NOT EXISTS el esquema creado a mano en producción
+const BASELINE_VERSION = 1;
+
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(sql|js)$/;
+
+function checksum(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Separa un archivo .sql en { up, down } según los marcadores '-- migrate:up' y '-- migrate:down'.
+ */
+function parseSqlMigration(content, file) {
+  const upIndex = content.search(/^-- migrate:up\s*$/m);
+  const downIndex = content.search(/^-- migrate:down\s*$/m);
+  if (upIndex === -1) {
+    throw new Error(`La migración ${file} no tiene la sección '-- migrate:up'`);
+  }
+  if (downIndex !== -1 && downIndex < upIndex) {
+    throw new Error(`En la migración ${file} '-- migrate:down' debe ir después de '-- migrate:up'`);
+  }
+
+  const afterMarker = (index) => content.indexOf('\n', index) + 1;
+  const up = content.slice(afterMarker(upIndex), downIndex === -1 ? undefined : downIndex).trim();
+  const down = downIndex === -1 ? '' : content.slice(afterMarker(downIndex)).trim();
+  return { up, down };
+}
+
+/**
+ * Lee las migraciones de dir ordenadas por número.
+ * Devuelve [{ version, name, file, checksum, up(client), down(client) | null }].
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => !file.startsWith('.'))
+    .map(file => {
+      const match = file.match(FILE_PATTERN);
+      if (!match) {
+        throw new Error(`Nombre de migración inválido: ${file} (se espera NNN_nombre.sql o NNN_nombre.js)`);
+      }
+      const [, version, name, extension] = match;
+      const fullPath = path.join(dir, file);
+      const content = fs.readFileSync(fullPath, 'utf8');
+      const migration = { version, name, file, checksum: checksum(content) };
+
+      if (extension === 'sql') {
+        const { up, down } = parseSqlMigration(content, file);
+        migration.up = client => client.query(up);
+        migration.down = down ? client => client.query(down) : null;
+      } else {
+        const module = require(fullPath);
+        if (typeof module.up !== 'function') {
+          throw new Error(`La migración ${file} debe exportar up(client)`);
+        }
+        migration.up = client => module.up(client);
+        migration.down = typeof module.down === 'function' ? client => module.down(client) : null;
+      }
+      return migration;
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (Number(migrations[i].version) === Number(migrations[i - 1].version)) {
+      throw new Error(`Migraciones con el mismo número: ${migrations[i - 1].file} y ${migrations[i].file}`);
+    }
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      execution_ms INTEGER,
+      applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function getApplied(client) {
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations');
+  return new Map(result.rows.map(row => [Number(row.version), row]));
+}
+
+/**
+ * Ejecuta fn(client) con la tabla schema_migrations creada y el advisory lock tomado.
+ * Si otra instancia está migrando, espera a que termine (pg_advisory_lock bloquea).
+ */
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATIONS_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATIONS_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Migraciones aplicadas cuyo archivo cambió desde que se aplicaron.
+ */
+function findChanged(migrations, applied) {
+  return migrations.filter(migration => {
+    const row = applied.get(Number(migration.version));
+    return row && row.checksum !== migration.checksum;
+  });
+}
+
+/**
+ * Aplica las migraciones pendientes en orden. Falla sin aplicar nada si alguna migración
+ * aplicada cambió. Devuelve la lista de archivos aplicados.
+ */
+async function migrate(pool, { dir, log = console.log } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getApplied(client);
+
+    const changed = findChanged(migrations, applied);
+    if (changed.length > 0) {
+      throw new Error(
+        `Migraciones modificadas después de aplicarse: ${changed.map(m => m.file).join(', ')}. ` +
+        'Crea una migración nueva en lugar de editar una existente.'
+      );
+    }
+
+    const pending = migrations.filter(migration => !applied.has(Number(migration.version)));
+    for (const migration of pending) {
+      const startedAt = Date.now();
+      try {
+        await runInTransaction(client, async () => {
+          await migration.up(client);
+          await client.query(
+            `INSERT INTO schema_migrations (version, name, checksum, execution_ms, applied_at)
+             VALUES ($1, $2, $3, $4, NOW())`,
+            [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+          );
+        });
+      } catch (error) {
+        error.message = `Error en la migración ${migration.file}: ${error.message}`;
+        throw error;
+      }
+      log(`✅ Migración aplicada: ${migration.file} (${Date.now() - startedAt} ms)`);
+    }
+
+    return pending.map(migration => migration.file);
+  });
+}
+
+/**
+ * Revierte las últimas steps migraciones aplicadas (de la más nueva a la más vieja).
+ * Devuelve la lista de archivos revertidos.
+ */
+async function rollback(pool, { steps = 1, dir, log = console.log } = {}) {
+  const migrations = loadMigrations(dir);
+  const byVersion = new Map(migrations.map(migration => [Number(migration.version), migration]));
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getApplied(client);
+    const versions = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+    // Se comprueba antes de revertir nada, así no queda a medias
+    if (versions.includes(BASELINE_VERSION)) {
+      throw new Error('La migración base no se revierte: borraría tablas con datos que ya existían antes de ella');
+    }
+
+    const reverted = [];
+    for (const version of versions) {
+      const migration = byVersion.get(version);
+      const row = applied.get(version);
+      if (!migration) {
+        throw new Error(`No se encuentra el archivo de la migración aplicada ${row.version}_${row.name}`);
+      }
+      if (!migration.down) {
+        throw new Error(`La migración ${migration.file} no se puede revertir (no tiene down)`);
+      }
+      if (row.checksum !== migration.checksum) {
+        throw new Error(`La migración ${migration.file} cambió después de aplicarse; no se revierte`);
+      }
+
+      await runInTransaction(client, async () => {
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [row.version]);
+      });
+      log(`↩️ Migración revertida: ${migration.file}`);
+      reverted.push(migration.file);
+    }
+    return reverted;
+  });
+}
+
+/**
+ * Estado de cada migración: applied, pending, changed (aplicada y editada después)
+ * o missing (aplicada pero sin archivo).
+ */
+async function migrationStatus(pool, { dir } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getApplied(client);
+
+    const status = migrations.map(migration => {
+      const row = applied.get(Number(migration.version));
+      return {
+        version: migration.version,
+        name: migration.name,
+        file: migration.file,
+        status: !row ? 'pending' : row.checksum === migration.checksum ? 'applied' : 'changed',
+        applied_at: row ? row.applied_at : null
+      };
+    });
+
+    const known = new Set(migrations.map(migration => Number(migration.version)));
+    for (const [version, row] of applied) {
+      if (!known.has(version)) {
+        status.push({ version: row.version, name: row.name, file: null, status: 'missing', applied_at: row.applied_at });
+      }
+    }
+
+    return status.sort((a, b) => Number(a.version) - Number(b.version));
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  parseSqlMigration,
+  migrate,
+  rollback,
+  migrationStatus
+};
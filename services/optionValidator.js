@@ -0,0 +1,169 @@
+// services/optionValidator.js
+
+/**
+ * Validación de selecciones de opciones según las reglas de product_options:
+ * - required: la opción necesita al menos un ítem seleccionado
+ * - multiple = false: como máximo un ítem
+ * - max_selections: límite de ítems cuando multiple = true
+ * - option_items.available = false: el ítem no se puede elegir
+ * - etiquetas visibles con disable_selection: el ítem no se puede elegir
+ */
+
+/**
+ * Carga las opciones (con sus etiquetas e ítems con etiquetas visibles) de uno o varios productos del comercio.
+ * Devuelve un Map productId -> [opciones].
+ */
+async function loadProductOptions(db, commerceId, productIds) {
+  const query = `
+    SELECT po.id, po.product_id, po.name, po.required, po.multiple, po.max_selections,
+      COALESCE((
+        SELECT json_agg(json_build_object(
+          'id', t.id, 'discount', t.discount, 'discount_type', t.discount_type, 'priority', t.priority,
+          'valid_from', t.valid_from, 'valid_until', t.valid_until
+        ))
+        FROM tags t
+        JOIN option_tags ot ON t.id = ot.tag_id
+        WHERE ot.option_id = po.id AND t.visible = true
+      ), '[]'::json) AS tags,
+      COALESCE((
+        SELECT json_agg(
+          json_build_object(
+            'id', oi.id,
+            'name', oi.name,
+            'price_addition', oi.price_addition,
+            'available', oi.available,
+            'tags', COALESCE((
+              SELECT json_agg(json_build_object(
+                'id', t.id, 'discount', t.discount, 'discount_type', t.discount_type, 'priority', t.priority,
+                'valid_from', t.valid_from, 'valid_until', t.valid_until,
+                'disable_selection', t.disable_selection
+              ))
+              FROM tags t
+              JOIN item_tags it ON t.id = it.tag_id
+              WHERE it.item_id = oi.id AND t.visible = true
+            ), '[]'::json)
+          ) ORDER BY oi.id
+        )
+        FROM option_items oi
+        WHERE oi.option_id = po.id AND oi.deleted_at IS NULL
+      ), '[]'::json) AS items
+    FROM product_options po
+    JOIN products p ON po.product_id = p.id
+    WHERE po.product_id = ANY($1) AND p.commerce_id = $2 AND po.deleted_at IS NULL
+    ORDER BY po.id
+  `;
+  const result = await db.query(query, [productIds, commerceId]);
+
+  const optionsByProduct = new Map(productIds.map(id => [Number(id), []]));
+  for (const option of result.rows) {
+    optionsByProduct.get(option.product_id).push(option);
+  }
+  return optionsByProduct;
+}
+
+/**
+ * Comprueba una selección de ítems contra las opciones de un producto.
+ * Devuelve un array de errores por opción (vacío si la selección es válida):
+ *   { option_id, option_name, code, message, item_ids }
+ */
+function checkSelection(options, selectedItemIds) {
+  const errors = [];
+  const selected = new Set((selectedItemIds || []).map(Number));
+  const knownItemIds = new Set();
+
+  for (const option of options) {
+    const chosen = option.items.filter(item => selected.has(item.id));
+    option.items.forEach(item => knownItemIds.add(item.id));
+
+    const unavailable = chosen.filter(item => !item.available);
+    if (unavailable.length > 0) {
+      errors.push({
+        option_id: option.id,
+        option_name: option.name,
+        code: 'ITEM_UNAVAILABLE',
+        message: `Ítems no disponibles en "${option.name}"`,
+        item_ids: unavailable.map(item => item.id)
+      });
+    }
+
+    const disabled = chosen.filter(item => item.tags.some(tag => tag.disable_selection));
+    if (disabled.length > 0) {
+      errors.push({
+        option_id: option.id,
+        option_name: option.name,
+        code: 'ITEM_DISABLED',
+        message: `Ítems no seleccionables en "${option.name}"`,
+        item_ids: disabled.map(item => item.id)
+      });
+    }
+
+    if (option.required && chosen.length === 0) {
+      errors.push({
+        option_id: option.id,
+        option_name: option.name,
+        code: 'OPTION_REQUIRED',
+        message: `Debes elegir al menos una opción en "${option.name}"`,
+        item_ids: []
+      });
+    }
+
+    if (!option.multiple && chosen.length > 1) {
+      errors.push({
+        option_id: option.id,
+        option_name: option.name,
+        code: 'SINGLE_SELECTION',
+        message: `Solo puedes elegir una opción en "${option.name}"`,
+        item_ids: chosen.map(item => item.id)
+      });
+    }
+
+    if (option.multiple && option.max_selections && chosen.length > option.max_selections) {
+      errors.push({
+        option_id: option.id,
+        option_name: option.name,
+        code: 'MAX_SELECTIONS_EXCEEDED',
+        message: `Puedes elegir como máximo ${option.max_selections} opciones en "${option.name}"`,
+        item_ids: chosen.map(item => item.id)
+      });
+    }
+  }
+
+  const unknown = [...selected].filter(id => !knownItemIds.has(id));
+  if (unknown.length > 0) {
+    errors.push({
+      option_id: null,
+      option_name: null,
+      code: 'UNKNOWN_ITEM',
+      message: 'Algunos ítems no pertenecen a este producto',
+      item_ids: unknown
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Valida la selección de ítems para un producto concreto del comercio.
+ * Devuelve null si el producto no existe, o { valid, errors }.
+ */
+async function validateSelection(db, commerceId, productId, selectedItemIds) {
+  const productResult = await db.query(
+    'SELECT id FROM products WHERE id = $1 AND commerce_id = $2 AND deleted_at IS NULL',
+    [productId, commerceId]
+  );
+
+  if (productResult.rows.length === 0) {
+    return null;
+  }
+
+  const optionsByProduct = await loadProductOptions(db, commerceId, [Number(productId)]);
+  const errors = checkSelection(optionsByProduct.get(Number(productId)), selectedItemIds);
+
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  loadProductOptions,
+  checkSelection,
+  validateSelection
+};
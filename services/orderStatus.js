@@ -0,0 +1,128 @@
+// services/orderStatus.js
+const httpError = require('../utils/httpError');
+const { fieldError, validationError } = require('./validation');
+const { reserveStockForOrder, releaseStockForOrder } = require('./stock');
+const { releaseRedemption } = require('./coupons');
+
+/**
+ * Máquina de estados de los pedidos.
+ * received → accepted → preparing → ready → out_for_delivery → delivered
+ * Un pedido también puede terminar en rejected (solo desde received) o cancelled.
+ */
+const ORDER_STATUSES = [
+  'received',
+  'accepted',
+  'preparing',
+  'ready',
+  'out_for_delivery',
+  'delivered',
+  'rejected',
+  'cancelled'
+];
+
+const TRANSITIONS = {
+  received: ['accepted', 'rejected', 'cancelled'],
+  accepted: ['preparing', 'cancelled'],
+  preparing: ['ready', 'cancelled'],
+  ready: ['out_for_delivery', 'delivered', 'cancelled'],
+  out_for_delivery: ['delivered', 'cancelled'],
+  delivered: [],
+  rejected: [],
+  cancelled: []
+};
+
+// Estados que exigen indicar un motivo
+const STATUSES_REQUIRING_REASON = ['rejected', 'cancelled'];
+
+/**
+ * Indica si un pedido puede pasar a un nuevo estado.
+ * Los pedidos para retirar no pasan por out_for_delivery.
+ */
+function canTransition(order, nextStatus) {
+  const allowed = TRANSITIONS[order.status] || [];
+  if (!allowed.includes(nextStatus)) return false;
+  if (nextStatus === 'out_for_delivery' && order.fulfillment_type !== 'delivery') return false;
+  return true;
+}
+
+/**
+ * Registra un cambio de estado en el historial.
+ */
+async function recordStatusChange(client, orderId, fromStatus, toStatus, reason = null, userId = null) {
+  await client.query(
+    `INSERT INTO order_status_history (order_id, from_status, to_status, reason, changed_by, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())`,
+    [orderId, fromStatus, toStatus, reason, userId]
+  );
+}
+
+/**
+ * Cambia el estado de un pedido del comercio.
+ * Debe llamarse con un cliente dentro de una transacción; bloquea la fila del pedido
+ * para que dos tablets no puedan aplicar transiciones a la vez.
+ * Devuelve { previous, order, availabilityChanges } (productos agotados o repuestos por el stock).
+ */
+async function transitionOrder(client, commerceId, orderId, nextStatus, { reason = null, userId = null } = {}) {
+  if (!ORDER_STATUSES.includes(nextStatus)) {
+    throw validationError([
+      fieldError('status', 'body', 'INVALID_VALUE', `Estado de pedido inválido (${ORDER_STATUSES.join(', ')})`)
+    ]);
+  }
+
+  if (STATUSES_REQUIRING_REASON.includes(nextStatus) && !reason) {
+    throw validationError([
+      fieldError('reason', 'body', 'REQUIRED', 'Debes indicar un motivo para rechazar o cancelar el pedido')
+    ]);
+  }
+
+  const orderResult = await client.query(
+    'SELECT * FROM orders WHERE id = $1 AND commerce_id = $2 FOR UPDATE',
+    [orderId, commerceId]
+  );
+
+  if (orderResult.rows.length === 0) {
+    throw httpError(404, 'Pedido no encontrado');
+  }
+
+  const order = orderResult.rows[0];
+
+  if (!canTransition(order, nextStatus)) {
+    throw httpError(409, `No se puede pasar un pedido de "${order.status}" a "${nextStatus}"`, {
+      current_status: order.status,
+      allowed: (TRANSITIONS[order.status] || []).filter(status => canTransition(order, status))
+    });
+  }
+
+  const updateResult = await client.query(
+    `UPDATE orders
+     SET status = $1, status_reason = $2, status_changed_at = NOW(), updated_at = NOW()
+     WHERE id = $3
+     RETURNING *`,
+    [nextStatus, reason, orderId]
+  );
+
+  await recordStatusChange(client, orderId, order.status, nextStatus, reason, userId);
+
+  // El stock se descuenta al aceptar y se repone si un pedido aceptado se cancela
+  let availabilityChanges = [];
+  if (nextStatus === 'accepted') {
+    availabilityChanges = await reserveStockForOrder(client, order);
+  } else if (nextStatus === 'cancelled') {
+    availabilityChanges = await releaseStockForOrder(client, order);
+  }
+
+  // Un pedido que no se concreta no consume el cupón
+  if (nextStatus === 'rejected' || nextStatus === 'cancelled') {
+    await releaseRedemption(client, orderId);
+  }
+
+  return { previous: order, order: updateResult.rows[0], availabilityChanges };
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  recordStatusChange,
+  transitionOrder
+};
@@ -0,0 +1,319 @@
+// services/orders.js
+const crypto = require('crypto');
+const httpError = require('../utils/httpError');
+const { fieldError, validationError } = require('./validation');
+const { roundMoney, applyTagDiscount, discountRuleFor } = require('./pricing');
+const { loadProductOptions, checkSelection } = require('./optionValidator');
+const { recordStatusChange } = require('./orderStatus');
+const { getOpenState, getLocalParts, resolveTimezone } = require('./schedule');
+const { isAvailableAt } = require('./availability');
+const { isSoldOut } = require('./stock');
+const { resolveDelivery, locationFrom } = require('./deliveryZones');
+
+const FULFILLMENT_TYPES = ['delivery', 'pickup'];
+const MAX_QUANTITY_PER_LINE = 99;
+
+/**
+ * Valida la forma del carrito recibido desde la carta pública.
+ * Devuelve las líneas normalizadas: { product_id, quantity, option_item_ids, notes }
+ */
+function normalizeCart(body) {
+  const { items, fulfillment_type } = body || {};
+
+  if (!FULFILLMENT_TYPES.includes(fulfillment_type)) {
+    throw validationError([fieldError('fulfillment_type', 'body', 'INVALID_VALUE', 'Tipo de entrega inválido (delivery o pickup)')]);
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw validationError([fieldError('items', 'body', 'REQUIRED', 'El pedido debe contener al menos un producto')]);
+  }
+
+  return items.map((item, index) => {
+    const productId = Number(item && item.product_id);
+    const quantity = item && item.quantity === undefined ? 1 : Number(item && item.quantity);
+    const optionItemIds = (item && item.option_item_ids) || [];
+
+    if (!Number.isInteger(productId) || productId <= 0) {
+      throw validationError([
+        fieldError(`items[${index}].product_id`, 'body', 'INVALID_TYPE', `Producto inválido en la línea ${index + 1}`)
+      ]);
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY_PER_LINE) {
+      throw validationError([
+        fieldError(`items[${index}].quantity`, 'body', 'OUT_OF_RANGE', `Cantidad inválida en la línea ${index + 1} (de 1 a ${MAX_QUANTITY_PER_LINE})`)
+      ]);
+    }
+
+    if (!Array.isArray(optionItemIds) || optionItemIds.some(id => !Number.isInteger(Number(id)))) {
+      throw validationError([
+        fieldError(`items[${index}].option_item_ids`, 'body', 'INVALID_TYPE', `Opciones inválidas en la línea ${index + 1}`)
+      ]);
+    }
+
+    return {
+      product_id: productId,
+      quantity,
+      option_item_ids: [...new Set(optionItemIds.map(Number))],
+      notes: item.notes ? String(item.notes).slice(0, 500) : null
+    };
+  });
+}
+
+/**
+ * Carga los productos del carrito con sus etiquetas visibles.
+ * Solo se devuelven productos que pertenecen al comercio.
+ */
+async function loadProducts(db, commerceId, productIds) {
+  const query = `
+    SELECT p.id, p.name, p.price, p.category_id, p.availability, c.availability AS category_availability,
+      p.availability_status, p.sold_out_until, p.stock,
+      COALESCE((
+        SELECT json_agg(json_build_object(
+          'id', t.id, 'discount', t.discount, 'discount_type', t.discount_type, 'priority', t.priority,
+          'valid_from', t.valid_from, 'valid_until', t.valid_until
+        ))
+        FROM tags t
+        JOIN product_tags pt ON t.id = pt.tag_id
+        WHERE pt.product_id = p.id AND t.visible = true
+      ), '[]') AS tags
+    FROM products p
+    LEFT JOIN categories c ON p.category_id = c.id
+    WHERE p.id = ANY($1) AND p.commerce_id = $2 AND p.availability_status <> 'hidden' AND p.deleted_at IS NULL
+  `;
+  const result = await db.query(query, [productIds, commerceId]);
+  return new Map(result.rows.map(row => [row.id, row]));
+}
+
+/**
+ * Recalcula en el servidor el precio de un carrito.
+ * commerce debe incluir is_open, working_hours, timezone y discount_rule además de los datos de entrega
+ * (delivery_fee, min_order_value, delivery_time, latitude, longitude).
+ * En los envíos las coordenadas del cliente (body.customer.latitude/longitude) deciden la zona.
+ * Nunca se confía en los importes enviados por el cliente: se usan products.price,
+ * option_items.price_addition y los descuentos de las etiquetas visibles.
+ */
+async function priceCart(db, commerce, body, { checkout = true } = {}) {
+  const lines = normalizeCart(body);
+  const fulfillmentType = body.fulfillment_type;
+
+  // Estado efectivo: horario de atención + excepciones + override manual is_open
+  const openState = await getOpenState(db, commerce);
+  if (checkout && !openState.is_open_now) {
+    throw httpError(400, 'El comercio está cerrado en este momento', {
+      next_opening_at: openState.next_opening_at
+    });
+  }
+
+  if (fulfillmentType === 'delivery' && !commerce.accepts_delivery) {
+    throw validationError([
+      fieldError('fulfillment_type', 'body', 'INVALID_VALUE', 'El comercio no acepta pedidos con envío a domicilio')
+    ]);
+  }
+
+  if (fulfillmentType === 'pickup' && !commerce.accepts_pickup) {
+    throw validationError([
+      fieldError('fulfillment_type', 'body', 'INVALID_VALUE', 'El comercio no acepta pedidos para retirar')
+    ]);
+  }
+
+  // Condiciones de envío: la zona que cubre al cliente o, sin zonas, los campos planos del comercio
+  const location = locationFrom(body.customer);
+  let delivery = null;
+  if (fulfillmentType === 'delivery') {
+    delivery = await resolveDelivery(db, commerce, location);
+    if (delivery.reason === 'LOCATION_REQUIRED') {
+      throw httpError(400, 'Debes indicar la ubicación de entrega (latitude y longitude)', {
+        field: 'customer.latitude',
+        code: delivery.reason
+      });
+    }
+    if (delivery.reason === 'OUT_OF_ZONE') {
+      throw httpError(400, 'El comercio no realiza envíos a esa dirección', {
+        field: 'customer.latitude',
+        code: delivery.reason
+      });
+    }
+  }
+
+  const productIds = [...new Set(lines.map(line => line.product_id))];
+
+  const products = await loadProducts(db, commerce.id, productIds);
+  const optionsByProduct = await loadProductOptions(db, commerce.id, productIds);
+  const now = new Date();
+  const local = getLocalParts(now, resolveTimezone(commerce));
+  const pricingOptions = { rule: discountRuleFor(commerce), now };
+
+  // Unidades pedidas por producto (puede repetirse en varias líneas con distintas opciones)
+  const requestedQuantities = new Map();
+  for (const line of lines) {
+    requestedQuantities.set(line.product_id, (requestedQuantities.get(line.product_id) || 0) + line.quantity);
+  }
+
+  const pricedLines = lines.map((line, index) => {
+    const product = products.get(line.product_id);
+    if (!product) {
+      throw httpError(400, `El producto ${line.product_id} no existe en este comercio`, {
+        field: `items[${index}].product_id`
+      });
+    }
+
+    if (isSoldOut(product)) {
+      throw httpError(400, `${product.name} está agotado`, { field: `items[${index}].product_id` });
+    }
+
+    if (product.stock !== null && requestedQuantities.get(product.id) > product.stock) {
+      throw httpError(400, `Solo quedan ${product.stock} unidades de ${product.name}`, {
+        field: `items[${index}].quantity`
+      });
+    }
+
+    // Respetar las ventanas de disponibilidad del producto y de su categoría
+    if (!isAvailableAt(product.category_availability, local) || !isAvailableAt(product.availability, local)) {
+      throw httpError(400, `${product.name} no está disponible en este horario`, {
+        field: `items[${index}].product_id`
+      });
+    }
+
+    const productPrice = applyTagDiscount(product.price, product.tags, pricingOptions);
+
+    // Aplicar las reglas de product_options (required, multiple, max_selections, disponibilidad)
+    const productOptions = optionsByProduct.get(product.id);
+    const optionErrors = checkSelection(productOptions, line.option_item_ids);
+    if (optionErrors.length > 0) {
+      throw httpError(400, `Selección de opciones inválida para ${product.name}`, {
+        field: `items[${index}].option_item_ids`,
+        option_errors: optionErrors
+      });
+    }
+
+    const options = productOptions.flatMap(option =>
+      option.items
+        .filter(item => line.option_item_ids.includes(item.id))
+        .map(item => ({
+          option_id: option.id,
+          option_name: option.name,
+          item_id: item.id,
+          item_name: item.name,
+          price_addition: applyTagDiscount(item.price_addition, [...item.tags, ...option.tags], pricingOptions).final_price
+        }))
+    );
+
+    const optionsTotal = options.reduce((sum, option) => sum + option.price_addition, 0);
+    const unitPrice = roundMoney(productPrice.final_price + optionsTotal);
+
+    return {
+      product_id: product.id,
+      category_id: product.category_id,
+      product_name: product.name,
+      quantity: line.quantity,
+      base_price: productPrice.original_price,
+      unit_price: unitPrice,
+      line_total: roundMoney(unitPrice * line.quantity),
+      applied_tag_id: productPrice.applied_tag_id,
+      options,
+      notes: line.notes
+    };
+  });
+
+  const subtotal = roundMoney(pricedLines.reduce((sum, line) => sum + line.line_total, 0));
+  const minOrderValue = delivery ? delivery.min_order_value : roundMoney(commerce.min_order_value);
+
+  if (checkout && minOrderValue > 0 && subtotal < minOrderValue) {
+    throw httpError(400, `El pedido mínimo es de ${minOrderValue}`, {
+      subtotal,
+      min_order_value: minOrderValue
+    });
+  }
+
+  const deliveryFee = delivery ? delivery.delivery_fee : 0;
+
+  return {
+    fulfillment_type: fulfillmentType,
+    delivery_zone: delivery ? delivery.zone : null,
+    delivery_location: delivery ? location : null,
+    eta_minutes: delivery ? delivery.eta_minutes : null,
+    lines: pricedLines,
+    subtotal,
+    discount_total: 0,
+    delivery_fee: deliveryFee,
+    total: roundMoney(subtotal + deliveryFee)
+  };
+}
+
+/**
+ * Guarda un pedido ya calculado con priceCart.
+ * Debe llamarse con un cliente dentro de una transacción.
+ */
+async function insertOrder(client, commerceId, pricedOrder, customer = {}) {
+  const trackingCode = crypto.randomBytes(8).toString('hex');
+
+  const orderQuery = `
+    INSERT INTO orders (
+      commerce_id, tracking_code, status, fulfillment_type,
+      customer_name, customer_phone, customer_address, notes,
+      subtotal, delivery_fee, total, coupon_id, coupon_code, discount_total,
+      delivery_zone_id, customer_latitude, customer_longitude, created_at, updated_at
+    )
+    VALUES ($1, $2, 'received', $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW(), NOW())
+    RETURNING *
+  `;
+  const orderValues = [
+    commerceId,
+    trackingCode,
+    pricedOrder.fulfillment_type,
+    customer.name || null,
+    customer.phone || null,
+    customer.address || null,
+    customer.notes || null,
+    pricedOrder.subtotal,
+    pricedOrder.delivery_fee,
+    pricedOrder.total,
+    pricedOrder.coupon ? pricedOrder.coupon.coupon_id : null,
+    pricedOrder.coupon ? pricedOrder.coupon.code : null,
+    pricedOrder.discount_total || 0,
+    pricedOrder.delivery_zone ? pricedOrder.delivery_zone.id : null,
+    pricedOrder.delivery_location ? pricedOrder.delivery_location.latitude : null,
+    pricedOrder.delivery_location ? pricedOrder.delivery_location.longitude : null
+  ];
+  const orderResult = await client.query(orderQuery, orderValues);
+  const order = orderResult.rows[0];
+
+  await recordStatusChange(client, order.id, null, 'received');
+
+  const itemQuery = `
+    INSERT INTO order_items (
+      order_id, product_id, product_name, quantity, base_price,
+      unit_price, line_total, applied_tag_id, options, notes, created_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+    RETURNING *
+  `;
+
+  order.items = [];
+  for (const line of pricedOrder.lines) {
+    const itemResult = await client.query(itemQuery, [
+      order.id,
+      line.product_id,
+      line.product_name,
+      line.quantity,
+      line.base_price,
+      line.unit_price,
+      line.line_total,
+      line.applied_tag_id,
+      JSON.stringify(line.options),
+      line.notes
+    ]);
+    order.items.push(itemResult.rows[0]);
+  }
+
+  return order;
+}
+
+module.exports = {
+  FULFILLMENT_TYPES,
+  MAX_QUANTITY_PER_LINE,
+  normalizeCart,
+  priceCart,
+  insertOrder
+};
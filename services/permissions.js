@@ -0,0 +1,98 @@
+// services/permissions.js
+
+/**
+ * Modelo de permisos.
+ *
+ * Cada rol tiene un conjunto fijo de permisos. SUPERUSER administra la plataforma (todos los comercios);
+ * el resto de roles actúan sobre el comercio de su token (req.user.commerceId).
+ * Las rutas piden permisos con requirePermission (middlewares/permissionMiddleware.js) o hasPermission,
+ * nunca comparando el rol directamente.
+ */
+
+const PERMISSIONS = {
+  PLATFORM_ADMIN: 'platform.admin',           // crear, listar y eliminar comercios, ver datos confidenciales
+  COMMERCE_VIEW: 'commerce.view',
+  COMMERCE_EDIT: 'commerce.edit',             // perfil, horarios, zonas de envío, logo y banner
+  CATALOG_VIEW: 'catalog.view',
+  CATALOG_EDIT: 'catalog.edit',               // categorías, productos, precios, opciones y etiquetas
+  AVAILABILITY_MANAGE: 'availability.manage', // agotar / reponer productos e ítems de opciones
+  ORDERS_VIEW: 'orders.view',
+  ORDERS_MANAGE: 'orders.manage',             // cambiar el estado de los pedidos
+  COUPONS_MANAGE: 'coupons.manage',
+  STAFF_MANAGE: 'staff.manage',               // invitar, cambiar de rol y quitar personal
+  AUDIT_VIEW: 'audit.view'                    // historial de cambios del comercio
+};
+
+const ROLES = {
+  SUPERUSER: 'SUPERUSER',
+  OWNER: 'OWNER',
+  MANAGER: 'MANAGER',
+  CASHIER: 'CASHIER',
+  KITCHEN: 'KITCHEN'
+};
+
+// Roles que un OWNER puede asignar a su personal
+const STAFF_ROLES = [ROLES.MANAGER, ROLES.CASHIER, ROLES.KITCHEN];
+
+const ROLE_PERMISSIONS = {
+  [ROLES.SUPERUSER]: Object.values(PERMISSIONS),
+  [ROLES.OWNER]: Object.values(PERMISSIONS).filter(permission => permission !== PERMISSIONS.PLATFORM_ADMIN),
+  [ROLES.MANAGER]: [
+    PERMISSIONS.COMMERCE_VIEW,
+    PERMISSIONS.CATALOG_VIEW,
+    PERMISSIONS.CATALOG_EDIT,
+    PERMISSIONS.AVAILABILITY_MANAGE,
+    PERMISSIONS.ORDERS_VIEW,
+    PERMISSIONS.ORDERS_MANAGE,
+    PERMISSIONS.COUPONS_MANAGE
+  ],
+  [ROLES.CASHIER]: [
+    PERMISSIONS.COMMERCE_VIEW,
+    PERMISSIONS.CATALOG_VIEW,
+    PERMISSIONS.AVAILABILITY_MANAGE,
+    PERMISSIONS.ORDERS_VIEW,
+    PERMISSIONS.ORDERS_MANAGE
+  ],
+  [ROLES.KITCHEN]: [
+    PERMISSIONS.COMMERCE_VIEW,
+    PERMISSIONS.CATALOG_VIEW,
+    PERMISSIONS.AVAILABILITY_MANAGE,
+    PERMISSIONS.ORDERS_VIEW,
+    PERMISSIONS.ORDERS_MANAGE
+  ]
+};
+
+/**
+ * Permisos de un rol (vacío si el rol no existe).
+ */
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Indica si un usuario autenticado (req.user) tiene un permiso.
+ */
+function hasPermission(user, permission) {
+  return Boolean(user) && permissionsFor(user.role).includes(permission);
+}
+
+/**
+ * Política de acceso por comercio (tenant): el SUPERUSER actúa sobre cualquier comercio,
+ * el resto solo sobre el comercio activo de su token. El permiso concreto se pide aparte.
+ */
+function canAccessCommerce(user, commerceId) {
+  if (!user) return false;
+  if (hasPermission(user, PERMISSIONS.PLATFORM_ADMIN)) return true;
+  if (user.commerceId === null || user.commerceId === undefined) return false;
+  return Number(user.commerceId) === Number(commerceId);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  STAFF_ROLES,
+  ROLE_PERMISSIONS,
+  permissionsFor,
+  hasPermission,
+  canAccessCommerce
+};
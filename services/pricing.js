@@ -0,0 +1,114 @@
+// services/pricing.js
+
+/**
+ * Cálculo de precios finales a partir de las etiquetas con descuento.
+ *
+ * Cada etiqueta visible puede tener:
+ * - discount: valor del descuento
+ * - discount_type: 'percentage' (por defecto) o 'fixed' (importe a restar)
+ * - valid_from / valid_until: vigencia opcional del descuento
+ *
+ * Si varias etiquetas con descuento aplican al mismo precio, commerces.discount_rule decide:
+ * - 'priority' (por defecto): gana la etiqueta de mayor prioridad
+ * - 'best': gana la que deja el precio más bajo
+ *
+ * Este módulo es la única fuente de verdad para los precios de la carta pública y de los pedidos.
+ */
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+const DISCOUNT_RULES = ['priority', 'best'];
+const DEFAULT_DISCOUNT_RULE = 'priority';
+
+/**
+ * Redondea un importe a 2 decimales.
+ * PostgreSQL devuelve los NUMERIC como string, por eso se convierte primero.
+ */
+function roundMoney(value) {
+  return Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Unifica los nombres de campo de una etiqueta (las consultas usan snake_case o camelCase).
+ */
+function normalizeTag(tag) {
+  const pick = (snake, camel) => (tag[snake] !== undefined ? tag[snake] : tag[camel]);
+  return {
+    id: tag.id,
+    discount: Number(tag.discount) || 0,
+    discount_type: pick('discount_type', 'discountType') || 'percentage',
+    priority: Number(tag.priority) || 0,
+    valid_from: pick('valid_from', 'validFrom') || null,
+    valid_until: pick('valid_until', 'validUntil') || null
+  };
+}
+
+/**
+ * Indica si el descuento de una etiqueta está vigente.
+ */
+function isTagActive(tag, now = new Date()) {
+  if (tag.discount <= 0) return false;
+  if (tag.valid_from && new Date(tag.valid_from) > now) return false;
+  if (tag.valid_until && new Date(tag.valid_until) < now) return false;
+  return true;
+}
+
+/**
+ * Importe que descuenta una etiqueta sobre un precio (nunca más que el propio precio).
+ */
+function discountAmount(price, tag) {
+  const amount = tag.discount_type === 'fixed'
+    ? tag.discount
+    : price * Math.min(tag.discount, 100) / 100;
+  return Math.min(roundMoney(amount), price);
+}
+
+/**
+ * Elige la etiqueta con descuento que se aplica a un precio según la regla del comercio.
+ */
+function pickDiscountTag(price, tags, { rule = DEFAULT_DISCOUNT_RULE, now = new Date() } = {}) {
+  const candidates = (tags || []).map(normalizeTag).filter(tag => isTagActive(tag, now));
+  if (candidates.length === 0) return null;
+
+  return candidates.reduce((best, tag) => {
+    if (rule === 'best') {
+      return discountAmount(price, tag) > discountAmount(price, best) ? tag : best;
+    }
+    return tag.priority > best.priority ? tag : best;
+  });
+}
+
+/**
+ * Calcula el precio final de un producto o ítem a partir de sus etiquetas.
+ * options: { rule, now }
+ */
+function applyTagDiscount(price, tags, options = {}) {
+  const originalPrice = roundMoney(price);
+  const tag = pickDiscountTag(originalPrice, tags, options);
+
+  if (!tag) {
+    return { original_price: originalPrice, final_price: originalPrice, applied_tag_id: null };
+  }
+
+  return {
+    original_price: originalPrice,
+    final_price: roundMoney(originalPrice - discountAmount(originalPrice, tag)),
+    applied_tag_id: tag.id
+  };
+}
+
+/**
+ * Regla de descuento configurada para un comercio (con valor por defecto).
+ */
+function discountRuleFor(commerce) {
+  return DISCOUNT_RULES.includes(commerce && commerce.discount_rule) ? commerce.discount_rule : DEFAULT_DISCOUNT_RULE;
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  DISCOUNT_RULES,
+  roundMoney,
+  isTagActive,
+  pickDiscountTag,
+  applyTagDiscount,
+  discountRuleFor
+};
@@ -0,0 +1,351 @@
+// services/schedule.js
+
+/**
+ * Horarios de atención de los comercios.
+ *
+ * commerces.working_hours se guarda como JSON con una entrada por día de la semana
+ * (en inglés o en español). Cada día acepta varias franjas, y una franja cuyo cierre
+ * es anterior o igual a su apertura cruza la medianoche:
+ *
+ *   {
+ *     "monday":   [{ "open": "09:00", "close": "14:00" }, { "open": "20:00", "close": "01:30" }],
+ *     "tuesday":  { "closed": true },
+ *     "saturday": { "open": "10:00", "close": "22:00" },
+ *     "sunday":   ["10:00-13:00"]
+ *   }
+ *
+ * Los días que no aparecen se consideran cerrados. Las horas se interpretan en la
+ * zona horaria IANA del comercio (commerces.timezone).
+ *
+ * commerce_schedule_exceptions permite cerrar (feriados, cierres temporales) o
+ * cambiar el horario de un rango de fechas.
+ *
+ * El flag manual is_open funciona como override: si el dueño lo pone en false el
+ * comercio queda cerrado aunque esté dentro de su horario.
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+// Días a buscar hacia adelante para calcular la próxima apertura
+const LOOKAHEAD_DAYS = 14;
+
+const DAY_KEYS = {
+  sunday: 0, domingo: 0,
+  monday: 1, lunes: 1,
+  tuesday: 2, martes: 2,
+  wednesday: 3, miercoles: 3, 'miércoles': 3,
+  thursday: 4, jueves: 4,
+  friday: 5, viernes: 5,
+  saturday: 6, sabado: 6, 'sábado': 6
+};
+
+const ALL_DAY = [{ start: 0, end: 24 * 60 }];
+const ALWAYS_OPEN = { 0: ALL_DAY, 1: ALL_DAY, 2: ALL_DAY, 3: ALL_DAY, 4: ALL_DAY, 5: ALL_DAY, 6: ALL_DAY };
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Convierte "HH:MM" en minutos desde medianoche. Acepta "24:00" como cierre.
+ */
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+
+  return hours * 60 + minutes;
+}
+
+function parseRange(range) {
+  let open;
+  let close;
+
+  if (typeof range === 'string') {
+    [open, close] = range.split('-');
+  } else if (range && typeof range === 'object') {
+    open = range.open !== undefined ? range.open : range.from;
+    close = range.close !== undefined ? range.close : range.to;
+  }
+
+  const start = parseTime(open);
+  const end = parseTime(close);
+  if (start === null || end === null) return null;
+
+  return { start, end };
+}
+
+/**
+ * Normaliza las franjas de un día (o de una excepción).
+ * Devuelve [] si el día está cerrado y null si el formato es inválido.
+ */
+function parseDayRanges(value) {
+  if (value === null || value === undefined || value === false) return [];
+
+  let ranges;
+  if (Array.isArray(value)) {
+    ranges = value;
+  } else if (typeof value === 'string') {
+    ranges = [value];
+  } else if (typeof value === 'object') {
+    if (value.closed === true || value.isOpen === false || value.enabled === false) return [];
+    ranges = Array.isArray(value.ranges) ? value.ranges : [value];
+  } else {
+    return null;
+  }
+
+  const parsed = ranges.map(parseRange);
+  return parsed.includes(null) ? null : parsed;
+}
+
+/**
+ * Convierte working_hours en { 0..6: [{ start, end }] } (minutos, 0 = domingo).
+ * Devuelve null si no hay horario configurado y lanza un Error si el formato es inválido.
+ */
+function parseWorkingHours(raw) {
+  if (raw === null || raw === undefined || raw === '') return null;
+
+  let value = raw;
+  if (typeof raw === 'string') {
+    try {
+      value = JSON.parse(raw);
+    } catch (error) {
+      throw new Error('working_hours no es un JSON válido');
+    }
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('working_hours debe ser un objeto con un horario por día');
+  }
+
+  const week = { 0: [], 1: [], 2: [], 3: [], 4: [], 5: [], 6: [] };
+  let configuredDays = 0;
+
+  for (const [key, dayValue] of Object.entries(value)) {
+    const day = /^[0-6]$/.test(key) ? Number(key) : DAY_KEYS[key.toLowerCase()];
+    if (day === undefined) {
+      throw new Error(`Día desconocido en working_hours: ${key}`);
+    }
+
+    const ranges = parseDayRanges(dayValue);
+    if (ranges === null) {
+      throw new Error(`Horario inválido para ${key} (usa franjas "HH:MM")`);
+    }
+
+    week[day] = ranges;
+    configuredDays++;
+  }
+
+  return configuredDays > 0 ? week : null;
+}
+
+/**
+ * Indica si una zona horaria IANA es válida.
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Zona horaria del comercio, o la zona por defecto si no tiene una válida.
+ */
+function resolveTimezone(commerce) {
+  return commerce.timezone && isValidTimezone(commerce.timezone) ? commerce.timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Obtiene fecha, día de la semana y minutos locales de un instante en una zona horaria.
+ */
+function getLocalParts(date, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const parts = {};
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS[parts.weekday],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Suma días a una fecha "YYYY-MM-DD".
+ */
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function weekdayOf(dateString) {
+  return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Convierte una hora local (fecha + minutos) de una zona horaria en un Date UTC.
+ */
+function zonedTimeToUtc(dateString, minutes, timezone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+
+  const offsetAt = timestamp => {
+    const local = getLocalParts(new Date(timestamp), timezone);
+    const [y, m, d] = local.date.split('-').map(Number);
+    const asUtc = Date.UTC(y, m - 1, d, Math.floor(local.minutes / 60), local.minutes % 60);
+    return asUtc - Math.floor(timestamp / 60000) * 60000;
+  };
+
+  // Se recalcula el offset en el resultado para respetar los cambios de horario (DST)
+  let result = guess - offsetAt(guess);
+  result = guess - offsetAt(result);
+  return new Date(result);
+}
+
+/**
+ * Franjas de un día concreto teniendo en cuenta las excepciones.
+ */
+function rangesForDate(week, exceptions, dateString) {
+  const exception = (exceptions || []).find(ex => ex.date_from <= dateString && ex.date_to >= dateString);
+
+  if (exception) {
+    if (exception.closed) return [];
+    const ranges = parseDayRanges(exception.ranges);
+    return ranges || [];
+  }
+
+  return week ? week[weekdayOf(dateString)] : [];
+}
+
+/**
+ * Normaliza las fechas de las excepciones a "YYYY-MM-DD" (pg devuelve DATE como Date).
+ */
+function normalizeExceptions(exceptions) {
+  const toDateString = value => (value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10));
+  return (exceptions || []).map(ex => ({
+    ...ex,
+    date_from: toDateString(ex.date_from),
+    date_to: toDateString(ex.date_to)
+  }));
+}
+
+/**
+ * Calcula el estado efectivo de apertura de un comercio.
+ * Devuelve { is_open_now, next_opening_at, timezone }.
+ */
+function computeOpenState(commerce, exceptions = [], now = new Date()) {
+  const timezone = resolveTimezone(commerce);
+
+  let week = null;
+  try {
+    week = parseWorkingHours(commerce.working_hours);
+  } catch (error) {
+    console.error(`⚠️ working_hours inválido para el comercio ${commerce.id}:`, error.message);
+  }
+
+  const normalizedExceptions = normalizeExceptions(exceptions);
+  const hasSchedule = Boolean(week);
+
+  // Sin horario configurado: se mantiene el comportamiento manual de siempre
+  // (abierto todo el día salvo excepciones o is_open = false)
+  if (!hasSchedule && normalizedExceptions.length === 0) {
+    return { is_open_now: Boolean(commerce.is_open), next_opening_at: null, timezone };
+  }
+  if (!hasSchedule) {
+    week = ALWAYS_OPEN;
+  }
+
+  const local = getLocalParts(now, timezone);
+  const today = rangesForDate(week, normalizedExceptions, local.date);
+  const yesterday = rangesForDate(week, normalizedExceptions, addDays(local.date, -1));
+
+  const openBySchedule =
+    today.some(({ start, end }) =>
+      end > start ? local.minutes >= start && local.minutes < end : local.minutes >= start
+    ) ||
+    yesterday.some(({ start, end }) => end <= start && local.minutes < end);
+
+  const isOpenNow = openBySchedule && commerce.is_open !== false;
+
+  // Buscar la próxima apertura a partir de ahora
+  let nextOpeningAt = null;
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS && !nextOpeningAt; offset++) {
+    const dateString = addDays(local.date, offset);
+    const starts = rangesForDate(week, normalizedExceptions, dateString)
+      .map(range => range.start)
+      .filter(start => offset > 0 || start > local.minutes)
+      .sort((a, b) => a - b);
+
+    if (starts.length > 0) {
+      nextOpeningAt = zonedTimeToUtc(dateString, starts[0], timezone);
+    }
+  }
+
+  // Cerrado manualmente sin horario: no se puede saber cuándo vuelve a abrir
+  if (!hasSchedule && commerce.is_open === false) {
+    nextOpeningAt = null;
+  }
+
+  return {
+    is_open_now: isOpenNow,
+    next_opening_at: isOpenNow ? null : nextOpeningAt,
+    timezone
+  };
+}
+
+/**
+ * Carga las excepciones de horario relevantes para los días alrededor de `now`.
+ */
+async function loadScheduleExceptions(db, commerceId, now = new Date()) {
+  const result = await db.query(
+    `SELECT id, to_char(date_from, 'YYYY-MM-DD') AS date_from, to_char(date_to, 'YYYY-MM-DD') AS date_to,
+            closed, ranges, reason
+     FROM commerce_schedule_exceptions
+     WHERE commerce_id = $1
+       AND date_to >= $2::date - 1
+       AND date_from <= $2::date + $3::int
+     ORDER BY date_from`,
+    [commerceId, now.toISOString().slice(0, 10), LOOKAHEAD_DAYS + 1]
+  );
+  return result.rows;
+}
+
+/**
+ * Atajo: carga las excepciones y calcula el estado de apertura.
+ */
+async function getOpenState(db, commerce, now = new Date()) {
+  const exceptions = await loadScheduleExceptions(db, commerce.id, now);
+  return computeOpenState(commerce, exceptions, now);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  parseWorkingHours,
+  parseDayRanges,
+  isValidTimezone,
+  resolveTimezone,
+  getLocalParts,
+  addDays,
+  weekdayOf,
+  zonedTimeToUtc,
+  computeOpenState,
+  loadScheduleExceptions,
+  getOpenState
+};
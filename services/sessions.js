@@ -0,0 +1,269 @@
+// services/sessions.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const httpError = require('../utils/httpError');
+const { effectiveRole } = require('./memberships');
+
+/**
+ * Sesiones de usuario.
+ *
+ * El login crea una fila en user_sessions y devuelve dos tokens:
+ * - token: JWT de acceso de vida corta que incluye el id de sesión (sid)
+ * - refresh_token: valor aleatorio que solo se guarda como hash SHA-256
+ *
+ * Cada POST /api/auth/refresh rota el refresh token. Si alguien presenta un refresh token
+ * ya rotado (posible robo) se revoca la sesión completa. authMiddleware rechaza los JWT
+ * cuya sesión fue revocada o expiró.
+ *
+ * La sesión guarda además el comercio activo (active_commerce_id); el rol del token es
+ * el de la membresía del usuario en ese comercio (ver services/memberships.js).
+ */
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '1h';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Hash con el que se guardan los refresh tokens.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Firma el JWT de acceso de un usuario para una sesión.
+ * user: { id, role, commerce_id } con el rol y el comercio activos.
+ */
+function signAccessToken(user, sessionId) {
+  const payload = {
+    userId: user.id,
+    role: user.role,
+    commerceId: user.commerce_id,
+    sid: sessionId
+  };
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+/**
+ * Datos del cliente que se guardan con la sesión (para listar dispositivos).
+ */
+function clientInfo(req) {
+  return {
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 255) || null,
+    ip: String(req.ip || '').slice(0, 64) || null
+  };
+}
+
+/**
+ * Crea una sesión para un usuario autenticado y devuelve { token, refresh_token, session_id }.
+ * user: { id, role, commerce_id } (ver resolveLoginContext).
+ */
+async function createSession(db, user, req) {
+  const refreshToken = generateRefreshToken();
+  const { userAgent, ip } = clientInfo(req);
+
+  const result = await db.query(
+    `INSERT INTO user_sessions (
+       user_id, refresh_token_hash, user_agent, ip_address, active_commerce_id, created_at, last_used_at, expires_at
+     )
+     VALUES ($1, $2, $3, $4, $5, NOW(), NOW(), NOW() + make_interval(days => $6))
+     RETURNING id`,
+    [user.id, hashToken(refreshToken), userAgent, ip, user.commerce_id || null, REFRESH_TOKEN_TTL_DAYS]
+  );
+  const sessionId = result.rows[0].id;
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refresh_token: refreshToken,
+    session_id: sessionId
+  };
+}
+
+/**
+ * Cambia un refresh token válido por uno nuevo y emite un JWT de acceso con los datos actuales del usuario.
+ * Lanza httpError(401) si el token no existe, expiró, fue revocado o ya había sido usado.
+ */
+async function rotateSession(db, refreshToken, req) {
+  if (!refreshToken) {
+    throw httpError(401, 'Refresh token requerido', { code: 'REFRESH_TOKEN_INVALID' });
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const sessionResult = await db.query(
+    `SELECT s.id, s.expires_at, s.revoked_at, s.active_commerce_id, u.id AS user_id,
+            u.role AS user_role, m.role AS membership_role
+     FROM user_sessions s
+     JOIN users u ON u.id = s.user_id
+     LEFT JOIN commerce_memberships m ON m.user_id = u.id AND m.commerce_id = s.active_commerce_id
+     WHERE s.refresh_token_hash = $1`,
+    [tokenHash]
+  );
+
+  if (sessionResult.rows.length === 0) {
+    // Un token ya rotado que vuelve a usarse indica que fue copiado: se cierra esa sesión
+    const reused = await db.query(
+      `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'token_reuse'
+       WHERE previous_token_hash = $1 AND revoked_at IS NULL
+       RETURNING id`,
+      [tokenHash]
+    );
+    if (reused.rows.length > 0) {
+      console.warn(`Refresh token reutilizado: sesión ${reused.rows[0].id} revocada`);
+    }
+    throw httpError(401, 'Refresh token inválido', { code: 'REFRESH_TOKEN_INVALID' });
+  }
+
+  const session = sessionResult.rows[0];
+
+  if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    throw httpError(401, 'La sesión expiró o fue cerrada', { code: 'SESSION_REVOKED' });
+  }
+
+  const role = effectiveRole(session.user_role, session.membership_role, session.active_commerce_id);
+  if (!role) {
+    // El usuario ya no pertenece al comercio activo de la sesión
+    await revokeSession(db, session.user_id, session.id, 'membership_removed');
+    throw httpError(401, 'Ya no tienes acceso a este comercio, vuelve a iniciar sesión', { code: 'USER_CHANGED' });
+  }
+
+  const newRefreshToken = generateRefreshToken();
+  const { userAgent, ip } = clientInfo(req);
+
+  // La condición sobre el hash evita que dos refresh simultáneos roten el mismo token
+  const updateResult = await db.query(
+    `UPDATE user_sessions
+     SET refresh_token_hash = $1, previous_token_hash = $2, last_used_at = NOW(),
+         user_agent = COALESCE($3, user_agent), ip_address = COALESCE($4, ip_address)
+     WHERE id = $5 AND refresh_token_hash = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [hashToken(newRefreshToken), tokenHash, userAgent, ip, session.id]
+  );
+
+  if (updateResult.rows.length === 0) {
+    throw httpError(401, 'Refresh token inválido', { code: 'REFRESH_TOKEN_INVALID' });
+  }
+
+  const user = { id: session.user_id, role, commerce_id: session.active_commerce_id };
+
+  return {
+    user,
+    token: signAccessToken(user, session.id),
+    refresh_token: newRefreshToken,
+    session_id: session.id
+  };
+}
+
+/**
+ * Cambia el comercio activo de una sesión y devuelve un JWT nuevo para ese comercio.
+ * Los JWT anteriores de la sesión dejan de ser válidos. user: { id, role, commerce_id }.
+ */
+async function switchSessionCommerce(db, sessionId, user) {
+  const result = await db.query(
+    `UPDATE user_sessions SET active_commerce_id = $1, last_used_at = NOW()
+     WHERE id = $2 AND user_id = $3 AND revoked_at IS NULL
+     RETURNING id`,
+    [user.commerce_id, sessionId, user.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(401, 'La sesión expiró o fue cerrada', { code: 'SESSION_REVOKED' });
+  }
+
+  return signAccessToken(user, sessionId);
+}
+
+/**
+ * Revoca una sesión del usuario. Devuelve true si estaba activa.
+ */
+async function revokeSession(db, userId, sessionId, reason = 'logout') {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $3
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [sessionId, userId, reason]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Revoca la sesión a la que pertenece un refresh token.
+ */
+async function revokeSessionByRefreshToken(db, refreshToken, reason = 'logout') {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE refresh_token_hash = $1 AND revoked_at IS NULL
+     RETURNING id`,
+    [hashToken(refreshToken), reason]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Revoca todas las sesiones activas de un usuario (opcionalmente salvo una).
+ * Devuelve la cantidad de sesiones cerradas.
+ */
+async function revokeAllSessions(db, userId, { exceptSessionId = null, reason = 'logout_all' } = {}) {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $3
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($2::int IS NULL OR id <> $2::int)`,
+    [userId, exceptSessionId, reason]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Revoca las sesiones que tienen activo un comercio (por ejemplo, al eliminarlo).
+ * Devuelve la cantidad de sesiones cerradas.
+ */
+async function revokeCommerceSessions(db, commerceId, reason) {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE active_commerce_id = $1 AND revoked_at IS NULL`,
+    [commerceId, reason]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Comprueba que la sesión de un JWT siga activa y que el usuario no haya cambiado.
+ * Devuelve null si es válida o el código del motivo de rechazo.
+ */
+async function checkSession(db, decoded) {
+  if (!decoded.sid) return 'SESSION_REQUIRED';
+
+  const result = await db.query(
+    `SELECT s.revoked_at, s.expires_at, s.active_commerce_id, u.role AS user_role, m.role AS membership_role
+     FROM user_sessions s
+     JOIN users u ON u.id = s.user_id
+     LEFT JOIN commerce_memberships m ON m.user_id = u.id AND m.commerce_id = s.active_commerce_id
+     WHERE s.id = $1 AND s.user_id = $2`,
+    [decoded.sid, decoded.userId]
+  );
+
+  if (result.rows.length === 0) return 'SESSION_REVOKED';
+
+  const session = result.rows[0];
+  if (session.revoked_at || new Date(session.expires_at) <= new Date()) return 'SESSION_REVOKED';
+  const role = effectiveRole(session.user_role, session.membership_role, session.active_commerce_id);
+  if (role !== decoded.role || (session.active_commerce_id || null) !== (decoded.commerceId || null)) {
+    return 'USER_CHANGED';
+  }
+
+  return null;
+}
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  createSession,
+  rotateSession,
+  switchSessionCommerce,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+  revokeCommerceSessions,
+  checkSession
+};
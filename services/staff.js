@@ -0,0 +1,147 @@
+// services/staff.js
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const httpError = require('../utils/httpError');
+const { fieldError, validationError } = require('./validation');
+const { hashToken } = require('./sessions');
+const { sendMail, escapeHtml } = require('./mailer');
+const { STAFF_ROLES, ROLES } = require('./permissions');
+const { addMembership } = require('./memberships');
+
+/**
+ * Invitaciones de personal.
+ * El OWNER invita un email con un rol de STAFF_ROLES; la persona invitada crea su cuenta
+ * (o, si ya tiene una, suma el comercio a sus membresías) con POST /api/auth/accept-invitation
+ * usando el token recibido (un solo uso, guardado como hash).
+ */
+
+const INVITATION_TTL_DAYS = Number(process.env.STAFF_INVITATION_TTL_DAYS) || 7;
+const APP_URL = process.env.APP_URL || 'https://menunube.online';
+
+/**
+ * Crea una invitación y envía el email. Reemplaza invitaciones pendientes al mismo email.
+ */
+async function inviteStaff(db, commerceId, { email, role }, invitedBy) {
+  if (!STAFF_ROLES.includes(role)) {
+    throw validationError([fieldError('role', 'body', 'INVALID_VALUE', `Rol inválido (${STAFF_ROLES.join(', ')})`)]);
+  }
+
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+    throw validationError([fieldError('email', 'body', 'INVALID_FORMAT', 'Formato de email inválido')]);
+  }
+
+  const existingMember = await db.query(
+    `SELECT m.id FROM commerce_memberships m
+     JOIN users u ON u.id = m.user_id
+     WHERE LOWER(u.email) = $1 AND m.commerce_id = $2`,
+    [normalizedEmail, commerceId]
+  );
+  if (existingMember.rows.length > 0) {
+    throw httpError(409, 'Esa persona ya pertenece a este comercio', { field: 'email' });
+  }
+
+  await db.query(
+    `UPDATE staff_invitations SET revoked_at = NOW()
+     WHERE commerce_id = $1 AND email = $2 AND accepted_at IS NULL AND revoked_at IS NULL`,
+    [commerceId, normalizedEmail]
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const result = await db.query(
+    `INSERT INTO staff_invitations (commerce_id, email, role, token_hash, invited_by, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6), NOW())
+     RETURNING id, commerce_id, email, role, expires_at, created_at`,
+    [commerceId, normalizedEmail, role, hashToken(token), invitedBy, INVITATION_TTL_DAYS]
+  );
+  const invitation = result.rows[0];
+
+  const commerceResult = await db.query('SELECT business_name FROM commerces WHERE id = $1', [commerceId]);
+  const businessName = commerceResult.rows.length > 0 ? commerceResult.rows[0].business_name : 'un comercio';
+  const link = `${APP_URL}/accept-invitation?token=${encodeURIComponent(token)}`;
+
+  // Si el correo falla la invitación sigue vigente y se puede reenviar creando otra
+  try {
+    await sendMail({
+      to: normalizedEmail,
+      subject: `Te invitaron a ${businessName}`,
+      text: `Te invitaron a colaborar en ${businessName} como ${role}.\n\n` +
+        `Crea tu cuenta con este enlace (vence en ${INVITATION_TTL_DAYS} días):\n${link}`,
+      html: `<p>Te invitaron a colaborar en <strong>${escapeHtml(businessName)}</strong> como ${escapeHtml(role)}.</p>` +
+        `<p><a href="${escapeHtml(link)}">Crear mi cuenta</a> (vence en ${INVITATION_TTL_DAYS} días).</p>`
+    });
+    invitation.email_sent = true;
+  } catch (mailError) {
+    console.error('Error enviando invitación de personal:', mailError);
+    invitation.email_sent = false;
+  }
+
+  return invitation;
+}
+
+/**
+ * Acepta una invitación. Debe llamarse dentro de una transacción.
+ * Si el email ya tiene cuenta, password debe ser la contraseña de esa cuenta y solo se agrega la membresía;
+ * si no, se crea la cuenta. Devuelve el contexto de sesión { id, role, commerce_id } del comercio invitado,
+ * con two_factor_required si la cuenta existente exige el segundo paso (no se abre sesión sin él).
+ */
+async function acceptInvitation(client, token, { password, first_name = null, last_name = null }) {
+  const invitationResult = await client.query(
+    `SELECT * FROM staff_invitations
+     WHERE token_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+     FOR UPDATE`,
+    [hashToken(token || '')]
+  );
+
+  if (invitationResult.rows.length === 0) {
+    throw validationError([fieldError('token', 'body', 'INVALID_VALUE', 'La invitación no es válida o ya expiró')]);
+  }
+
+  const invitation = invitationResult.rows[0];
+
+  const existingUser = await client.query(
+    'SELECT id, password, role, totp_enabled_at FROM users WHERE LOWER(email) = $1',
+    [invitation.email]
+  );
+  let userId;
+  let twoFactorRequired = false;
+
+  if (existingUser.rows.length > 0) {
+    const isMatch = await bcrypt.compare(password, existingUser.rows[0].password);
+    if (!isMatch) {
+      throw httpError(401, 'Ya tienes una cuenta con ese email: ingresa tu contraseña actual', { field: 'password' });
+    }
+    userId = existingUser.rows[0].id;
+    twoFactorRequired = Boolean(existingUser.rows[0].totp_enabled_at) || existingUser.rows[0].role === ROLES.SUPERUSER;
+  } else {
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // El email queda verificado: la invitación llegó a esa casilla
+    const userResult = await client.query(
+      `INSERT INTO users (email, password, role, commerce_id, first_name, last_name, email_verified_at, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+       RETURNING id`,
+      [invitation.email, hashedPassword, invitation.role, invitation.commerce_id, first_name, last_name]
+    );
+    userId = userResult.rows[0].id;
+  }
+
+  await addMembership(client, userId, invitation.commerce_id, invitation.role);
+
+  await client.query(
+    'UPDATE staff_invitations SET accepted_at = NOW(), accepted_user_id = $1 WHERE id = $2',
+    [userId, invitation.id]
+  );
+
+  return {
+    id: userId,
+    role: invitation.role,
+    commerce_id: invitation.commerce_id,
+    two_factor_required: twoFactorRequired
+  };
+}
+
+module.exports = {
+  inviteStaff,
+  acceptInvitation
+};
@@ -0,0 +1,111 @@
+// services/stock.js
+const httpError = require('../utils/httpError');
+
+/**
+ * Disponibilidad y stock de productos.
+ * - products.availability_status: available | sold_out | hidden
+ * - products.sold_out_until: si está definido, el producto vuelve a estar disponible a esa hora
+ * - products.stock: unidades disponibles (null = sin control de stock)
+ *
+ * El stock se descuenta cuando el comercio acepta un pedido y se repone si ese pedido
+ * se cancela después. Al llegar a 0 el producto pasa automáticamente a sold_out.
+ */
+
+const AVAILABILITY_STATUSES = ['available', 'sold_out', 'hidden'];
+
+/**
+ * Indica si un producto está agotado en un momento dado.
+ */
+function isSoldOut(product, now = new Date()) {
+  if (product.stock !== null && product.stock !== undefined && Number(product.stock) <= 0) return true;
+  if (product.availability_status !== 'sold_out') return false;
+  return !product.sold_out_until || new Date(product.sold_out_until) > now;
+}
+
+/**
+ * Cantidades pedidas por producto en un pedido.
+ */
+async function orderQuantities(client, orderId) {
+  const result = await client.query(
+    `SELECT product_id, SUM(quantity)::int AS quantity
+     FROM order_items
+     WHERE order_id = $1 AND product_id IS NOT NULL
+     GROUP BY product_id`,
+    [orderId]
+  );
+  return result.rows;
+}
+
+/**
+ * Descuenta el stock de los productos de un pedido (al aceptarlo).
+ * Debe llamarse dentro de una transacción. Devuelve los productos que se agotaron.
+ */
+async function reserveStockForOrder(client, order) {
+  if (order.stock_reserved) return [];
+
+  const soldOut = [];
+  for (const { product_id, quantity } of await orderQuantities(client, order.id)) {
+    const result = await client.query(
+      `UPDATE products
+       SET stock = stock - $2,
+           availability_status = CASE WHEN stock - $2 = 0 THEN 'sold_out' ELSE availability_status END,
+           updated_at = NOW()
+       WHERE id = $1 AND stock IS NOT NULL
+       RETURNING id, name, stock, availability_status, sold_out_until`,
+      [product_id, quantity]
+    ).catch(error => {
+      // La restricción CHECK (stock >= 0) falla si no hay unidades suficientes
+      if (error.code === '23514') {
+        throw httpError(409, 'No hay stock suficiente para aceptar el pedido', { product_id });
+      }
+      throw error;
+    });
+
+    const product = result.rows[0];
+    if (product && product.stock === 0) {
+      soldOut.push(product);
+    }
+  }
+
+  await client.query('UPDATE orders SET stock_reserved = true WHERE id = $1', [order.id]);
+  return soldOut;
+}
+
+/**
+ * Repone el stock de un pedido que se había aceptado y luego se canceló.
+ * Devuelve los productos que vuelven a estar disponibles.
+ */
+async function releaseStockForOrder(client, order) {
+  if (!order.stock_reserved) return [];
+
+  const restocked = [];
+  for (const { product_id, quantity } of await orderQuantities(client, order.id)) {
+    const result = await client.query(
+      `UPDATE products
+       SET availability_status = CASE
+             WHEN stock = 0 AND availability_status = 'sold_out' AND sold_out_until IS NULL THEN 'available'
+             ELSE availability_status
+           END,
+           stock = stock + $2,
+           updated_at = NOW()
+       WHERE id = $1 AND stock IS NOT NULL
+       RETURNING id, name, stock, availability_status, sold_out_until`,
+      [product_id, quantity]
+    );
+
+    const product = result.rows[0];
+    if (product && product.stock === quantity && product.availability_status === 'available') {
+      restocked.push(product);
+    }
+  }
+
+  await client.query('UPDATE orders SET stock_reserved = false WHERE id = $1', [order.id]);
+  return restocked;
+}
+
+module.exports = {
+  AVAILABILITY_STATUSES,
+  isSoldOut,
+  reserveStockForOrder,
+  releaseStockForOrder
+};
@@ -0,0 +1,335 @@
+// services/trash.js
+const httpError = require('../utils/httpError');
+const { queueMediaCleanup, processMediaQueue } = require('./media');
+const { ENTITY_TYPES, AUDIT_ACTIONS, recordAudit } = require('./audit');
+const { deleteCommerceCascade } = require('./commerceDeletion');
+const { withTransaction } = require('./db');
+
+/**
+ * Papelera (eliminación lógica).
+ *
+ * Eliminar un comercio, una categoría, un producto, una opción o un ítem solo completa deleted_at;
+ * sus hijos que seguían activos se marcan con el mismo deleted_at, y restaurar el padre restaura
+ * exactamente lo que se eliminó con él (lo que ya estaba en la papelera sigue ahí).
+ * Pasados TRASH_RETENTION_DAYS días purgeExpired borra las filas y encola sus imágenes (services/media.js).
+ */
+
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MINUTES = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+
+// Clave del advisory lock que evita dos purgas a la vez (varias instancias de la API)
+const PURGE_LOCK_KEY = 4271019;
+
+/**
+ * Entidades con papelera.
+ * commerceOf: expresión SQL con el comercio de la fila t; parents/children: relaciones por columna.
+ */
+const TRASH_ENTITIES = {
+  commerce: {
+    table: 'commerces',
+    label: 'el comercio',
+    commerceOf: 't.id',
+    parents: [],
+    children: [{ entity: 'category', column: 'commerce_id' }, { entity: 'product', column: 'commerce_id' }]
+  },
+  category: {
+    table: 'categories',
+    label: 'la categoría',
+    commerceOf: 't.commerce_id',
+    parents: [{ entity: 'commerce', column: 'commerce_id' }],
+    children: [{ entity: 'product', column: 'category_id' }]
+  },
+  product: {
+    table: 'products',
+    label: 'el producto',
+    commerceOf: 't.commerce_id',
+    parents: [{ entity: 'commerce', column: 'commerce_id' }, { entity: 'category', column: 'category_id' }],
+    children: [{ entity: 'option', column: 'product_id' }]
+  },
+  option: {
+    table: 'product_options',
+    label: 'la opción',
+    commerceOf: '(SELECT p.commerce_id FROM products p WHERE p.id = t.product_id)',
+    parents: [{ entity: 'product', column: 'product_id' }],
+    children: [{ entity: 'item', column: 'option_id' }]
+  },
+  item: {
+    table: 'option_items',
+    label: 'el ítem',
+    commerceOf: `(SELECT p.commerce_id FROM product_options po JOIN products p ON p.id = po.product_id
+                  WHERE po.id = t.option_id)`,
+    parents: [{ entity: 'option', column: 'option_id' }],
+    children: []
+  }
+};
+
+function entityConfig(entity) {
+  const config = TRASH_ENTITIES[entity];
+  if (!config) throw new Error(`Entidad sin papelera: ${entity}`);
+  return config;
+}
+
+// Fecha en que se purgará algo eliminado en deletedAt
+function purgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+async function cascadeDelete(db, entity, ids, deletedAt, userId) {
+  for (const child of entityConfig(entity).children) {
+    const { table } = entityConfig(child.entity);
+    const result = await db.query(
+      `UPDATE ${table} SET deleted_at = $2::timestamp, deleted_by = $3
+       WHERE ${child.column} = ANY($1) AND deleted_at IS NULL
+       RETURNING id`,
+      [ids, deletedAt, userId]
+    );
+    if (result.rows.length > 0) {
+      await cascadeDelete(db, child.entity, result.rows.map(row => row.id), deletedAt, userId);
+    }
+  }
+}
+
+async function cascadeRestore(db, entity, ids, deletedAt) {
+  for (const child of entityConfig(entity).children) {
+    const { table } = entityConfig(child.entity);
+    const result = await db.query(
+      `UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL
+       WHERE ${child.column} = ANY($1) AND deleted_at = $2::timestamp
+       RETURNING id`,
+      [ids, deletedAt]
+    );
+    if (result.rows.length > 0) {
+      await cascadeRestore(db, child.entity, result.rows.map(row => row.id), deletedAt);
+    }
+  }
+}
+
+/**
+ * Envía una fila (y sus hijos activos) a la papelera. Conviene llamarla dentro de una transacción.
+ * commerceId limita la búsqueda a ese comercio (null = cualquiera, para SUPERUSER).
+ * Devuelve la fila eliminada o null si no existe o ya estaba eliminada.
+ */
+async function softDelete(db, entity, id, { userId = null, commerceId = null } = {}) {
+  const { table, commerceOf } = entityConfig(entity);
+
+  // Un único instante (con microsegundos) para la fila y todos sus hijos
+  const nowResult = await db.query('SELECT NOW()::timestamp::text AS now');
+  const deletedAt = nowResult.rows[0].now;
+
+  const result = await db.query(
+    `UPDATE ${table} t SET deleted_at = $2::timestamp, deleted_by = $3
+     WHERE t.id = $1 AND t.deleted_at IS NULL AND ($4::int IS NULL OR ${commerceOf} = $4::int)
+     RETURNING t.*`,
+    [id, deletedAt, userId, commerceId]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  await cascadeDelete(db, entity, [result.rows[0].id], deletedAt, userId);
+  return result.rows[0];
+}
+
+/**
+ * Restaura una fila de la papelera junto con lo que se eliminó con ella.
+ * Lanza httpError(404) si no está en la papelera y httpError(409) si su padre sigue eliminado.
+ */
+async function restore(db, entity, id, { commerceId = null } = {}) {
+  const { table, commerceOf, parents } = entityConfig(entity);
+
+  const trashed = await db.query(
+    `SELECT t.*, t.deleted_at::text AS deleted_key FROM ${table} t
+     WHERE t.id = $1 AND t.deleted_at IS NOT NULL AND ($2::int IS NULL OR ${commerceOf} = $2::int)`,
+    [id, commerceId]
+  );
+
+  if (trashed.rows.length === 0) {
+    throw httpError(404, 'No se encontró en la papelera');
+  }
+
+  const { deleted_key: deletedAt, ...row } = trashed.rows[0];
+
+  for (const parent of parents) {
+    if (row[parent.column] === null || row[parent.column] === undefined) continue;
+
+    const parentConfig = entityConfig(parent.entity);
+    const parentResult = await db.query(
+      `SELECT id FROM ${parentConfig.table} WHERE id = $1 AND deleted_at IS NOT NULL`,
+      [row[parent.column]]
+    );
+    if (parentResult.rows.length > 0) {
+      throw httpError(409, `Primero restaura ${parentConfig.label}`, {
+        code: 'PARENT_DELETED',
+        parent: { type: parent.entity, id: row[parent.column] }
+      });
+    }
+  }
+
+  const result = await db.query(
+    `UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 RETURNING *`,
+    [row.id]
+  );
+  await cascadeRestore(db, entity, [row.id], deletedAt);
+
+  return result.rows[0];
+}
+
+/**
+ * Papelera del catálogo de un comercio. Solo lista lo eliminado por sí mismo:
+ * lo que se eliminó junto con su padre vuelve al restaurar el padre.
+ */
+async function listTrash(db, commerceId) {
+  const [categories, products, options, items] = await Promise.all([
+    db.query(
+      `SELECT c.id, c.name, c.deleted_at, c.deleted_by
+       FROM categories c
+       WHERE c.commerce_id = $1 AND c.deleted_at IS NOT NULL
+       ORDER BY c.deleted_at DESC`,
+      [commerceId]
+    ),
+    db.query(
+      `SELECT p.id, p.name, p.category_id, p.image_url, p.deleted_at, p.deleted_by
+       FROM products p
+       WHERE p.commerce_id = $1 AND p.deleted_at IS NOT NULL
+         AND NOT EXISTS (SELECT 1 FROM categories c WHERE c.id = p.category_id AND c.deleted_at = p.deleted_at)
+       ORDER BY p.deleted_at DESC`,
+      [commerceId]
+    ),
+    db.query(
+      `SELECT po.id, po.name, po.product_id, p.name AS product_name, po.deleted_at, po.deleted_by
+       FROM product_options po
+       JOIN products p ON p.id = po.product_id
+       WHERE p.commerce_id = $1 AND po.deleted_at IS NOT NULL AND p.deleted_at IS DISTINCT FROM po.deleted_at
+       ORDER BY po.deleted_at DESC`,
+      [commerceId]
+    ),
+    db.query(
+      `SELECT oi.id, oi.name, oi.option_id, po.name AS option_name, po.product_id, oi.deleted_at, oi.deleted_by
+       FROM option_items oi
+       JOIN product_options po ON po.id = oi.option_id
+       JOIN products p ON p.id = po.product_id
+       WHERE p.commerce_id = $1 AND oi.deleted_at IS NOT NULL AND po.deleted_at IS DISTINCT FROM oi.deleted_at
+       ORDER BY oi.deleted_at DESC`,
+      [commerceId]
+    )
+  ]);
+
+  const withPurgeDate = rows => rows.map(row => ({ ...row, purge_at: purgeDate(row.deleted_at) }));
+
+  return {
+    retention_days: TRASH_RETENTION_DAYS,
+    categories: withPurgeDate(categories.rows),
+    products: withPurgeDate(products.rows),
+    options: withPurgeDate(options.rows),
+    items: withPurgeDate(items.rows)
+  };
+}
+
+/**
+ * Comercios en la papelera (solo SUPERUSER).
+ */
+async function listDeletedCommerces(db) {
+  const result = await db.query(
+    `SELECT id, business_name, subdomain, logo_url, deleted_at, deleted_by
+     FROM commerces
+     WHERE deleted_at IS NOT NULL
+     ORDER BY deleted_at DESC`
+  );
+  return result.rows.map(row => ({ ...row, purge_at: purgeDate(row.deleted_at) }));
+}
+
+/**
+ * Borra lo que lleva más de TRASH_RETENTION_DAYS días en la papelera y después procesa la cola de imágenes.
+ * pool debe ser un Pool: una conexión propia retiene el lock mientras las transacciones
+ * corren con withTransaction. Devuelve null si otra instancia está purgando, o la cantidad
+ * de filas borradas por tabla y de imágenes eliminadas.
+ */
+async function purgeExpired(pool) {
+  const client = await pool.connect();
+  const purged = { option_items: 0, product_options: 0, products: 0, categories: 0, commerces: 0, images: 0 };
+
+  try {
+    const lock = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [PURGE_LOCK_KEY]);
+    if (!lock.rows[0].locked) return null;
+
+    try {
+      // 1. Catálogo, de las hojas hacia arriba
+      await withTransaction(async (tx) => {
+        const expired = 'deleted_at < NOW() - make_interval(days => $1)';
+
+        const items = await tx.query(`DELETE FROM option_items WHERE ${expired} RETURNING image_url`, [TRASH_RETENTION_DAYS]);
+        const options = await tx.query(`DELETE FROM product_options WHERE ${expired} RETURNING id`, [TRASH_RETENTION_DAYS]);
+        const products = await tx.query(`DELETE FROM products WHERE ${expired} RETURNING image_url`, [TRASH_RETENTION_DAYS]);
+        const categories = await tx.query(`DELETE FROM categories WHERE ${expired} RETURNING id`, [TRASH_RETENTION_DAYS]);
+        await queueMediaCleanup(tx, [
+          ...items.rows.map(row => row.image_url),
+          ...products.rows.map(row => row.image_url)
+        ], 'trash_purge');
+
+        purged.option_items = items.rows.length;
+        purged.product_options = options.rows.length;
+        purged.products = products.rows.length;
+        purged.categories = categories.rows.length;
+      });
+
+      // 2. Comercios, uno por transacción para que uno que falle no frene al resto
+      const commerces = await client.query(
+        'SELECT id FROM commerces WHERE deleted_at < NOW() - make_interval(days => $1) ORDER BY deleted_at',
+        [TRASH_RETENTION_DAYS]
+      );
+      for (const { id } of commerces.rows) {
+        try {
+          await withTransaction(async (tx) => {
+            const summary = await deleteCommerceCascade(tx, id, { reason: 'trash_purge' });
+            await recordAudit(tx, null, {
+              commerceId: id,
+              entityType: ENTITY_TYPES.COMMERCE,
+              entityId: id,
+              action: AUDIT_ACTIONS.PURGE,
+              changes: { removed: { before: null, after: summary.removed } }
+            });
+          });
+          purged.commerces += 1;
+        } catch (error) {
+          console.error(`⚠️ No se pudo purgar el comercio ${id}:`, error);
+        }
+      }
+
+      // 3. Imágenes: las filas ya no existen (también las de borrados definitivos hechos a mano)
+      purged.images = (await processMediaQueue(client)).deleted;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [PURGE_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+
+  return purged;
+}
+
+/**
+ * Programa la purga periódica de la papelera (la primera pasada, un minuto después de arrancar).
+ */
+function startTrashPurge(pool) {
+  const run = () => purgeExpired(pool)
+    .then(purged => {
+      if (purged && Object.values(purged).some(count => count > 0)) {
+        console.log('🗑️ Papelera purgada:', purged);
+      }
+    })
+    .catch(error => console.error('⚠️ Error al purgar la papelera:', error));
+
+  setTimeout(run, 60 * 1000).unref();
+  const timer = setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  softDelete,
+  restore,
+  listTrash,
+  listDeletedCommerces,
+  purgeExpired,
+  startTrashPurge
+};
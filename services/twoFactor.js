@@ -0,0 +1,267 @@
+// services/twoFactor.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const httpError = require('../utils/httpError');
+const { hashToken } = require('./sessions');
+const { ROLES } = require('./permissions');
+
+/**
+ * Autenticación en dos pasos con TOTP (RFC 6238: HMAC-SHA1, 6 dígitos, intervalos de 30 s).
+ *
+ * - Alta: startEnrollment guarda un secreto pendiente y devuelve la URI otpauth:// para la app
+ *   autenticadora; enableTwoFactor lo activa al recibir un código válido y genera los códigos de recuperación.
+ * - Login: si el usuario tiene 2FA (obligatorio para SUPERUSER) /login devuelve un challenge_token
+ *   y la sesión se crea en POST /api/auth/login/2fa con un código TOTP o de recuperación.
+ */
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'MenuNube';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Intervalos de tolerancia antes y después (desfase de reloj del teléfono)
+const TOTP_WINDOW = 1;
+const RECOVERY_CODES_COUNT = 10;
+const LOGIN_CHALLENGE_TTL = '5m';
+const LOGIN_CHALLENGE_AUDIENCE = 'login-2fa';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Secreto TOTP inválido');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Código TOTP de un secreto (base32) para un intervalo dado.
+ */
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = ((hmac[offset] & 127) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function currentStep() {
+  return Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Devuelve el intervalo al que corresponde el código (dentro de la tolerancia) o null.
+ */
+function matchTotp(secret, code) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const now = currentStep();
+  for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+    const expected = totpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function otpauthUri(email, secret) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}` +
+    `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').replace(/[\s-]/g, '').toLowerCase();
+}
+
+/**
+ * Indica si el usuario debe usar 2FA aunque no la haya activado.
+ */
+function isTwoFactorRequired(user) {
+  return user.role === ROLES.SUPERUSER;
+}
+
+/**
+ * Genera un secreto pendiente de confirmación. Devuelve { secret, otpauth_uri }.
+ */
+async function startEnrollment(db, user) {
+  if (user.totp_enabled_at) {
+    throw httpError(409, 'La verificación en dos pasos ya está activada', { code: 'TWO_FACTOR_ALREADY_ENABLED' });
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await db.query('UPDATE users SET totp_pending_secret = $1 WHERE id = $2', [secret, user.id]);
+
+  return { secret, otpauth_uri: otpauthUri(user.email, secret) };
+}
+
+/**
+ * Reemplaza los códigos de recuperación del usuario y devuelve los nuevos (solo se muestran una vez).
+ */
+async function generateRecoveryCodes(db, userId) {
+  const codes = Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash, created_at) VALUES ($1, $2, NOW())',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+}
+
+/**
+ * Activa la 2FA si el código corresponde al secreto pendiente. Devuelve los códigos de recuperación.
+ */
+async function enableTwoFactor(db, user, code) {
+  if (user.totp_enabled_at) {
+    throw httpError(409, 'La verificación en dos pasos ya está activada', { code: 'TWO_FACTOR_ALREADY_ENABLED' });
+  }
+  if (!user.totp_pending_secret) {
+    throw httpError(400, 'Primero inicia la configuración de la verificación en dos pasos', { code: 'TWO_FACTOR_SETUP_REQUIRED' });
+  }
+
+  const step = matchTotp(user.totp_pending_secret, code);
+  if (step === null) {
+    throw httpError(401, 'Código de verificación incorrecto', { code: 'TWO_FACTOR_INVALID', field: 'code' });
+  }
+
+  await db.query(
+    `UPDATE users
+     SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_enabled_at = NOW(), totp_last_used_step = $2
+     WHERE id = $1`,
+    [user.id, step]
+  );
+
+  return generateRecoveryCodes(db, user.id);
+}
+
+/**
+ * Desactiva la 2FA y borra los códigos de recuperación.
+ */
+async function disableTwoFactor(db, userId) {
+  await db.query(
+    `UPDATE users
+     SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+}
+
+/**
+ * Verifica el segundo factor de un usuario con 2FA activa: { code } (TOTP) o { recovery_code }.
+ * Cada código TOTP y cada código de recuperación sirve una sola vez. Devuelve true o false.
+ */
+async function verifySecondFactor(db, user, { code, recovery_code } = {}) {
+  if (!user.totp_enabled_at || !user.totp_secret) return false;
+
+  if (recovery_code) {
+    const result = await db.query(
+      `UPDATE user_recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [user.id, hashToken(normalizeRecoveryCode(recovery_code))]
+    );
+    return result.rows.length > 0;
+  }
+
+  const step = matchTotp(user.totp_secret, code);
+  if (step === null) return false;
+
+  // La condición sobre el último intervalo evita repetir un código ya usado
+  const result = await db.query(
+    `UPDATE users SET totp_last_used_step = $2
+     WHERE id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2)
+     RETURNING id`,
+    [user.id, step]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Cantidad de códigos de recuperación sin usar.
+ */
+async function countRecoveryCodes(db, userId) {
+  const result = await db.query(
+    'SELECT COUNT(*)::int AS remaining FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return result.rows[0].remaining;
+}
+
+/**
+ * Token temporal entre la contraseña y el segundo paso del login.
+ * No sirve como token de acceso: no tiene sesión (sid) y lleva otra audiencia.
+ */
+function issueLoginChallenge(user) {
+  return jwt.sign({ userId: user.id, purpose: 'login_2fa' }, process.env.JWT_SECRET, {
+    expiresIn: LOGIN_CHALLENGE_TTL,
+    audience: LOGIN_CHALLENGE_AUDIENCE
+  });
+}
+
+/**
+ * Devuelve el userId de un challenge_token válido o null.
+ */
+function verifyLoginChallenge(token) {
+  try {
+    const decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET, { audience: LOGIN_CHALLENGE_AUDIENCE });
+    return decoded.purpose === 'login_2fa' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  totpCode,
+  otpauthUri,
+  isTwoFactorRequired,
+  startEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  countRecoveryCodes,
+  issueLoginChallenge,
+  verifyLoginChallenge
+};
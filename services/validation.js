@@ -0,0 +1,300 @@
+// services/validation.js
+const httpError = require('../utils/httpError');
+
+/**
+ * Validación declarativa de params, query y body (ver middlewares/validationMiddleware.js).
+ *
+ * Un esquema es un objeto { campo: regla }. Cada regla tiene un type y opciones:
+ *   { type: 'string', required: true, minLength: 1, maxLength: 255 }
+ *   { type: 'number', min: 0, max: MAX_PRICE }
+ *   { type: 'enum', values: ['product', 'option', 'item'] }
+ *   { type: 'array', maxItems: 100, items: { type: 'object', properties: { ... } } }
+ *   { type: 'json', custom: value => mensaje de error o null }
+ *
+ * - Un campo ausente solo falla si es required. null se acepta en los opcionales salvo nullable: false.
+ * - En los tipos no string, '' cuenta como null (así llegan los campos vacíos de los formularios multipart);
+ *   en los de texto opcionales, '' se acepta sin comprobar el formato.
+ * - Los números, enteros y booleanos que llegan como texto ('12.5', 'true') se convierten;
+ *   el valor convertido reemplaza al original en req.params, req.query o req.body.
+ * - Los campos que no están en el esquema se dejan como están.
+ *
+ * Los errores se devuelven todos juntos: [{ field, location, code, message }].
+ */
+
+const VALIDATION_ERROR = 'VALIDATION_ERROR';
+
+const MAX_PRICE = 9999999.99;
+const MAX_INTEGER = 2147483647;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const HEX_COLOR_REGEX = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const NUMERIC_REGEX = /^-?\d+(\.\d+)?$/;
+
+const TYPES = ['string', 'email', 'hexColor', 'date', 'datetime', 'number', 'integer', 'id', 'boolean', 'enum', 'array', 'object', 'json'];
+
+function fieldError(field, location, code, message) {
+  return { field, location, code, message };
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+  if (typeof value === 'string' && NUMERIC_REGEX.test(value.trim())) return Number(value.trim());
+  return NaN;
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === '1' || value === 1) return true;
+  if (value === 'false' || value === '0' || value === 0) return false;
+  return undefined;
+}
+
+function checkRange(value, rule, field, location, errors) {
+  if (rule.min !== undefined && value < rule.min) {
+    errors.push(fieldError(field, location, 'OUT_OF_RANGE', `${field} debe ser mayor o igual a ${rule.min}`));
+  } else if (rule.max !== undefined && value > rule.max) {
+    errors.push(fieldError(field, location, 'OUT_OF_RANGE', `${field} debe ser menor o igual a ${rule.max}`));
+  }
+}
+
+function checkLength(value, rule, field, location, errors) {
+  if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+    errors.push(fieldError(field, location, 'TOO_SHORT', `${field} debe tener al menos ${rule.minLength} caracteres`));
+  } else if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    errors.push(fieldError(field, location, 'TOO_LONG', `${field} no puede superar los ${rule.maxLength} caracteres`));
+  }
+}
+
+/**
+ * Valida un valor presente (ni undefined ni null) contra su regla.
+ * Devuelve el valor convertido; los errores se agregan a errors.
+ */
+function checkValue(value, rule, field, location, errors) {
+  const before = errors.length;
+  const invalid = (message) => {
+    errors.push(fieldError(field, location, 'INVALID_TYPE', message));
+    return value;
+  };
+
+  switch (rule.type) {
+    case 'string':
+    case 'email':
+    case 'hexColor': {
+      if (typeof value !== 'string') {
+        if (typeof value !== 'number' || rule.type !== 'string') return invalid(`${field} debe ser un texto`);
+        value = String(value);
+      }
+      if (rule.type === 'email' && !EMAIL_REGEX.test(value.trim())) {
+        errors.push(fieldError(field, location, 'INVALID_FORMAT', `${field} no es un email válido`));
+      } else if (rule.type === 'hexColor' && !HEX_COLOR_REGEX.test(value)) {
+        errors.push(fieldError(field, location, 'INVALID_FORMAT', `${field} debe ser un color hexadecimal (#RRGGBB)`));
+      } else if (rule.pattern && !rule.pattern.test(value)) {
+        errors.push(fieldError(field, location, 'INVALID_FORMAT', rule.patternMessage || `${field} tiene un formato inválido`));
+      }
+      checkLength(value, { maxLength: rule.type === 'email' ? 255 : undefined, ...rule }, field, location, errors);
+      break;
+    }
+
+    case 'date':
+      if (typeof value !== 'string' || !DATE_REGEX.test(value) || Number.isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+        errors.push(fieldError(field, location, 'INVALID_FORMAT', `${field} debe ser una fecha YYYY-MM-DD`));
+      }
+      break;
+
+    case 'datetime':
+      if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) {
+        errors.push(fieldError(field, location, 'INVALID_FORMAT', `${field} debe ser una fecha válida (ISO 8601)`));
+      }
+      break;
+
+    case 'number': {
+      const number = toNumber(value);
+      if (Number.isNaN(number)) return invalid(`${field} debe ser un número`);
+      value = number;
+      checkRange(value, rule, field, location, errors);
+      break;
+    }
+
+    case 'integer':
+    case 'id': {
+      const number = toNumber(value);
+      if (!Number.isInteger(number)) {
+        return invalid(rule.type === 'id' ? `${field} debe ser un id válido` : `${field} debe ser un número entero`);
+      }
+      value = number;
+      checkRange(value, rule.type === 'id' ? { min: 1, max: MAX_INTEGER, ...rule } : rule, field, location, errors);
+      break;
+    }
+
+    case 'boolean': {
+      const boolean = toBoolean(value);
+      if (boolean === undefined) return invalid(`${field} debe ser verdadero o falso`);
+      value = boolean;
+      break;
+    }
+
+    case 'enum':
+      if (!rule.values.includes(value)) {
+        errors.push(fieldError(field, location, 'INVALID_VALUE', `${field} debe ser uno de: ${rule.values.join(', ')}`));
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) return invalid(`${field} debe ser una lista`);
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        errors.push(fieldError(field, location, 'TOO_SHORT', `${field} debe tener al menos ${rule.minItems} elemento(s)`));
+      } else if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        errors.push(fieldError(field, location, 'TOO_LONG', `${field} no puede tener más de ${rule.maxItems} elementos`));
+      } else if (rule.items) {
+        value = value.map((item, index) => checkField(item, { required: true, ...rule.items }, `${field}[${index}]`, location, errors));
+      }
+      break;
+
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return invalid(`${field} debe ser un objeto`);
+      if (rule.properties) {
+        value = { ...value, ...validateFields(value, rule.properties, location, errors, `${field}.`) };
+      }
+      break;
+
+    case 'json':
+      // Objetos o listas; también texto JSON (campos enviados en formularios multipart)
+      if (typeof value === 'string') {
+        try {
+          JSON.parse(value);
+        } catch (error) {
+          return invalid(`${field} no es un JSON válido`);
+        }
+      } else if (typeof value !== 'object') {
+        return invalid(`${field} debe ser un objeto o una lista`);
+      }
+      break;
+
+    default:
+      throw new Error(`Tipo de validación desconocido: ${rule.type}`);
+  }
+
+  if (rule.custom && errors.length === before) {
+    const message = rule.custom(value);
+    if (message) errors.push(fieldError(field, location, 'INVALID_VALUE', message));
+  }
+  return value;
+}
+
+function checkField(value, rule, field, location, errors) {
+  if (value === '' && !['string', 'email', 'hexColor'].includes(rule.type)) value = null;
+  // Un texto opcional vacío no se valida (formato, largo mínimo): equivale a no indicarlo
+  if (value === '' && !rule.required) return value;
+
+  const blank = value === undefined || value === null || (typeof value === 'string' && rule.required && value.trim() === '');
+  if (blank) {
+    if (rule.required) {
+      errors.push(fieldError(field, location, 'REQUIRED', `${field} es obligatorio`));
+    } else if (value === null && rule.nullable === false) {
+      errors.push(fieldError(field, location, 'INVALID_TYPE', `${field} no puede ser null`));
+    }
+    return value;
+  }
+
+  return checkValue(value, rule, field, location, errors);
+}
+
+/**
+ * Valida los campos de source según schema. Devuelve los valores (convertidos) de los campos presentes.
+ */
+function validateFields(source, schema, location, errors, prefix = '') {
+  const values = {};
+  for (const [name, rule] of Object.entries(schema)) {
+    if (!TYPES.includes(rule.type)) {
+      throw new Error(`Tipo de validación desconocido para ${name}: ${rule.type}`);
+    }
+    const value = checkField(source[name], rule, `${prefix}${name}`, location, errors);
+    if (source[name] !== undefined) values[name] = value;
+  }
+  return values;
+}
+
+/**
+ * Valida un objeto completo. Devuelve { value, errors } donde value es source con los valores convertidos.
+ * anyOf: lista de grupos de campos; al menos uno de cada grupo tiene que venir (por ejemplo, en un PATCH).
+ */
+function validateObject(source, schema, location = 'body', { anyOf = [] } = {}) {
+  const errors = [];
+  const input = source && typeof source === 'object' && !Array.isArray(source) ? source : {};
+  if (source !== undefined && source !== null && input !== source) {
+    errors.push(fieldError(location, location, 'INVALID_TYPE', `${location} debe ser un objeto`));
+    return { value: source, errors };
+  }
+
+  const value = { ...input, ...validateFields(input, schema, location, errors) };
+
+  for (const group of anyOf) {
+    if (!group.some(name => input[name] !== undefined)) {
+      errors.push(fieldError(group.join('|'), location, 'REQUIRED', `Indica al menos uno de: ${group.join(', ')}`));
+    }
+  }
+  return { value, errors };
+}
+
+/**
+ * Esquema de params con ids numéricos obligatorios: validate({ params: idParams('optionId', 'itemId') }).
+ */
+function idParams(...names) {
+  return Object.fromEntries(names.map(name => [name, { type: 'id', required: true }]));
+}
+
+/**
+ * Copia de un esquema con todos los campos opcionales (para las actualizaciones parciales).
+ */
+function optional(schema) {
+  return Object.fromEntries(Object.entries(schema).map(([name, rule]) => [name, { ...rule, required: false }]));
+}
+
+/**
+ * Convierte un parser que lanza Error (parseAvailability, parseRanges...) en una regla custom.
+ */
+function fromParser(parse) {
+  return (value) => {
+    try {
+      parse(value);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+}
+
+/**
+ * Cuerpo de la respuesta 400 de validación: { error, code: 'VALIDATION_ERROR', fields }.
+ * Con un solo campo, error es su mensaje.
+ */
+function validationResponse(fields) {
+  return {
+    error: fields.length === 1 ? fields[0].message : 'Hay datos inválidos en la solicitud',
+    code: VALIDATION_ERROR,
+    fields
+  };
+}
+
+/**
+ * Lo mismo como Error con status 400, para las validaciones que se hacen en un servicio
+ * (los routers lo responden con res.status(error.status).json({ error: error.message, ...error.extra })).
+ */
+function validationError(fields) {
+  const { error, ...extra } = validationResponse(fields);
+  return httpError(400, error, extra);
+}
+
+module.exports = {
+  VALIDATION_ERROR,
+  MAX_PRICE,
+  MAX_INTEGER,
+  fieldError,
+  validateObject,
+  validationResponse,
+  validationError,
+  idParams,
+  optional,
+  fromParser
+};
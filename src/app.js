@@ -1,33 +1,44 @@
 // src/app.js
 
-process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
-
 if (process.env.NODE_ENV !== "production") {
   require("dotenv").config();
 }
 
 // Cargar las variables de entorno
 require("dotenv").config({ path: __dirname + "/.env" });
-console.log("DATABASE_URL:", process.env.DATABASE_URL);
 
 // Importar dependencias
 const express = require("express");
 const cors = require("cors");
-const { Pool } = require("pg");
+const { pool, poolStats } = require("../services/db");
 
 // Importar routers y middlewares
 const authRoutes = require("../routes/auth");
 const commerceRoutes = require("../routes/commerces");
 const authMiddleware = require("../middlewares/authMiddleware");
+const requirePermission = require("../middlewares/permissionMiddleware");
+const { PERMISSIONS } = require("../services/permissions");
 const categoriesRouter = require("../routes/categories");
 const productsRouter = require("../routes/products");
 const publicRoutes = require("../routes/public"); // Importar las rutas públicas
 const productOptionsRouter = require('../routes/product_options');
 const tagsRouter = require('../routes/tags');
+const ordersRouter = require('../routes/orders');
+const eventsRouter = require('../routes/events');
+const couponsRouter = require('../routes/coupons');
+const staffRouter = require('../routes/staff');
+const auditRouter = require('../routes/audit');
+const trashRouter = require('../routes/trash');
+const { startTrashPurge } = require('../services/trash');
+const { startThrottlePruning } = require('../services/loginThrottle');
+const { migrate } = require('../services/migrations');
 
 // Inicializar la aplicación Express
 const app = express();
 
+// Detrás del proxy de Heroku req.ip debe salir de X-Forwarded-For (lo usan los límites de /api/auth)
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS) || 1);
+
 // Configurar middlewares
 app.use(express.json());
 
@@ -119,23 +130,8 @@ app.use((req, res, next) => {
   }
 });
 
-// Forzar que la cadena de conexión incluya sslmode=require
-let connectionString = process.env.DATABASE_URL;
-if (connectionString && !connectionString.includes("sslmode=require")) {
-  connectionString += connectionString.includes("?") ? "&sslmode=require" : "?sslmode=require";
-}
-
-// Conexión a PostgreSQL
-const pool = new Pool({
-  connectionString: connectionString,
-  ssl: {
-    require: true,
-    rejectUnauthorized: false,
-  },
-});
-
-// Probar la conexión a la base de datos
-pool.connect()
+// Probar la conexión a la base de datos (el pool es el compartido de services/db.js)
+pool.query("SELECT 1")
   .then(() => console.log("✅ Conexión a PostgreSQL establecida correctamente"))
   .catch((err) => console.error("❌ Error al conectar a PostgreSQL:", err));
 
@@ -153,6 +149,11 @@ app.get("/", (req, res) => {
   res.send("🚀 API funcionando");
 });
 
+// Métricas del pool de PostgreSQL (conexiones en uso, en espera y consultas lentas)
+app.get("/api/health/db", authMiddleware, requirePermission(PERMISSIONS.PLATFORM_ADMIN), (req, res) => {
+  res.json(poolStats());
+});
+
 // ✅ Rutas organizadas
 app.use("/api/auth", authRoutes);
 app.use("/api/commerces", authMiddleware, commerceRoutes);
@@ -161,6 +162,12 @@ app.use("/api/products", authMiddleware, productsRouter);
 app.use("/api/public", publicRoutes); // Registrar las rutas públicas
 app.use('/api/product-options', authMiddleware, productOptionsRouter);
 app.use("/api/tags", authMiddleware, tagsRouter);
+app.use("/api/orders", authMiddleware, ordersRouter);
+app.use("/api/coupons", authMiddleware, couponsRouter);
+app.use("/api/staff", authMiddleware, staffRouter);
+app.use("/api/audit", authMiddleware, auditRouter);
+app.use("/api/trash", authMiddleware, trashRouter);
+app.use("/api/events", eventsRouter); // El router valida el token (también admite ?token= para EventSource)
 
 // Listar endpoints disponibles en la API
 const expressListEndpoints = require("express-list-endpoints");
@@ -169,6 +176,26 @@ console.log(expressListEndpoints(app));
 
 // Iniciar servidor
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`🚀 Servidor corriendo en el puerto ${PORT}`);
-});
\ No newline at end of file
+function startServer() {
+  app.listen(PORT, () => {
+    console.log(`🚀 Servidor corriendo en el puerto ${PORT}`);
+  });
+
+  // Purga periódica de la papelera (borra lo vencido y recién entonces sus imágenes)
+  startTrashPurge(pool);
+
+  // Limpieza periódica de los contadores de intentos fallidos y rate limits vencidos
+  startThrottlePruning(pool);
+}
+
+// Aplicar las migraciones pendientes antes de aceptar peticiones (MIGRATE_ON_BOOT=false lo desactiva)
+if (process.env.MIGRATE_ON_BOOT === "false") {
+  startServer();
+} else {
+  migrate(pool)
+    .then(startServer)
+    .catch((err) => {
+      console.error("❌ Error al aplicar las migraciones:", err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,66 @@
+// src/migrate.js
+// Migraciones del esquema desde la línea de comandos:
+//   npm run migrate                 aplica las pendientes
+//   npm run migrate:down [-- N]     revierte las últimas N (1 por defecto)
+//   npm run migrate:status          lista aplicadas y pendientes
+//   npm run migrate:create -- NAME  crea migrations/NNN_NAME.sql vacía
+
+if (process.env.NODE_ENV !== "production") {
+  require("dotenv").config();
+}
+require("dotenv").config({ path: __dirname + "/.env" });
+
+const fs = require("fs");
+const path = require("path");
+const { pool } = require("../services/db");
+const { MIGRATIONS_DIR, loadMigrations, migrate, rollback, migrationStatus } = require("../services/migrations");
+
+function createMigration(name) {
+  const slug = String(name || "").toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+  if (!slug) {
+    throw new Error("Indica el nombre de la migración: npm run migrate:create -- nombre");
+  }
+
+  const last = loadMigrations().pop();
+  const version = String(last ? Number(last.version) + 1 : 1).padStart(3, "0");
+  const file = path.join(MIGRATIONS_DIR, `${version}_${slug}.sql`);
+  fs.writeFileSync(file, `-- migrations/${version}_${slug}.sql\n\n-- migrate:up\n\n\n-- migrate:down\n\n`);
+  console.log(`📄 Migración creada: ${file}`);
+}
+
+async function main() {
+  const [command = "up", arg] = process.argv.slice(2);
+
+  if (command === "create") {
+    return createMigration(arg);
+  }
+
+  try {
+    if (command === "up") {
+      const applied = await migrate(pool);
+      if (applied.length === 0) console.log("✅ El esquema está al día");
+    } else if (command === "down") {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error("La cantidad de migraciones a revertir debe ser un entero positivo");
+      }
+      const reverted = await rollback(pool, { steps });
+      if (reverted.length === 0) console.log("No hay migraciones aplicadas");
+    } else if (command === "status") {
+      const status = await migrationStatus(pool);
+      for (const migration of status) {
+        const appliedAt = migration.applied_at ? new Date(migration.applied_at).toISOString() : "";
+        console.log(`${migration.status.padEnd(8)} ${migration.file || `${migration.version}_${migration.name}`} ${appliedAt}`.trim());
+      }
+    } else {
+      throw new Error(`Comando desconocido: ${command} (usa up, down, status o create)`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error("❌", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,115 @@
+// test/commerceAccess.test.js
+// Aislamiento entre comercios: un OWNER no puede actuar sobre otro comercio, el SUPERUSER sí.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.DATABASE_SSL = process.env.DATABASE_SSL || 'disable';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../services/db');
+const authMiddleware = require('../middlewares/authMiddleware');
+const commerceRoutes = require('../routes/commerces');
+const { canAccessCommerce } = require('../services/permissions');
+
+const OWN_COMMERCE = 1;
+const OTHER_COMMERCE = 2;
+
+// Sesiones activas (sid -> fila que devuelve checkSession)
+const SESSIONS = {
+  owner: { user_role: 'OWNER', membership_role: 'OWNER', active_commerce_id: OWN_COMMERCE },
+  superuser: { user_role: 'SUPERUSER', membership_role: null, active_commerce_id: null }
+};
+
+const TOKENS = {
+  owner: jwt.sign({ userId: 10, role: 'OWNER', commerceId: OWN_COMMERCE, sid: 'owner' }, process.env.JWT_SECRET),
+  superuser: jwt.sign({ userId: 1, role: 'SUPERUSER', commerceId: null, sid: 'superuser' }, process.env.JWT_SECRET)
+};
+
+// Sin PostgreSQL: el pool responde la sesión y, para el resto, un comercio existente
+const queries = [];
+pool.query = async (text, values = []) => {
+  queries.push(text);
+  if (text.includes('FROM user_sessions')) {
+    const session = SESSIONS[values[0]];
+    return { rows: session ? [{ revoked_at: null, expires_at: new Date(Date.now() + 60000), ...session }] : [] };
+  }
+  if (text.includes('FROM commerces')) {
+    return { rows: [{ id: OWN_COMMERCE }, { id: OTHER_COMMERCE }] };
+  }
+  return { rows: [] };
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/commerces', authMiddleware, commerceRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/commerces`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function request(method, path, token, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('canAccessCommerce: solo el comercio activo del token, salvo el SUPERUSER', () => {
+  assert.equal(canAccessCommerce({ role: 'OWNER', commerceId: OWN_COMMERCE }, String(OWN_COMMERCE)), true);
+  assert.equal(canAccessCommerce({ role: 'OWNER', commerceId: OWN_COMMERCE }, OTHER_COMMERCE), false);
+  assert.equal(canAccessCommerce({ role: 'OWNER', commerceId: null }, OTHER_COMMERCE), false);
+  assert.equal(canAccessCommerce({ role: 'SUPERUSER', commerceId: null }, OTHER_COMMERCE), true);
+  assert.equal(canAccessCommerce(null, OWN_COMMERCE), false);
+});
+
+for (const path of [`/${OTHER_COMMERCE}`, `/${OTHER_COMMERCE}/update-logo`, `/${OTHER_COMMERCE}/update-banner`]) {
+  test(`un OWNER no puede hacer PUT ${path} sobre otro comercio`, async () => {
+    queries.length = 0;
+    const { status, body } = await request('PUT', path, TOKENS.owner, { business_name: 'Ajeno' });
+
+    assert.equal(status, 403);
+    assert.equal(body.code, 'COMMERCE_FORBIDDEN');
+    // Se corta antes del handler: la única consulta es la de la sesión
+    assert.ok(queries.every(text => text.includes('FROM user_sessions')));
+  });
+}
+
+test('un OWNER no puede listar todos los comercios', async () => {
+  const { status, body } = await request('GET', '', TOKENS.owner);
+
+  assert.equal(status, 403);
+  assert.equal(body.code, 'FORBIDDEN');
+});
+
+test('el SUPERUSER lista los comercios', async () => {
+  const { status, body } = await request('GET', '', TOKENS.superuser);
+
+  assert.equal(status, 200);
+  assert.equal(body.length, 2);
+});
+
+test('el SUPERUSER pasa el control de comercio en update-logo y update-banner', async () => {
+  for (const field of ['logo', 'banner']) {
+    const { status, body } = await request('PUT', `/${OTHER_COMMERCE}/update-${field}`, TOKENS.superuser);
+
+    // Llega al handler, que pide el archivo
+    assert.equal(status, 400);
+    assert.equal(body.fields[0].field, field);
+  }
+});
+
+test('un OWNER sí pasa el control sobre su propio comercio', async () => {
+  const { status, body } = await request('PUT', `/${OWN_COMMERCE}/update-logo`, TOKENS.owner);
+
+  assert.equal(status, 400);
+  assert.equal(body.fields[0].field, 'logo');
+});
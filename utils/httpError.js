@@ -0,0 +1,15 @@
+// utils/httpError.js
+
+/**
+ * Crea un Error con código HTTP asociado.
+ * Los servicios lo lanzan y los routers lo traducen a la respuesta JSON:
+ *   res.status(error.status).json({ error: error.message, ...error.extra })
+ */
+function httpError(status, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.extra = extra;
+  return error;
+}
+
+module.exports = httpError;